@@ -2,15 +2,49 @@
  *
  * Queue Model
  *
- * Queue Job Realm Schema defined in ../config/Database
+ * Job and dead letter job schemas shared by all storage adapters defined in ../config/schema
  *
  */
 
-import Database from '../config/Database';
+import { Config } from '../config/config';
+import RealmAdapter from '../adapters/RealmAdapter';
+import { isValidMigrations } from '../config/Database';
 import uuid from 'react-native-uuid';
-import Worker from './Worker';
+import Worker, { isValidRetention, networkRequirements, isValidDeviceConstraints, deviceConstraints } from './Worker';
 import promiseReflect from 'promise-reflect';
+import { isValidBackoff, getBackoffDelay } from '../utils/backoff';
+import { isValidCron, getNextCronDate } from '../utils/cron';
+import { JobAbortController } from '../utils/abort';
+import { RateLimiter } from '../utils/rateLimit';
+import { parseJobFilter, toPlainJob } from '../utils/jobQuery';
+import { JobSchema, DeadLetterJobSchema } from '../config/schema';
+import NetInfoConnectivity from '../providers/NetInfoConnectivity';
+import DeviceInfoDeviceState from '../providers/DeviceInfoDeviceState';
 
+/**
+ *
+ * Check that a state provider option (ie connectivity) has getState() and addListener() methods.
+ *
+ * @param provider {object} - State provider.
+ * @return {boolean} - Whether or not state provider is valid.
+ */
+function isValidStateProvider(provider) {
+  return !!provider && typeof provider === 'object' && typeof provider.getState === 'function' && typeof provider.addListener === 'function';
+}
+
+/**
+ *
+ * Log an error to a job. Must be called inside a write transaction.
+ *
+ * @param job {object} - Job storage model object.
+ * @param error {Error} - Error to log.
+ */
+function logJobError(job, error) {
+  job.errors = JSON.stringify(JSON.parse(job.errors).concat(error.message));
+}
+
+// Events that can be subscribed to with Queue.on().
+const queueEvents = ['job:created', 'job:start', 'job:progress', 'job:success', 'job:failure', 'job:failed', 'queue:start', 'queue:idle', 'queue:stop'];
 
 export class Queue {
 
@@ -19,378 +53,2755 @@ export class Queue {
    * Set initial class properties.
    *
    * @constructor
+   * @param options {object} - Queue options. See README.md for queue options info.
+   * @throws Throws error if queue options are invalid.
    */
-  constructor() {
-    this.realm = null;
-    this.worker = new Worker();
+  constructor(options = {}) {
+
+    const { name = null, realmPath = null, migrations = null, maxConcurrency = null, storage = null, deadLetter = null, connectivity = null, deviceState = null } = options;
+
+    if (name !== null && (typeof name !== 'string' || !/^[A-Za-z0-9_-]+$/.test(name))) {
+      throw new Error('Invalid queue option.');
+    }
+
+    if (realmPath !== null && (typeof realmPath !== 'string' || !realmPath || storage !== null)) {
+      throw new Error('Invalid queue option.');
+    }
+
+    if (migrations !== null && (!isValidMigrations(migrations) || storage !== null)) {
+      throw new Error('Invalid queue option.');
+    }
+
+    if (maxConcurrency !== null && !(Number.isInteger(maxConcurrency) && maxConcurrency > 0)) {
+      throw new Error('Invalid queue option.');
+    }
+
+    if (storage !== null && (typeof storage !== 'object' || typeof storage.find !== 'function')) {
+      throw new Error('Invalid queue option.');
+    }
+
+    if (deadLetter !== null && !isValidRetention(deadLetter)) {
+      throw new Error('Invalid queue option.');
+    }
+
+    if (connectivity !== null && !isValidStateProvider(connectivity)) {
+      throw new Error('Invalid queue option.');
+    }
+
+    if (deviceState !== null && !isValidStateProvider(deviceState)) {
+      throw new Error('Invalid queue option.');
+    }
+
+    // Named queues get a realm database file of their own unless realmPath is set.
+    const defaultRealmPath = (name !== null) ? 'reactNativeQueue-' + name + '.realm' : null;
+
+    this.name = name;
+    this.storage = storage || new RealmAdapter({ realmPath: realmPath || defaultRealmPath, migrations: migrations || [] });
+    this.initialized = false;
+    this.worker = new Worker(name);
     this.status = 'inactive';
+    this.maxConcurrency = maxConcurrency;
+    this.deadLetter = deadLetter;
+    this.connectivity = connectivity || new NetInfoConnectivity();
+    this.deviceState = deviceState || new DeviceInfoDeviceState();
+    this.conditionListeners = new Map();
+    this.waitingOnConditions = false;
+    this.wakeUp = null;
+    this.jobWaiters = {};
+    this.runningJobs = {};
+    this.processingJobs = {};
+    this.processingLoop = null;
+    this.heartbeatTimer = null;
+    this.pausedJobNames = [];
+    this.rateLimiters = {};
+    this.heldUntil = null;
+    this.eventHandlers = {};
+
   }
 
   /**
    *
-   * Initializes the queue by connecting to Realm database.
+   * Initializes the queue by opening its storage adapter (Realm database by default).
+   *
+   * Jobs left active by a previous process (ie the app was killed while they were being processed) are recovered.
+   * See Queue.recoverOrphanedJobs() for more info. Completed and dead-lettered jobs past their retention limits are deleted.
    *
    */
   async init() {
-    if (this.realm === null) {
-      this.realm = await Database.getRealmInstance();
+    if (!this.initialized) {
+      await this.storage.open();
+      this.initialized = true;
+      this.recoverOrphanedJobs();
+      this.pruneExpiredJobs();
+    }
+  }
+
+  /**
+   *
+   * Recover jobs left active by a process that stopped while they were being processed.
+   *
+   * Jobs being processed have a lease that is renewed by a heartbeat, so an active job whose lease has
+   * expired is no longer being processed by anyone. The interrupted run counts as a failed attempt and an
+   * INTERRUPTED error is logged to job.errors. Job is reset to pending if it has attempts remaining
+   * (and re-attempted right away), otherwise it is marked as failed. Jobs that were cancelled while they
+   * were being processed are deleted.
+   *
+   * Lifecycle callbacks are not called, since workers are usually not added yet when queue is initialized.
+   *
+   * @return {number} - Number of jobs recovered.
+   */
+  recoverOrphanedJobs() {
+
+    let recoveredJobs = 0;
+    const nextOccurrences = [];
+
+    this.storage.write(() => {
+
+      const orphanedJobs = this.storage.find('Job', {
+        active: true,
+        $or: [{ leaseExpires: null }, { leaseExpires: { $lt: new Date() } }]
+      });
+
+      orphanedJobs.forEach( job => {
+
+        const jobId = job.id;
+        const recurringJobId = job.recurringJobId;
+
+        recoveredJobs++;
+
+        if (job.status == 'cancelled') {
+
+          this.storage.delete(job);
+
+          this.failDependents(jobId, 'was cancelled');
+
+          if (recurringJobId) {
+            nextOccurrences.push(this.scheduleNextOccurrence(recurringJobId));
+          }
+
+          return;
+
+        }
+
+        const error = new Error('INTERRUPTED: Job id: ' + jobId + ' was interrupted before it finished.');
+        logJobError(job, error);
+
+        job.failedAttempts++;
+        job.active = false;
+        job.leaseExpires = null;
+
+        if (job.failedAttempts >= job.attempts) {
+
+          job.failed = new Date();
+          job.status = 'failed';
+
+          this.failDependents(jobId);
+
+          if (recurringJobId) {
+            nextOccurrences.push(this.scheduleNextOccurrence(recurringJobId));
+          }
+
+          this.deadLetterJob(job);
+
+        } else {
+          job.status = 'pending';
+        }
+
+      });
+
+    });
+
+    nextOccurrences.forEach( job => this.emitOccurrenceCreated(job) );
+
+    return recoveredJobs;
+
+  }
+
+  /**
+   *
+   * Renew the leases of jobs this queue instance is processing so they aren't recovered as orphaned jobs.
+   *
+   * Heartbeat runs while jobs are being processed and stops once none are left.
+   *
+   */
+  renewJobLeases() {
+
+    const runningJobIds = Object.keys(this.runningJobs);
+
+    if (!runningJobIds.length) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+      return;
+    }
+
+    const leaseExpires = new Date(new Date().getTime() + Config.JOB_LEASE_DURATION);
+
+    this.storage.write(() => {
+
+      runningJobIds.forEach( jobId => {
+        const job = this.storage.objectForPrimaryKey('Job', jobId);
+        if (job && job.active) {
+          job.leaseExpires = leaseExpires;
+        }
+      });
+
+    });
+
+  }
+
+  /**
+   *
+   * Add a worker function to the queue.
+   *
+   * Worker will be called to execute jobs associated with jobName.
+   *
+   * Worker function will receive job id, job payload and a job context object as parameters.
+   *
+   * Example:
+   *
+   * function exampleJobWorker(id, payload, context) {
+   *  console.log(id); // UUID of job.
+   *  console.log(payload); // Payload of data related to job.
+   *  console.log(context.signal.aborted); // Whether or not job has been cancelled.
+   *  context.reportProgress(50, { bytesSent: 1024 }); // Report percentage of job done, with optional meta data.
+   *  context.checkpoint({ chunk: 3 }); // Save state that later attempts of job can resume from with context.getCheckpoint().
+   * }
+   *
+   * @param jobName {string} - Name associated with jobs assigned to this worker.
+   * @param worker {function} - The worker function that will execute jobs.
+   * @param options {object} - Worker options. See README.md for worker options info.
+   */
+  addWorker(jobName, worker, options = {}) {
+
+    this.worker.addWorker(jobName, worker, options);
+
+    // Apply keepCompleted limits to jobs completed before worker was added (ie on a previous app launch).
+    if (this.initialized) {
+      this.storage.write(() => {
+        this.pruneCompletedJobs(jobName);
+      });
+    }
+
+  }
+
+  /**
+   *
+   * Delete worker function from queue.
+   *
+   * @param jobName {string} - Name associated with jobs assigned to this worker.
+   */
+  removeWorker(jobName) {
+    this.worker.removeWorker(jobName);
+  }
+
+  /**
+   *
+   * Pause processing of jobs associated with jobName.
+   *
+   * Jobs with other names keep being processed. Jobs that are already being processed are left to finish.
+   * Paused job names are not persisted, so all job names are processed again after the app restarts.
+   *
+   * @param jobName {string} - Name associated with jobs assigned to the worker.
+   */
+  pauseWorker(jobName) {
+
+    if (!this.pausedJobNames.includes(jobName)) {
+      this.pausedJobNames.push(jobName);
+    }
+
+  }
+
+  /**
+   *
+   * Resume processing of jobs associated with jobName.
+   *
+   * Queue will automatically start processing unless startQueue param is set to false.
+   *
+   * @param jobName {string} - Name associated with jobs assigned to the worker.
+   * @param startQueue - {boolean} - Whether or not to immediately begin prcessing queue. If false queue.start() must be manually called.
+   */
+  resumeWorker(jobName, startQueue = true) {
+
+    if (!this.pausedJobNames.includes(jobName)) {
+      return;
+    }
+
+    this.pausedJobNames = this.pausedJobNames.filter( pausedJobName => pausedJobName !== jobName);
+
+    this.processNewJobs(startQueue);
+
+  }
+
+  /**
+   *
+   * Check whether processing of jobs associated with jobName is paused.
+   *
+   * @param jobName {string} - Name associated with jobs assigned to the worker.
+   * @return {boolean} - Whether or not worker is paused.
+   */
+  isWorkerPaused(jobName) {
+    return this.pausedJobNames.includes(jobName);
+  }
+
+  /**
+   *
+   * Subscribe to a queue or job lifecycle event.
+   *
+   * Job events are emitted for jobs of all names, so unlike worker lifecycle callbacks a handler only needs to be
+   * registered once. Handlers are called with an event object that has jobId, jobName and payload for job events,
+   * plus percent and meta for "job:progress", result for "job:success" and error for "job:failure" and "job:failed".
+   * Errors thrown by handlers are logged.
+   *
+   * "job:failure" is emitted each time a job fails, "job:failed" once a job has failed all of its attempts.
+   * "queue:idle" is emitted when the queue runs out of jobs to process (it might still be waiting on delayed jobs),
+   * and "queue:stop" once the queue has stopped processing.
+   *
+   * @param event {string} - Event name, one of "job:created", "job:start", "job:progress", "job:success", "job:failure", "job:failed", "queue:start", "queue:idle" or "queue:stop".
+   * @param handler {function} - Function called with the event object each time event is emitted.
+   * @throws Throws error if event name is invalid or handler is not a function.
+   * @return {function} - Function that unsubscribes handler.
+   */
+  on(event, handler) {
+
+    if (!queueEvents.includes(event)) {
+      throw new Error('Invalid queue event name.');
+    }
+
+    if (typeof handler !== 'function') {
+      throw new Error('Queue event handler function must be supplied.');
+    }
+
+    if (!this.eventHandlers[event]) {
+      this.eventHandlers[event] = [];
+    }
+
+    this.eventHandlers[event].push(handler);
+
+    return () => this.off(event, handler);
+
+  }
+
+  /**
+   *
+   * Unsubscribe a handler from a queue or job lifecycle event.
+   *
+   * @param event {string} - Event name.
+   * @param handler {function} - Handler passed to Queue.on().
+   */
+  off(event, handler) {
+
+    if (this.eventHandlers[event]) {
+      this.eventHandlers[event] = this.eventHandlers[event].filter( eventHandler => eventHandler !== handler);
+    }
+
+  }
+
+  /**
+   *
+   * Call the handlers subscribed to an event.
+   *
+   * Uses a try catch statement per handler to gracefully degrade errors in production.
+   *
+   * @param event {string} - Event name.
+   * @param data {object} - Event object passed to handlers.
+   */
+  emit(event, data = {}) {
+
+    (this.eventHandlers[event] || []).forEach( async handler => {
+      try {
+        await handler(data);
+      } catch (error) {
+        console.error(error); // eslint-disable-line no-console
+      }
+    });
+
+  }
+
+  /**
+   *
+   * Creates a new job and adds it to queue.
+   *
+   * Queue will automatically start processing unless startQueue param is set to false.
+   *
+   * If uniqueKey option is set and a job with the same uniqueKey is already pending or running, the onConflict
+   * option decides what happens: "ignore" (default) discards the new job, "replace" replaces the payload of the
+   * pending job, and "throw" throws an error.
+   *
+   * If dependsOn option is set, job won't be processed until all the jobs it depends on have completed successfully.
+   * The onDependencyFailed option decides what happens if one of them fails: "fail" (default) marks this job as
+   * failed, "cancel" deletes this job, and "run" processes this job anyway.
+   *
+   * @param name {string} - Name associated with job. The worker function assigned to this name will be used to execute this job.
+   * @param payload {object} - Object of arbitrary data to be passed into worker function when job executes.
+   * @param options {object} - Job related options like timeout etc. See README.md for job options info.
+   * @param startQueue - {boolean} - Whether or not to immediately begin prcessing queue. If false queue.start() must be manually called.
+   * @throws Throws error if a job with the same uniqueKey exists and onConflict option is "throw".
+   * @return {string} - Id of the created job, or of the existing job if job was ignored or replaced due to uniqueKey.
+   */
+  createJob(name, payload = {}, options = {}, startQueue = true) {
+
+    const job = this.buildJob(name, payload, options);
+    let jobId = job.id;
+    let created = false;
+
+    this.storage.write(() => {
+
+      // Unique job conflicts are resolved inside the write transaction so the check is atomic.
+      if (job.uniqueKey) {
+
+        const existingJobs = this.storage.find('Job', {
+          uniqueKey: job.uniqueKey,
+          failed: null,
+          completed: null
+        }, [['created', false]]);
+
+        if (existingJobs.length) {
+
+          const onConflict = options.onConflict || 'ignore';
+
+          if (onConflict == 'throw') {
+            throw new Error('Job with uniqueKey ' + job.uniqueKey + ' already exists.');
+          }
+
+          if (onConflict == 'ignore') {
+            jobId = existingJobs[0].id;
+            return;
+          }
+
+          // Replace payload of pending job. A job that is already running can't be replaced, so a new job is created instead.
+          const pendingJobs = existingJobs.filter( existingJob => !existingJob.active);
+          if (pendingJobs.length) {
+            pendingJobs[0].payload = job.payload;
+            jobId = pendingJobs[0].id;
+            return;
+          }
+
+        }
+
+      }
+
+      this.storage.create('Job', job);
+      created = true;
+
+      // Resolve dependencies that have already failed right away.
+      if (job.dependsOn) {
+        JSON.parse(job.dependsOn).forEach( dependencyId => {
+          const dependency = this.storage.objectForPrimaryKey('Job', dependencyId);
+          if ((dependency && dependency.failed) || this.storage.objectForPrimaryKey('DeadLetterJob', dependencyId)) {
+            this.failDependents(dependencyId);
+          }
+        });
+      }
+
+    });
+
+    if (created) {
+      this.emit('job:created', { jobId, jobName: name, payload });
+    }
+
+    this.processNewJobs(startQueue);
+
+    return jobId;
+
+  }
+
+  /**
+   *
+   * Creates a new job and waits for it to finish processing.
+   *
+   * See Queue.createJob() and Queue.waitForJob() for more info.
+   *
+   * @param name {string} - Name associated with job. The worker function assigned to this name will be used to execute this job.
+   * @param payload {object} - Object of arbitrary data to be passed into worker function when job executes.
+   * @param options {object} - Job related options like timeout etc. See README.md for job options info.
+   * @param startQueue - {boolean} - Whether or not to immediately begin prcessing queue. If false queue.start() must be manually called.
+   * @return {promise} - Promise that resolves to the value returned by the worker function, or rejects with the error the job finally failed with.
+   */
+  async createJobAndWait(name, payload = {}, options = {}, startQueue = true) {
+
+    const jobId = this.createJob(name, payload, options, false);
+    const jobResult = this.waitForJob(jobId);
+
+    this.processNewJobs(startQueue);
+
+    return jobResult;
+
+  }
+
+  /**
+   *
+   * Wait for a job to finish processing.
+   *
+   * Only jobs processed by this queue instance will settle the returned promise. If job fails and has attempts
+   * remaining, the promise stays pending until job is re-attempted.
+   *
+   * @param jobId {string} - Id of the job (returned by createJob()).
+   * @return {promise} - Promise that resolves to the value returned by the worker function, or rejects with the error the job finally failed with.
+   */
+  waitForJob(jobId) {
+
+    return new Promise((resolve, reject) => {
+
+      const job = this.storage.objectForPrimaryKey('Job', jobId) || this.storage.objectForPrimaryKey('DeadLetterJob', jobId);
+
+      if (!job) {
+        reject(new Error('Job ' + jobId + ' does not exist.'));
+        return;
+      }
+
+      // Job has already failed (and possibly been dead-lettered), so reject with the last logged error.
+      if (job.failed) {
+        const errors = JSON.parse(job.errors);
+        reject(new Error(errors[errors.length - 1]));
+        return;
+      }
+
+      // Job has already completed and was kept, so resolve with the stored result.
+      if (job.completed) {
+        resolve((job.result !== null) ? JSON.parse(job.result) : undefined);
+        return;
+      }
+
+      if (!this.jobWaiters[jobId]) {
+        this.jobWaiters[jobId] = [];
+      }
+
+      this.jobWaiters[jobId].push({ resolve, reject });
+
+    });
+
+  }
+
+  /**
+   *
+   * Settle the promises returned by waitForJob() for a job that finished processing.
+   *
+   * @param jobId {string} - Id of the job.
+   * @param error {Error|null} - Error job finally failed with, or null if job succeeded.
+   * @param result {*} - Value returned by the worker function if job succeeded.
+   */
+  settleJobWaiters(jobId, error, result) {
+
+    const waiters = this.jobWaiters[jobId];
+
+    if (!waiters) {
+      return;
+    }
+
+    delete this.jobWaiters[jobId];
+
+    waiters.forEach( waiter => {
+      if (error) {
+        waiter.reject(error);
+      } else {
+        waiter.resolve(result);
+      }
+    });
+
+  }
+
+  /**
+   *
+   * Reject the promises returned by waitForJob() for jobs that have been deleted.
+   *
+   */
+  rejectDeletedJobWaiters() {
+
+    Object.keys(this.jobWaiters).forEach( jobId => {
+      if (!this.storage.objectForPrimaryKey('Job', jobId)) {
+        this.settleJobWaiters(jobId, new Error('Job ' + jobId + ' was deleted.'));
+      }
+    });
+
+  }
+
+  /**
+   *
+   * Cancel a job.
+   *
+   * A job that is waiting to be processed (pending or paused) is deleted right away. A job that is
+   * currently being processed is marked "cancelled" and the signal passed to its worker function as
+   * context.signal is aborted. Job processing fails immediately with a CANCELLED error, then the job is
+   * deleted without being re-attempted. Workers should stop any ongoing work when signal is aborted.
+   *
+   * Jobs depending on a cancelled job are handled by their onDependencyFailed option. Promises returned
+   * by waitForJob() reject. If job is an occurrence of a recurring job, the next occurrence is scheduled.
+   *
+   * @param jobId {string} - Id of the job (returned by createJob()).
+   * @return {boolean} - True if job was cancelled, false if job does not exist or has already finished processing.
+   */
+  cancelJob(jobId) {
+
+    let cancelled = false;
+    let running = false;
+    let nextOccurrence = null;
+
+    this.storage.write(() => {
+
+      const job = this.storage.objectForPrimaryKey('Job', jobId);
+
+      if (!job || job.failed || job.completed || job.status == 'cancelled') {
+        return;
+      }
+
+      cancelled = true;
+
+      // Running jobs are deleted by processJob() once their worker has been aborted.
+      if (job.active) {
+        job.status = 'cancelled';
+        running = true;
+        return;
+      }
+
+      const recurringJobId = job.recurringJobId;
+
+      this.storage.delete(job);
+
+      this.failDependents(jobId, 'was cancelled');
+
+      if (recurringJobId) {
+        nextOccurrence = this.scheduleNextOccurrence(recurringJobId);
+      }
+
+    });
+
+    this.emitOccurrenceCreated(nextOccurrence);
+
+    if (running) {
+      if (this.runningJobs[jobId]) {
+        this.runningJobs[jobId].abortController.abort(new Error('CANCELLED: Job id: ' + jobId + ' was cancelled.'));
+      }
+    } else if (cancelled) {
+      this.settleJobWaiters(jobId, new Error('Job ' + jobId + ' was cancelled.'));
+      this.processNewJobs(false);
+    }
+
+    return cancelled;
+
+  }
+
+  /**
+   *
+   * Pause a pending job.
+   *
+   * Paused jobs stay in the queue but are not processed until they are resumed with queue.resumeJob().
+   * Jobs that are currently being processed can't be paused, see Queue.cancelJob() instead.
+   *
+   * @param jobId {string} - Id of the job (returned by createJob()).
+   * @return {boolean} - True if job was paused, false if job does not exist or is not pending.
+   */
+  pauseJob(jobId) {
+
+    let paused = false;
+
+    this.storage.write(() => {
+
+      const job = this.storage.objectForPrimaryKey('Job', jobId);
+
+      if (job && job.status == 'pending') {
+        job.status = 'paused';
+        paused = true;
+      }
+
+    });
+
+    return paused;
+
+  }
+
+  /**
+   *
+   * Resume a paused job.
+   *
+   * Queue will automatically start processing unless startQueue param is set to false.
+   *
+   * @param jobId {string} - Id of the job (returned by createJob()).
+   * @param startQueue - {boolean} - Whether or not to immediately begin prcessing queue. If false queue.start() must be manually called.
+   * @return {boolean} - True if job was resumed, false if job does not exist or is not paused.
+   */
+  resumeJob(jobId, startQueue = true) {
+
+    let resumed = false;
+
+    this.storage.write(() => {
+
+      const job = this.storage.objectForPrimaryKey('Job', jobId);
+
+      if (job && job.status == 'paused') {
+        job.status = 'pending';
+        resumed = true;
+      }
+
+    });
+
+    if (resumed) {
+      this.processNewJobs(startQueue);
+    }
+
+    return resumed;
+
+  }
+
+  /**
+   *
+   * Retry a failed job.
+   *
+   * The job is reset to pending and processed again as soon as the queue gets to it. Its error history is kept.
+   * Jobs that failed because this job failed (see dependsOn job option) are not retried, see Queue.retryAllFailed().
+   * Likewise such a job can't be retried on its own while the job it depends on is still failed, retry that job first.
+   *
+   * A failed occurrence of a recurring job is retried on its own, the recurrence has already moved on to the next occurrence.
+   *
+   * Dead-lettered jobs (see queue deadLetter option) are moved back from the dead-letter store to be retried.
+   *
+   * Queue will automatically start processing unless startQueue param is set to false.
+   *
+   * @param jobId {string} - Id of the job (returned by createJob()).
+   * @param options {object} - Retry options. attempts (defaults to the job attempts option) is the number of times job is attempted before it is marked as failed again.
+   * @param startQueue - {boolean} - Whether or not to immediately begin prcessing queue. If false queue.start() must be manually called.
+   * @throws Throws error if attempts option is invalid.
+   * @return {boolean} - True if job was retried, false if job does not exist, has not failed or depends on a job that is still failed.
+   */
+  retryJob(jobId, options = {}, startQueue = true) {
+
+    this.validateRetryOptions(options);
+
+    let retried = false;
+
+    this.storage.write(() => {
+
+      const job = this.storage.objectForPrimaryKey('Job', jobId);
+      const deadLetterJob = this.storage.objectForPrimaryKey('DeadLetterJob', jobId);
+
+      if (job && job.status == 'failed') {
+        if (this.hasFailedDependencies(job)) return;
+        this.resetFailedJob(job, options);
+        retried = true;
+      } else if (deadLetterJob) {
+        if (this.hasFailedDependencies(deadLetterJob)) return;
+        this.resetFailedJob(this.requeueDeadLetterJob(deadLetterJob), options);
+        retried = true;
+      }
+
+    });
+
+    if (retried) {
+      this.processNewJobs(startQueue);
+    }
+
+    return retried;
+
+  }
+
+  /**
+   *
+   * Retry all failed jobs, or all failed jobs of type "jobName", including dead-lettered jobs. See Queue.retryJob() for more info.
+   *
+   * Jobs that depend on a failed job are only retried if that job is retried too.
+   *
+   * @param jobName {string|null} - Name of the jobs to retry. Null retries failed jobs of all names.
+   * @param options {object} - Retry options, see Queue.retryJob().
+   * @param startQueue - {boolean} - Whether or not to immediately begin prcessing queue. If false queue.start() must be manually called.
+   * @throws Throws error if attempts option is invalid.
+   * @return {number} - Number of jobs retried.
+   */
+  retryAllFailed(jobName = null, options = {}, startQueue = true) {
+
+    this.validateRetryOptions(options);
+
+    let retriedJobs = 0;
+
+    this.storage.write(() => {
+
+      const failedJobs = this.storage.find('Job', (jobName) ? { name: jobName, status: 'failed' } : { status: 'failed' });
+      const deadLetterJobs = this.storage.find('DeadLetterJob', (jobName) ? { name: jobName } : {});
+
+      // Check dependencies before anything is reset, a dependency retried in this pass doesn't block its dependents.
+      const retriedJobIds = failedJobs.concat(deadLetterJobs).map( job => job.id );
+      const isRetriable = job => !this.hasFailedDependencies(job, retriedJobIds);
+      const retriableJobs = failedJobs.filter(isRetriable);
+      const retriableDeadLetterJobs = deadLetterJobs.filter(isRetriable);
+
+      retriableJobs.forEach( job => {
+        this.resetFailedJob(job, options);
+        retriedJobs++;
+      });
+
+      retriableDeadLetterJobs.forEach( deadLetterJob => {
+        this.resetFailedJob(this.requeueDeadLetterJob(deadLetterJob), options);
+        retriedJobs++;
+      });
+
+    });
+
+    if (retriedJobs) {
+      this.processNewJobs(startQueue);
+    }
+
+    return retriedJobs;
+
+  }
+
+  /**
+   *
+   * Check whether a job depends on a job that is failed or dead-lettered, in which case retrying it would run it
+   * without its dependency having completed. Jobs with the onDependencyFailed option set to "run" are never blocked.
+   *
+   * @param job {object} - Job or DeadLetterJob storage model object.
+   * @param retriedJobIds {array} - Ids of failed jobs being retried along with job, which don't block it.
+   * @return {boolean} - Whether or not job has a failed dependency.
+   */
+  hasFailedDependencies(job, retriedJobIds = []) {
+
+    if (!job.dependsOn || job.onDependencyFailed == 'run') {
+      return false;
+    }
+
+    return JSON.parse(job.dependsOn).some( dependencyId => {
+
+      if (retriedJobIds.includes(dependencyId)) {
+        return false;
+      }
+
+      const dependency = this.storage.objectForPrimaryKey('Job', dependencyId);
+
+      return (dependency) ? dependency.status == 'failed' : !!this.storage.objectForPrimaryKey('DeadLetterJob', dependencyId);
+
+    });
+
+  }
+
+  /**
+   *
+   * Validate the options of Queue.retryJob() and Queue.retryAllFailed().
+   *
+   * @param options {object} - Retry options.
+   * @throws Throws error if attempts option is invalid.
+   */
+  validateRetryOptions(options) {
+
+    if (options.attempts !== undefined && !(Number.isInteger(options.attempts) && options.attempts > 0)) {
+      throw new Error('Invalid job option.');
+    }
+
+  }
+
+  /**
+   *
+   * Reset a failed job to pending. Must be called inside a storage write transaction.
+   *
+   * @param job {object} - Job storage model object.
+   * @param options {object} - Retry options, see Queue.retryJob().
+   */
+  resetFailedJob(job, options) {
+
+    job.status = 'pending';
+    job.failed = null;
+    job.failedAttempts = 0;
+    job.attempts = options.attempts || job.attempts;
+    job.runAt = null;
+    job.retryAt = null;
+
+    // Next occurrence was already scheduled when job failed, so don't schedule another when retried job finishes.
+    job.recurringJobId = null;
+
+  }
+
+  /**
+   *
+   * Move a job that failed all of its attempts to the dead-letter store, if queue deadLetter option is set.
+   *
+   * Worker onDeadLetter lifecycle callback is called once the current write transaction has finished.
+   *
+   * Must be called inside a storage write transaction, after job has been marked as failed.
+   *
+   * @param job {object} - Job storage model object.
+   */
+  deadLetterJob(job) {
+
+    if (!this.deadLetter) {
+      return;
+    }
+
+    const jobName = job.name;
+    const jobId = job.id;
+    const jobPayload = JSON.parse(job.payload);
+
+    const properties = { deadLettered: new Date() };
+    Object.keys(JobSchema.properties).forEach( property => {
+      properties[property] = job[property];
+    });
+
+    this.storage.create('DeadLetterJob', properties);
+    this.storage.delete(job);
+
+    this.pruneDeadLetterJobs();
+
+    if (this.worker.workers[jobName]) {
+      Promise.resolve().then(() => this.worker.executeJobLifecycleCallback('onDeadLetter', jobName, jobId, jobPayload));
+    }
+
+  }
+
+  /**
+   *
+   * Move a dead-lettered job back to the queue, as it was when it failed.
+   *
+   * Must be called inside a storage write transaction.
+   *
+   * @param deadLetterJob {object} - DeadLetterJob storage model object.
+   * @return {object} - Job storage model object.
+   */
+  requeueDeadLetterJob(deadLetterJob) {
+
+    const properties = {};
+    Object.keys(JobSchema.properties).forEach( property => {
+      properties[property] = deadLetterJob[property];
+    });
+
+    this.storage.delete(deadLetterJob);
+
+    return this.storage.create('Job', properties);
+
+  }
+
+  /**
+   *
+   * Get dead-lettered jobs.
+   *
+   * @param filter {object} - Job filter, see Queue.getJobs(). status filter is not supported, dead-lettered jobs have all failed.
+   * @throws Throws error if filter is invalid.
+   * @return {promise} - Promise that resolves to an array of plain job objects (see Queue.getJobs()) with a deadLettered timestamp.
+   */
+  async getDeadLetterJobs(filter = {}) {
+
+    if (filter && filter.status !== undefined) {
+      throw new Error('Invalid job filter.');
+    }
+
+    const { criteria, sort, limit, offset } = parseJobFilter(filter, DeadLetterJobSchema);
+
+    this.pruneExpiredJobs();
+
+    const deadLetterJobs = this.storage.find('DeadLetterJob', criteria, sort);
+
+    return deadLetterJobs.slice(offset, (limit !== null) ? offset + limit : undefined).map( deadLetterJob => {
+      return { ...toPlainJob(deadLetterJob), deadLettered: deadLetterJob.deadLettered };
+    });
+
+  }
+
+  /**
+   *
+   * Export dead-lettered jobs as JSON, ie to attach them to a support ticket.
+   *
+   * @param filter {object} - Job filter, see Queue.getDeadLetterJobs().
+   * @throws Throws error if filter is invalid.
+   * @return {promise} - Promise that resolves to a JSON string of an array of dead-lettered jobs.
+   */
+  async exportDeadLetterJobs(filter = {}) {
+    return JSON.stringify(await this.getDeadLetterJobs(filter));
+  }
+
+  /**
+   *
+   * Delete dead-lettered jobs, or dead-lettered jobs of type "jobName".
+   *
+   * @param jobName {string|null} - Name of the jobs to delete. Null deletes dead-lettered jobs of all names.
+   * @return {number} - Number of jobs deleted.
+   */
+  purgeDeadLetterJobs(jobName = null) {
+
+    let purgedJobs = 0;
+
+    this.storage.write(() => {
+
+      const deadLetterJobs = this.storage.find('DeadLetterJob', (jobName) ? { name: jobName } : {});
+
+      purgedJobs = deadLetterJobs.length;
+
+      if (purgedJobs) {
+        this.storage.delete(deadLetterJobs);
+      }
+
+    });
+
+    return purgedJobs;
+
+  }
+
+  /**
+   *
+   * Delete dead-lettered jobs past the retention limits of the queue deadLetter option.
+   *
+   * Must be called inside a storage write transaction.
+   *
+   */
+  pruneDeadLetterJobs() {
+
+    // Dead-lettered jobs are kept indefinitely.
+    if (!this.deadLetter || this.deadLetter === true) {
+      return;
+    }
+
+    const { maxAge, maxCount } = this.deadLetter;
+    const deadLetteredBefore = Date.now() - maxAge;
+
+    // Jobs dead-lettered in the same ms are ordered newest job first.
+    const deadLetterJobs = this.storage.find('DeadLetterJob', {}, [['deadLettered', true], ['created', true]]);
+
+    const expiredJobs = deadLetterJobs.filter( (job, index) => {
+      return (maxCount !== undefined && index >= maxCount) || (maxAge !== undefined && job.deadLettered.getTime() < deadLetteredBefore);
+    });
+
+    if (expiredJobs.length) {
+      this.storage.delete(expiredJobs);
+    }
+
+  }
+
+  /**
+   *
+   * Creates a job that recurs on an interval or cron schedule.
+   *
+   * The recurrence definition is persisted under options.key (defaults to job name). Each time an
+   * occurrence completes or fails all attempts, the next occurrence is added to the queue.
+   *
+   * It is safe to call this on every app launch. If a recurring job with the same key already exists,
+   * its definition is updated (changes apply from the next occurrence) and no extra occurrence is created.
+   *
+   * Interval recurring jobs run their first occurrence immediately (or per delay/runAt options).
+   * Cron recurring jobs run their first occurrence at the next time matching the cron expression.
+   *
+   * @param name {string} - Name associated with job. The worker function assigned to this name will be used to execute this job.
+   * @param payload {object} - Object of arbitrary data to be passed into worker function each time job executes.
+   * @param options {object} - Recurrence options (every, cron, key) plus job related options applied to each occurrence. See README.md for recurring job options info.
+   * @param startQueue - {boolean} - Whether or not to immediately begin prcessing queue. If false queue.start() must be manually called.
+   * @return {string} - Key of the recurring job.
+   */
+  createRecurringJob(name, payload = {}, options = {}, startQueue = true) {
+
+    const { every = null, cron = null, key = name, delay, runAt, ...jobOptions } = options;
+
+    // Exactly one of every or cron must be set.
+    if ((every === null) == (cron === null)) {
+      throw new Error('Invalid job option.');
+    }
+
+    if (every !== null && !(Number.isInteger(every) && every > 0)) {
+      throw new Error('Invalid job option.');
+    }
+
+    if (cron !== null && (!isValidCron(cron) || !getNextCronDate(cron))) {
+      throw new Error('Invalid job option.');
+    }
+
+    // Validates the occurrence job options and first occurrence time.
+    const firstJob = this.buildJob(name, payload, { ...jobOptions, delay, runAt }, { recurringJobId: key });
+
+    // Cron jobs first run at the next time matching the cron expression.
+    if (cron !== null) {
+      firstJob.runAt = getNextCronDate(cron, firstJob.runAt || new Date());
+    }
+
+    let created = false;
+
+    this.storage.write(() => {
+
+      let recurringJob = this.storage.objectForPrimaryKey('RecurringJob', key);
+
+      if (recurringJob) {
+
+        recurringJob.name = name;
+        recurringJob.payload = JSON.stringify(payload);
+        recurringJob.options = JSON.stringify(jobOptions);
+        recurringJob.every = every;
+        recurringJob.cron = cron;
+
+        // Don't double schedule if an occurrence is still pending.
+        const nextJob = (recurringJob.nextJobId) ? this.storage.objectForPrimaryKey('Job', recurringJob.nextJobId) : null;
+        if (nextJob && !nextJob.failed && !nextJob.completed) {
+          return;
+        }
+
+      } else {
+
+        recurringJob = this.storage.create('RecurringJob', {
+          id: key,
+          name,
+          payload: JSON.stringify(payload),
+          options: JSON.stringify(jobOptions),
+          every,
+          cron,
+          nextJobId: null,
+          nextRunAt: null,
+          created: new Date()
+        });
+
+      }
+
+      this.storage.create('Job', firstJob);
+      recurringJob.nextJobId = firstJob.id;
+      recurringJob.nextRunAt = firstJob.runAt || firstJob.created;
+      created = true;
+
+    });
+
+    if (created) {
+      this.emit('job:created', { jobId: firstJob.id, jobName: name, payload });
+    }
+
+    this.processNewJobs(startQueue);
+
+    return key;
+
+  }
+
+  /**
+   *
+   * Stop a job from recurring.
+   *
+   * The recurrence definition is deleted along with its pending occurrence (unless
+   * the occurrence is currently being processed, in which case it is left to finish).
+   *
+   * @param key {string} - Key of the recurring job (defaults to job name in createRecurringJob()).
+   */
+  removeRecurringJob(key) {
+
+    this.storage.write(() => {
+
+      const recurringJob = this.storage.objectForPrimaryKey('RecurringJob', key);
+
+      if (!recurringJob) {
+        return;
+      }
+
+      const nextJob = (recurringJob.nextJobId) ? this.storage.objectForPrimaryKey('Job', recurringJob.nextJobId) : null;
+      if (nextJob && !nextJob.active && !nextJob.completed) {
+        this.storage.delete(nextJob);
+      }
+
+      this.storage.delete(recurringJob);
+
+    });
+
+    this.rejectDeletedJobWaiters();
+
+  }
+
+  /**
+   *
+   * Add the next occurrence of a recurring job to the queue.
+   *
+   * Interval occurrences keep to the original cadence, skipping any occurrences missed while app was closed.
+   * Must be called inside a storage write transaction. Pass the returned job to Queue.emitOccurrenceCreated()
+   * once the transaction has finished.
+   *
+   * @param recurringJobId {string} - Key of the recurring job.
+   * @return {object|null} - Properties of the job created for the next occurrence, or null if none was scheduled.
+   */
+  scheduleNextOccurrence(recurringJobId) {
+
+    const recurringJob = this.storage.objectForPrimaryKey('RecurringJob', recurringJobId);
+
+    // Recurring job was removed.
+    if (!recurringJob) {
+      return null;
+    }
+
+    const now = Date.now();
+    const lastRunAt = (recurringJob.nextRunAt) ? recurringJob.nextRunAt.getTime() : now;
+    let runAt = null;
+
+    if (recurringJob.every) {
+      const missedOccurrences = Math.max(Math.floor((now - lastRunAt) / recurringJob.every), 0);
+      runAt = new Date(lastRunAt + (missedOccurrences + 1) * recurringJob.every);
+    } else {
+      runAt = getNextCronDate(recurringJob.cron, new Date(Math.max(now, lastRunAt)));
+    }
+
+    // Cron expression has no future matches.
+    if (!runAt) {
+      return null;
+    }
+
+    const nextJob = this.buildJob(recurringJob.name, JSON.parse(recurringJob.payload), {
+      ...JSON.parse(recurringJob.options),
+      runAt
+    }, { recurringJobId });
+
+    this.storage.create('Job', nextJob);
+    recurringJob.nextJobId = nextJob.id;
+    recurringJob.nextRunAt = runAt;
+
+    return nextJob;
+
+  }
+
+  /**
+   *
+   * Emit job:created for an occurrence scheduled by Queue.scheduleNextOccurrence().
+   *
+   * @param job {object|null} - Job returned by Queue.scheduleNextOccurrence().
+   */
+  emitOccurrenceCreated(job) {
+
+    if (job) {
+      this.emit('job:created', { jobId: job.id, jobName: job.name, payload: JSON.parse(job.payload) });
+    }
+
+  }
+
+  /**
+   *
+   * Validate job options and build the properties of a new job.
+   *
+   * @param name {string} - Name associated with job. The worker function assigned to this name will be used to execute this job.
+   * @param payload {object} - Object of arbitrary data to be passed into worker function when job executes.
+   * @param options {object} - Job related options like timeout etc. See README.md for job options info.
+   * @param properties {object} - Internal job properties to set, ie recurringJobId.
+   * @throws Throws error if job name is not supplied or job options are invalid.
+   * @return {object} - Job properties ready to be passed into storage.create().
+   */
+  buildJob(name, payload = {}, options = {}, properties = {}) {
+
+    if (!name) {
+      throw new Error('Job name must be supplied.');
+    }
+
+    // Validate options
+    if (options.timeout < 0 || options.attempts < 0 || options.delay < 0) {
+      throw new Error('Invalid job option.');
+    }
+
+    // Delayed jobs won't be processed until runAt. An explicit runAt takes precedence over delay.
+    let runAt = null;
+    if (options.runAt !== undefined && options.runAt !== null) {
+      runAt = new Date(options.runAt);
+    } else if (options.delay > 0) {
+      runAt = new Date(Date.now() + options.delay);
+    }
+
+    if (runAt && isNaN(runAt.getTime())) {
+      throw new Error('Invalid job option.');
+    }
+
+    // Job backoff is persisted with the job so it can't be a function.
+    if (options.backoff && (typeof options.backoff === 'function' || !isValidBackoff(options.backoff))) {
+      throw new Error('Invalid job option.');
+    }
+
+    if (options.uniqueKey !== undefined && (typeof options.uniqueKey !== 'string' || !options.uniqueKey)) {
+      throw new Error('Invalid job option.');
+    }
+
+    if (options.onConflict !== undefined && !['ignore', 'replace', 'throw'].includes(options.onConflict)) {
+      throw new Error('Invalid job option.');
+    }
+
+    if (options.dependsOn !== undefined && (!Array.isArray(options.dependsOn) || options.dependsOn.some( jobId => typeof jobId !== 'string' || !jobId))) {
+      throw new Error('Invalid job option.');
+    }
+
+    if (options.onDependencyFailed !== undefined && !['fail', 'cancel', 'run'].includes(options.onDependencyFailed)) {
+      throw new Error('Invalid job option.');
+    }
+
+    if (options.requiresNetwork !== undefined && !networkRequirements.includes(options.requiresNetwork)) {
+      throw new Error('Invalid job option.');
+    }
+
+    if (!isValidDeviceConstraints(options)) {
+      throw new Error('Invalid job option.');
+    }
+
+    return {
+      id: uuid.v4(),
+      name,
+      payload: JSON.stringify(payload),
+      attempts: options.attempts || 1,
+      failedAttempts: 0,
+      errors: JSON.stringify([]),
+      backoff: (options.backoff) ? JSON.stringify(options.backoff) : null,
+      retryAt: null,
+      onDependencyFailed: options.onDependencyFailed || null,
+      requiresNetwork: options.requiresNetwork || null,
+      requiresCharging: (options.requiresCharging !== undefined) ? options.requiresCharging : null,
+      minBatteryLevel: (options.minBatteryLevel !== undefined) ? options.minBatteryLevel : null,
+      requiresDeviceIdle: (options.requiresDeviceIdle !== undefined) ? options.requiresDeviceIdle : null,
+      minFreeStorage: (options.minFreeStorage !== undefined) ? options.minFreeStorage : null,
+      recurringJobId: null,
+      priority: options.priority || 0,
+      active: false,
+      status: 'pending',
+      timeout: (options.timeout >= 0) ? options.timeout : 25000,
+      created: new Date(),
+      runAt,
+      uniqueKey: options.uniqueKey || null,
+      dependsOn: (options.dependsOn && options.dependsOn.length) ? JSON.stringify(options.dependsOn) : null,
+      failed: null,
+      ...properties
+    };
+
+  }
+
+  /**
+   *
+   * Let the queue know new jobs have been added.
+   *
+   * Starts the queue if it isn't running (unless startQueue is false). If queue is running
+   * but asleep waiting on a delayed job, wakes it up so it picks up the new jobs.
+   *
+   * @param startQueue - {boolean} - Whether or not to start queue if it isn't running.
+   */
+  processNewJobs(startQueue = true) {
+
+    if (startQueue && this.status == 'inactive') {
+      this.start();
+    } else if (this.wakeUp) {
+      this.wakeUp();
+    }
+
+  }
+
+  /**
+   *
+   * Start processing the queue.
+   *
+   * If queue was not started automatically during queue.createJob(), this
+   * method should be used to manually start the queue.
+   *
+   * If queue.start() is called again when queue is already running,
+   * queue.start() will return early with a false boolean value instead
+   * of running multiple queue processing loops concurrently.
+   *
+   * Lifespan can be passed to start() in order to run the queue for a specific amount of time before stopping.
+   * This is useful, as an example, for OS background tasks which typically are time limited.
+   *
+   * NOTE: If lifespan is set, only jobs with a timeout property at least 500ms less than remaining lifespan will be processed
+   * during queue processing lifespan. This is to buffer for the small amount of time required to query Realm for suitable
+   * jobs, and to mark such jobs as complete or failed when job finishes processing.
+   *
+   * IMPORTANT: Jobs with timeout set to 0 that run indefinitely will not be processed if the queue is running with a lifespan.
+   *
+   * If only delayed jobs remain, the queue sleeps until the next one is due instead of stopping. When running with a
+   * lifespan, the queue only sleeps if the next delayed job is due at least 500ms before lifespan ends.
+   *
+   * Jobs are processed in slots: as soon as a running job finishes, its slot is filled with the next job instead of
+   * waiting for every running job to finish. See Queue.getConcurrentJobs() for how slots are filled.
+   *
+   * If queue.start() is called after queue.stop() while jobs started before the stop are still running, the queue
+   * starts again once they have finished, so there is only ever one processing loop.
+   *
+   * @param lifespan {number} - If lifespan is passed, the queue will start up and run for lifespan ms, then queue will be stopped.
+   * @return {promise} - Promise that resolves to false if queue is already started. Otherwise it resolves to nothing when queue finishes processing.
+   */
+  async start(lifespan = 0) {
+
+    // If queue is already running, don't fire up concurrent loop.
+    if (this.status == 'active') {
+      return false;
+    }
+
+    // Queue was stopped but its loop is still waiting on running jobs, start again once they have finished.
+    if (this.processingLoop) {
+      return this.processingLoop.then(() => this.start(lifespan));
+    }
+
+    this.status = 'active';
+    this.emit('queue:start');
+
+    this.processingLoop = this.runProcessingLoop(lifespan);
+
+    try {
+      await this.processingLoop;
+    } finally {
+      this.processingLoop = null;
+    }
+
+    this.status = 'inactive';
+    this.emit('queue:stop');
+
+  }
+
+  /**
+   *
+   * Process jobs until the queue is stopped, runs out of jobs or reaches the end of its lifespan.
+   *
+   * Jobs that were selected by Queue.getConcurrentJobs() are always processed, since they are already marked
+   * active. Once the queue is stopped no more jobs are selected, and the loop waits for running jobs to finish.
+   *
+   * @param lifespan {number} - Time in ms the queue runs for (0 means no limit). See Queue.start().
+   * @return {promise} - Promise that resolves once the loop and every job it started have finished.
+   */
+  async runProcessingLoop(lifespan) {
+
+    // Get jobs to process
+    const startTime = Date.now();
+    let lifespanRemaining = null;
+    let concurrentJobs = [];
+    let idle = false;
+
+    // Don't select jobs against the placeholder state of providers that haven't loaded the device state yet
+    // (ie NetInfo and DeviceInfo report asynchronously), so jobs aren't skipped when the queue runs with a lifespan.
+    await Promise.all(this.getConditionProviders()
+      .filter( provider => typeof provider.ready === 'function')
+      .map( provider => provider.ready()));
+
+    if (lifespan !== 0) {
+      lifespanRemaining = lifespan - (Date.now() - startTime);
+      lifespanRemaining = (lifespanRemaining === 0) ? -1 : lifespanRemaining; // Handle exactly zero lifespan remaining edge case.
+      concurrentJobs = await this.getConcurrentJobs(lifespanRemaining);
+    } else {
+      concurrentJobs = await this.getConcurrentJobs();
+    }
+
+    for (;;) {
+
+      // Start processing jobs without waiting on jobs that are already running.
+      // Promise Reflect ensures processing promises always resolve, even if a job fails.
+      // Jobs of batch workers are processed in batches.
+      this.groupJobBatches(concurrentJobs).forEach( jobOrBatch => {
+
+        const isBatch = Array.isArray(jobOrBatch);
+        const processingId = (isBatch) ? jobOrBatch[0].id : jobOrBatch.id;
+        const processing = (isBatch) ? this.processBatch(jobOrBatch) : this.processJob(jobOrBatch);
+
+        this.processingJobs[processingId] = promiseReflect(processing).then(() => {
+          delete this.processingJobs[processingId];
+        });
+
+      });
+
+      if (this.status != 'active') {
+        break;
+      }
+
+      const runningJobs = Object.keys(this.processingJobs).map( jobId => this.processingJobs[jobId]);
+
+      // Only emit idle once until jobs are processed again.
+      if (!runningJobs.length && !idle) {
+        this.emit('queue:idle');
+      }
+      idle = !runningJobs.length;
+
+      // Free slots have been filled, so wait for a running job to free up a slot or for the next delayed
+      // job to be due. Stop if nothing is running and there are no delayed jobs.
+      const nextRunAt = (lifespan !== 0) ? await this.getNextRunAt(lifespanRemaining) : await this.getNextRunAt();
+
+      if (!runningJobs.length && !nextRunAt) {
+        break;
+      }
+
+      const sleepTime = (nextRunAt) ? Math.max(nextRunAt.getTime() - Date.now(), 0) : Infinity;
+
+      if (!runningJobs.length && lifespan !== 0 && sleepTime >= lifespanRemaining - 500) {
+        break;
+      }
+
+      await Promise.race([this.sleep(sleepTime), ...runningJobs]);
+
+      // Clear sleep timer if a running job finished first.
+      if (this.wakeUp) {
+        this.wakeUp();
+      }
+
+      // Don't mark more jobs active once queue has been stopped.
+      if (this.status != 'active') {
+        break;
+      }
+
+      // Get next jobs to fill free slots.
+      if (lifespan !== 0) {
+        lifespanRemaining = lifespan - (Date.now() - startTime);
+        lifespanRemaining = (lifespanRemaining === 0) ? -1 : lifespanRemaining; // Handle exactly zero lifespan remaining edge case.
+        concurrentJobs = await this.getConcurrentJobs(lifespanRemaining);
+      } else {
+        concurrentJobs = await this.getConcurrentJobs();
+      }
+
+    }
+
+    // Let running jobs finish before queue is considered stopped.
+    await Promise.all(Object.keys(this.processingJobs).map( jobId => this.processingJobs[jobId]));
+
+  }
+
+  /**
+   *
+   * Stop processing queue.
+   *
+   * If queue.stop() is called, queue will stop processing until
+   * queue is restarted by either queue.createJob() or queue.start().
+   *
+   */
+  stop() {
+    this.status = 'inactive';
+    this.stopWaitingForConditions();
+
+    if (this.wakeUp) {
+      this.wakeUp();
+    }
+  }
+
+  /**
+   *
+   * Pause the queue processing loop.
+   *
+   * Sleep is cut short by queue.stop() or queue.createJob(). Sleep time is capped at the
+   * max setTimeout() delay, the processing loop will simply go back to sleep if needed.
+   *
+   * @param ms {number} - Time in ms to sleep for.
+   * @return {promise} - Promise that resolves when queue wakes up.
+   */
+  sleep(ms) {
+
+    return new Promise((resolve) => {
+
+      const timer = setTimeout(() => {
+        this.wakeUp = null;
+        resolve();
+      }, Math.min(ms, 2147483647));
+
+      this.wakeUp = () => {
+        clearTimeout(timer);
+        this.wakeUp = null;
+        resolve();
+      };
+
+    });
+
+  }
+
+  /**
+   *
+   * Get jobs in the queue.
+   *
+   * Called with a filter object, resolves to plain job objects with payload, errors, backoff, dependsOn and result
+   * deserialized. Filter options (all optional):
+   *
+   *  name {string} - Only jobs with this name.
+   *  status {string|array} - Only jobs with this status (or one of these statuses): "pending", "active", "paused", "cancelled", "completed" or "failed".
+   *  priorityMin / priorityMax {number} - Only jobs with at least / at most this priority.
+   *  createdAfter / createdBefore {Date|number} - Only jobs created after / before this time.
+   *  limit {number} - Max number of jobs to return.
+   *  offset {number} - Number of jobs to skip.
+   *  sort {string|array} - Job properties to sort by, prefixed with "-" for descending order (ie "-priority"). Defaults to "created".
+   *
+   * Called with a boolean (or nothing, or null), resolves to the storage model objects of all jobs in the queue.
+   *
+   * @param filter {object|boolean} - Job filter. If boolean, this should be true if you want to guarantee job data is fresh. Otherwise you could receive job data that is not up to date if a write transaction is occuring concurrently.
+   * @throws Throws error if filter is invalid.
+   * @return {promise} - Promise that resolves to an array of jobs.
+   */
+  async getJobs(filter = false) {
+
+    this.pruneExpiredJobs();
+
+    if (filter && typeof filter === 'object') {
+
+      const { criteria, sort, limit, offset } = parseJobFilter(filter);
+      const jobs = this.storage.find('Job', criteria, sort);
+
+      return jobs.slice(offset, (limit !== null) ? offset + limit : undefined).map(toPlainJob);
+
+    }
+
+    if (filter) {
+
+      let jobs = null;
+      this.storage.write(() => {
+
+        jobs = this.storage.find('Job');
+
+      });
+
+      return jobs;
+
+    } else {
+      return await this.storage.find('Job');
+    }
+
+  }
+
+  /**
+   *
+   * Get a job by id.
+   *
+   * @param jobId {string} - Id of the job.
+   * @return {promise} - Promise that resolves to a plain job object (see Queue.getJobs()), or null if job does not exist.
+   */
+  async getJob(jobId) {
+
+    this.pruneExpiredJobs();
+
+    const job = this.storage.objectForPrimaryKey('Job', jobId);
+
+    return (job) ? toPlainJob(job) : null;
+
+  }
+
+  /**
+   *
+   * Count jobs in the queue.
+   *
+   * @param filter {object} - Job filter, see Queue.getJobs(). limit, offset and sort are ignored.
+   * @throws Throws error if filter is invalid.
+   * @return {promise} - Promise that resolves to the number of jobs matching filter.
+   */
+  async countJobs(filter = {}) {
+
+    const { criteria } = parseJobFilter(filter);
+
+    this.pruneExpiredJobs();
+
+    return this.storage.find('Job', criteria).length;
+
+  }
+
+  /**
+   *
+   * Get the next job(s) that should be processed by the queue.
+   *
+   * Jobs are returned to fill the free slots of the queue, taking into account the jobs this queue instance
+   * is already processing. Jobs with the same name never take up more slots than their worker concurrency.
+   *
+   * By default the queue works through one job name at a time: if the next job to be processed by the queue is
+   * associated with a worker function that has concurrency X > 1, then up to X related (jobs with same name)
+   * jobs will be running at once. Jobs with another name are not returned until running jobs have finished.
+   *
+   * If queue maxConcurrency option is set, free slots are filled from any job names in priority order,
+   * up to maxConcurrency jobs running at once.
+   *
+   * Jobs are not returned until all jobs they depend on have completed. See Queue.hasPendingDependencies() for more info.
+   * Paused jobs, and jobs with names paused by queue.pauseWorker(), are not returned until they are resumed.
+   * Jobs that require network or have device constraints are not returned while they aren't met, see Queue.getUnmetConditionProviders().
+   * Jobs past their worker's rateLimit are not returned until the rate limit window has room, see Queue.getRateLimiter().
+   *
+   * Jobs of batch workers take up one slot per batch of up to batchSize jobs, see Queue.groupJobBatches(). If jobs would make
+   * up a partial batch, they are not returned until the oldest of them has waited for the worker batchWindow.
+   *
+   * If queue is running with a lifespan, only jobs with timeouts at least 500ms < than REMAINING lifespan
+   * AND a set timeout (ie timeout > 0) will be returned. See Queue.start() for more info.
+   *
+   * Jobs are read from storage a page of Config.JOB_SELECTION_PAGE_SIZE jobs at first, see Queue.selectJobs().
+   *
+   * @param queueLifespanRemaining {number} - The remaining lifespan of the current queue process (defaults to indefinite).
+   * @return {promise} - Promise resolves to an array of job(s) to be processed next by the queue.
+   */
+  async getConcurrentJobs(queueLifespanRemaining = 0) {
+
+    // Count running slots per job name. A batch of jobs takes up a single slot.
+    const runningSlotIds = {};
+    const runningJobCounts = {};
+    Object.keys(this.runningJobs).forEach( jobId => {
+
+      const { name, batchId } = this.runningJobs[jobId];
+      const slotId = batchId || jobId;
+
+      if (!runningSlotIds[slotId]) {
+        runningSlotIds[slotId] = true;
+        runningJobCounts[name] = (runningJobCounts[name] || 0) + 1;
+      }
+
+    });
+    const runningSlotCount = Object.keys(runningSlotIds).length;
+
+    // All slots are taken.
+    if (this.maxConcurrency !== null && runningSlotCount >= this.maxConcurrency) {
+      return [];
+    }
+
+    // Delayed jobs are only selected once runAt has passed.
+    const now = new Date();
+
+    const criteria = {
+      active: false,
+      failed: null,
+      completed: null,
+      status: { $ne: 'paused' },
+      $or: [{ runAt: null }, { runAt: { $lte: now } }]
+    };
+
+    // Skip jobs with paused names.
+    if (this.pausedJobNames.length) {
+      criteria.name = { $nin: this.pausedJobNames };
+    }
+
+    // Only get jobs with timeout at least 500ms < queueLifespanRemaining.
+    if (queueLifespanRemaining) {
+      const timeoutUpperBound = (queueLifespanRemaining - 500 > 0) ? queueLifespanRemaining - 499 : 0;
+      criteria.timeout = { $gt: 0, $lt: timeoutUpperBound };
+    }
+
+    let selection = null;
+
+    this.storage.write(() => {
+
+      // Read jobs a page at a time in processing order until reading more jobs can't change the selection,
+      // so each pass only reads the jobs it needs rather than every pending job. See Queue.selectJobs().
+      for (let limit = Config.JOB_SELECTION_PAGE_SIZE; ; limit *= 2) {
+
+        const jobs = this.storage.find('Job', criteria, [['priority', true], ['created', false]], limit);
+
+        selection = this.selectJobs(jobs, runningJobCounts, runningSlotCount, now);
+
+        if (jobs.length < limit || selection.complete) {
+          break;
+        }
+
+      }
+
+      // Mark concurrent jobs as active. Lease is renewed while they are being processed, see Queue.renewJobLeases().
+      // Storage adapters return arrays, so marking jobs as active doesn't remove them from the selection.
+      const leaseExpires = new Date(now.getTime() + Config.JOB_LEASE_DURATION);
+      const selectedNameCounts = {};
+      selection.jobs.forEach( job => {
+        job.active = true;
+        job.status = 'active';
+        job.leaseExpires = leaseExpires;
+        job.progress = null; // Progress is reported anew by each attempt.
+        job.progressMeta = null;
+        selectedNameCounts[job.name] = (selectedNameCounts[job.name] || 0) + 1;
+      });
+
+      // Count one worker call per job, or per batch for batch workers, against rate limits.
+      Object.keys(selectedNameCounts).forEach( jobName => {
+
+        const rateLimiter = this.getRateLimiter(jobName);
+        const workerCalls = Math.ceil(selectedNameCounts[jobName] / (this.worker.getBatchSize(jobName) || 1));
+
+        for (let call = 0; rateLimiter && call < workerCalls; call++) {
+          rateLimiter.consume(now.getTime());
+        }
+
+      });
+
+    });
+
+    const { jobs: concurrentJobs, unmetProviders, rateLimitedNames, batchDueTimes } = selection;
+
+    // Queue restarts once the state skipped jobs are waiting on changes, unless it is running with a lifespan (ie in an
+    // OS background task). Providers are listened to outside the write transaction, as they may call back synchronously.
+    if (unmetProviders.length && !queueLifespanRemaining) {
+      this.waitForConditions(unmetProviders);
+    }
+
+    // Remember when held back jobs are due, so the queue sleeps until then. See Queue.getNextRunAt().
+    // Rate limited names that still have room are only held back by concurrency, a running job finishing frees them up.
+    const rateLimitDueTimes = rateLimitedNames
+      .map( jobName => this.getRateLimiter(jobName))
+      .filter( rateLimiter => rateLimiter.getRemaining(now.getTime()) == 0)
+      .map( rateLimiter => rateLimiter.getNextAvailableAt(now.getTime()).getTime());
+
+    const dueTimes = rateLimitDueTimes.concat(batchDueTimes);
+    this.heldUntil = (dueTimes.length) ? new Date(Math.min(...dueTimes)) : null;
+
+    return concurrentJobs;
+
+  }
+
+  /**
+   *
+   * Select the jobs to process next among the first jobs in processing order, see Queue.getConcurrentJobs().
+   *
+   * The selection is complete once reading more jobs can't change it: free slots are filled (or the next job waits for
+   * running jobs with another name), batches are full, and no job before the last one considered was held back as part
+   * of a partial batch, since later jobs could still fill that batch.
+   *
+   * @param jobs {array} - First jobs in processing order that are due and aren't active, paused or finished.
+   * @param runningJobCounts {object} - Number of running slots per job name.
+   * @param runningSlotCount {number} - Number of running slots.
+   * @param now {Date} - Time jobs are selected at.
+   * @return {object} - Selected jobs, whether selection is complete, unmetProviders skipped jobs are waiting on,
+   * rateLimitedNames of jobs skipped by their rate limit and batchDueTimes of partial batches held back.
+   */
+  selectJobs(jobs, runningJobCounts, runningSlotCount, now) {
+
+    const unmetProviders = [];
+    const rateLimitedNames = [];
+    const batchDueTimes = [];
+
+    // Skip jobs that are waiting on dependencies, and jobs whose network requirement or device constraints aren't met.
+    const runnableJobs = jobs.filter( job => {
+
+      if (this.hasPendingDependencies(job)) {
+        return false;
+      }
+
+      const jobUnmetProviders = this.getUnmetConditionProviders(job);
+      unmetProviders.push(...jobUnmetProviders);
+      return !jobUnmetProviders.length;
+
+    });
+
+    // Skip jobs past the rate limit of their worker. Rate limits count worker calls, so a batch counts once.
+    const rateLimitRemaining = {};
+    const allowedJobs = runnableJobs.filter( job => {
+
+      const rateLimiter = this.getRateLimiter(job.name);
+
+      if (!rateLimiter) {
+        return true;
+      }
+
+      if (rateLimitRemaining[job.name] === undefined) {
+        rateLimitRemaining[job.name] = rateLimiter.getRemaining(now.getTime()) * (this.worker.getBatchSize(job.name) || 1);
+      }
+
+      if (rateLimitRemaining[job.name] > 0) {
+        rateLimitRemaining[job.name]--;
+        return true;
+      }
+
+      if (!rateLimitedNames.includes(job.name)) {
+        rateLimitedNames.push(job.name);
+      }
+
+      return false;
+
+    });
+
+    // Hold back jobs that would make up a partial batch until the oldest of them has waited for the batch window.
+    const batchWindowJobs = {};
+    allowedJobs.forEach( job => {
+      if (this.worker.getBatchSize(job.name) && this.worker.getBatchWindow(job.name)) {
+        batchWindowJobs[job.name] = (batchWindowJobs[job.name] || []).concat(job);
+      }
+    });
+
+    const heldJobs = [];
+    Object.keys(batchWindowJobs).forEach( jobName => {
+
+      const nameJobs = batchWindowJobs[jobName];
+      const partialBatchJobs = nameJobs.slice(nameJobs.length - (nameJobs.length % this.worker.getBatchSize(jobName)));
+
+      if (!partialBatchJobs.length) {
+        return;
+      }
+
+      const readyAt = Math.min(...partialBatchJobs.map( job => (job.runAt || job.created).getTime()));
+      const dueAt = readyAt + this.worker.getBatchWindow(jobName);
+
+      if (dueAt > now.getTime()) {
+        heldJobs.push(...partialBatchJobs);
+        batchDueTimes.push(dueAt);
+      }
+
+    });
+
+    const readyJobs = allowedJobs.filter( job => !heldJobs.includes(job));
+
+    let selectedJobs = [];
+    let slotsFilled = false;
+    let lastConsideredJob = null;
+
+    if (this.maxConcurrency !== null) {
+
+      // Fill free slots from any job names, honoring worker concurrency. Batches take up one slot per batchSize jobs.
+      const selectedJobCounts = { ...runningJobCounts };
+      const openBatchSizes = {};
+      let freeSlots = this.maxConcurrency - runningSlotCount;
+
+      readyJobs.forEach( job => {
+
+        const batchSize = this.worker.getBatchSize(job.name) || 1;
+
+        if (openBatchSizes[job.name] && openBatchSizes[job.name] < batchSize) {
+          selectedJobs.push(job);
+          openBatchSizes[job.name]++;
+          lastConsideredJob = job;
+          return;
+        }
+
+        if (freeSlots <= 0 || (selectedJobCounts[job.name] || 0) >= this.worker.getConcurrency(job.name)) {
+          return;
+        }
+
+        selectedJobs.push(job);
+        openBatchSizes[job.name] = 1;
+        selectedJobCounts[job.name] = (selectedJobCounts[job.name] || 0) + 1;
+        freeSlots--;
+        lastConsideredJob = job;
+
+      });
+
+      slotsFilled = freeSlots <= 0 && Object.keys(openBatchSizes).every( jobName => openBatchSizes[jobName] >= (this.worker.getBatchSize(jobName) || 1));
+
+    } else if (readyJobs.length) {
+
+      // Get next job from queue. Wait for running jobs to finish if it has a different name.
+      const nextJob = readyJobs[0];
+      const runningJobNames = Object.keys(runningJobCounts);
+
+      lastConsideredJob = nextJob;
+
+      if (runningJobNames.length && !runningJobNames.includes(nextJob.name)) {
+
+        slotsFilled = true;
+
+      } else {
+
+        // Get concurrent related jobs appropriately.
+        const freeSlots = this.worker.getConcurrency(nextJob.name) - (runningJobCounts[nextJob.name] || 0);
+        const maxJobs = Math.max(freeSlots, 0) * (this.worker.getBatchSize(nextJob.name) || 1);
+
+        selectedJobs = readyJobs
+          .filter( job => job.name == nextJob.name)
+          .slice(0, maxJobs);
+
+        slotsFilled = selectedJobs.length >= maxJobs;
+        lastConsideredJob = selectedJobs[selectedJobs.length - 1] || nextJob;
+
+      }
+
+    }
+
+    const lastConsideredIndex = jobs.indexOf(lastConsideredJob);
+    const complete = slotsFilled && heldJobs.every( job => jobs.indexOf(job) > lastConsideredIndex);
+
+    return { jobs: selectedJobs, complete, unmetProviders, rateLimitedNames, batchDueTimes };
+
+  }
+
+  /**
+   *
+   * Group jobs returned by Queue.getConcurrentJobs() into batches for batch workers.
+   *
+   * Jobs of batch workers are grouped by name in order, up to the worker batchSize per batch. Other jobs are left as is.
+   *
+   * @param jobs {array} - Job realm model objects.
+   * @return {array} - Jobs and arrays of jobs (batches), in the order of their first job.
+   */
+  groupJobBatches(jobs) {
+
+    const jobsAndBatches = [];
+    const openBatches = {};
+
+    jobs.forEach( job => {
+
+      const batchSize = this.worker.getBatchSize(job.name);
+
+      if (!batchSize) {
+        jobsAndBatches.push(job);
+        return;
+      }
+
+      if (!openBatches[job.name] || openBatches[job.name].length >= batchSize) {
+        openBatches[job.name] = [];
+        jobsAndBatches.push(openBatches[job.name]);
+      }
+
+      openBatches[job.name].push(job);
+
+    });
+
+    return jobsAndBatches;
+
+  }
+
+  /**
+   *
+   * Check whether a job is still waiting on any of the jobs it depends on.
+   *
+   * A dependency that no longer exists or has a completed timestamp has completed successfully. A dependency that
+   * failed only still exists for jobs with onDependencyFailed set to "run", since jobs with other policies
+   * are resolved as soon as the dependency fails. See Queue.failDependents() for more info.
+   *
+   * @param job {object} - Job realm model object
+   * @return {boolean} - Whether or not job has dependencies that haven't finished processing.
+   */
+  hasPendingDependencies(job) {
+
+    if (!job.dependsOn) {
+      return false;
+    }
+
+    return JSON.parse(job.dependsOn).some( dependencyId => {
+      const dependency = this.storage.objectForPrimaryKey('Job', dependencyId);
+      return dependency && !dependency.failed && !dependency.completed;
+    });
+
+  }
+
+  /**
+   *
+   * Check whether the connectivity a job requires is available.
+   *
+   * Job requiresNetwork takes precedence over worker requiresNetwork. "any" needs a network connection,
+   * "unmetered" needs a connection that isn't billed by usage (ie wifi rather than cellular).
+   *
+   * @param job {object} - Job realm model object
+   * @return {boolean} - Whether or not job can run with the current connectivity.
+   */
+  isNetworkRequirementMet(job) {
+
+    const requiresNetwork = job.requiresNetwork || this.worker.getRequiresNetwork(job.name);
+
+    if (!requiresNetwork) {
+      return true;
+    }
+
+    const { connected, unmetered } = this.connectivity.getState();
+
+    return (requiresNetwork == 'unmetered') ? connected && unmetered : connected;
+
+  }
+
+  /**
+   *
+   * Get the rate limiter of a job name.
+   *
+   * Rate limiters are kept for the lifetime of the queue instance, so they carry over when the queue is stopped and
+   * started again. A new rate limiter is created if the worker is re-added with another rateLimit option.
+   *
+   * @param jobName {string} - Name associated with jobs assigned to the worker.
+   * @return {RateLimiter|null} - Rate limiter, or null if worker has no rateLimit option.
+   */
+  getRateLimiter(jobName) {
+
+    const rateLimit = this.worker.getRateLimit(jobName);
+
+    if (!rateLimit) {
+      return null;
+    }
+
+    if (!this.rateLimiters[jobName] || this.rateLimiters[jobName].rateLimit !== rateLimit) {
+      this.rateLimiters[jobName] = new RateLimiter(rateLimit);
+    }
+
+    return this.rateLimiters[jobName];
+
+  }
+
+  /**
+   *
+   * Get the device constraints of a job.
+   *
+   * Job device constraints take precedence over worker device constraints.
+   *
+   * @param job {object} - Job realm model object
+   * @return {object} - requiresCharging, minBatteryLevel, requiresDeviceIdle and minFreeStorage (null if not set).
+   */
+  getDeviceConstraints(job) {
+
+    const workerConstraints = this.worker.getDeviceConstraints(job.name);
+    const constraints = {};
+
+    deviceConstraints.forEach( constraint => {
+      constraints[constraint] = (job[constraint] !== null && job[constraint] !== undefined) ? job[constraint] : workerConstraints[constraint];
+    });
+
+    return constraints;
+
+  }
+
+  /**
+   *
+   * Check whether the device state a job requires is met.
+   *
+   * minBatteryLevel is met while the device is charging, whatever the battery level. Unknown battery level
+   * or free storage doesn't meet minBatteryLevel or minFreeStorage.
+   *
+   * @param job {object} - Job realm model object
+   * @return {boolean} - Whether or not job can run in the current device state.
+   */
+  areDeviceConstraintsMet(job) {
+
+    const { requiresCharging, minBatteryLevel, requiresDeviceIdle, minFreeStorage } = this.getDeviceConstraints(job);
+
+    if (!requiresCharging && minBatteryLevel === null && !requiresDeviceIdle && minFreeStorage === null) {
+      return true;
+    }
+
+    const { charging, batteryLevel, idle, freeStorage } = this.deviceState.getState();
+
+    return (!requiresCharging || charging)
+      && (minBatteryLevel === null || charging || (batteryLevel !== null && batteryLevel >= minBatteryLevel))
+      && (!requiresDeviceIdle || idle)
+      && (minFreeStorage === null || (freeStorage !== null && freeStorage >= minFreeStorage));
+
+  }
+
+  /**
+   *
+   * Get the state providers that jobs in the queue have conditions on.
+   *
+   * @return {array} - Connectivity provider if a worker or pending job requires network, device state provider if one has device constraints.
+   */
+  getConditionProviders() {
+
+    const jobNames = Object.keys(this.worker.workers);
+    const providers = [];
+
+    const requiresNetwork = jobNames.some( jobName => this.worker.getRequiresNetwork(jobName))
+      || this.storage.find('Job', { status: 'pending', requiresNetwork: { $ne: null } }).length > 0;
+
+    if (requiresNetwork) {
+      providers.push(this.connectivity);
+    }
+
+    const workerHasDeviceConstraints = jobNames.some( jobName => {
+      const workerConstraints = this.worker.getDeviceConstraints(jobName);
+      return deviceConstraints.some( constraint => workerConstraints[constraint] !== null);
+    });
+    const jobCriteria = { status: 'pending', $or: deviceConstraints.map( constraint => ({ [constraint]: { $ne: null } })) };
+    const hasDeviceConstraints = workerHasDeviceConstraints || this.storage.find('Job', jobCriteria).length > 0;
+
+    if (hasDeviceConstraints) {
+      providers.push(this.deviceState);
+    }
+
+    return providers;
+
+  }
+
+  /**
+   *
+   * Get the state providers whose state keeps a job from running.
+   *
+   * @param job {object} - Job realm model object
+   * @return {array} - Connectivity provider if job network requirement isn't met, device state provider if job device constraints aren't met.
+   */
+  getUnmetConditionProviders(job) {
+
+    const unmetProviders = [];
+
+    if (!this.isNetworkRequirementMet(job)) {
+      unmetProviders.push(this.connectivity);
+    }
+
+    if (!this.areDeviceConstraintsMet(job)) {
+      unmetProviders.push(this.deviceState);
+    }
+
+    return unmetProviders;
+
+  }
+
+  /**
+   *
+   * Restart the queue the next time the state of one of the passed in providers changes, so skipped jobs are picked up.
+   *
+   * Providers are only listened to once a job has been skipped because of them, and stop being listened to once
+   * the queue restarts (they are listened to again if jobs are still skipped). Calling queue.stop() cancels the restart.
+   *
+   * @param providers {array} - State providers skipped jobs are waiting on, ie the connectivity provider.
+   */
+  waitForConditions(providers) {
+
+    this.waitingOnConditions = true;
+
+    providers.forEach( provider => {
+
+      if (this.conditionListeners.has(provider)) {
+        return;
+      }
+
+      this.conditionListeners.set(provider, provider.addListener(() => {
+
+        if (this.waitingOnConditions) {
+          this.stopWaitingForConditions();
+          this.processNewJobs();
+        }
+
+      }));
+
+    });
+
+  }
+
+  /**
+   *
+   * Cancel the restart scheduled by Queue.waitForConditions() and remove its provider listeners,
+   * so providers can stop tracking state nobody needs (ie polling DeviceInfo).
+   *
+   */
+  stopWaitingForConditions() {
+
+    this.waitingOnConditions = false;
+
+    this.conditionListeners.forEach( removeListener => removeListener());
+    this.conditionListeners.clear();
+
+  }
+
+  /**
+   *
+   * Apply the onDependencyFailed policy of jobs that depend on a job that failed or was cancelled.
+   *
+   * "fail" marks dependent jobs as failed, "cancel" deletes them, and "run" leaves them to be processed anyway.
+   * Jobs that depend on the failed or cancelled dependents are resolved in turn.
+   *
+   * Must be called inside a storage write transaction.
+   *
+   * @param jobId {string} - Id of the job that failed or was cancelled.
+   * @param reason {string} - What happened to the job, used in the error logged to dependent jobs.
+   */
+  failDependents(jobId, reason = 'failed') {
+
+    const dependents = this.storage.find('Job', {
+      dependsOn: { $contains: jobId },
+      active: false,
+      failed: null,
+      completed: null
+    });
+
+    dependents.forEach( dependent => {
+
+      const dependentId = dependent.id;
+      const onDependencyFailed = dependent.onDependencyFailed;
+
+      if (onDependencyFailed == 'run') {
+        return;
+      }
+
+      const error = new Error('Dependency ' + jobId + ' ' + reason + '.');
+
+      if (onDependencyFailed == 'cancel') {
+
+        this.storage.delete(dependent);
+
+      } else {
+
+        logJobError(dependent, error);
+        dependent.failed = new Date();
+        dependent.status = 'failed';
+
+      }
+
+      this.settleJobWaiters(dependentId, error);
+
+      this.failDependents(dependentId);
+
+      if (onDependencyFailed != 'cancel') {
+        this.deadLetterJob(dependent);
+      }
+
+    });
+
+  }
+
+  /**
+   *
+   * Get the time at which the next delayed job becomes eligible for processing.
+   *
+   * If queue is running with a lifespan, only delayed jobs that could be processed
+   * during the lifespan are considered. Jobs with paused names are ignored. See Queue.getConcurrentJobs() for more info.
+   *
+   * Jobs held back in the last Queue.getConcurrentJobs() call are due once their worker's rate limit has room again, or once
+   * their partial batch has waited for the batch window.
+   *
+   * @param queueLifespanRemaining {number} - The remaining lifespan of the current queue process (defaults to indefinite).
+   * @return {promise} - Promise resolves to the runAt date of the next delayed job (or held back job), or null if there are none.
+   */
+  async getNextRunAt(queueLifespanRemaining = 0) {
+
+    const criteria = {
+      active: false,
+      failed: null,
+      completed: null,
+      status: { $ne: 'paused' },
+      runAt: { $gt: new Date() }
+    };
+
+    if (this.pausedJobNames.length) {
+      criteria.name = { $nin: this.pausedJobNames };
+    }
+
+    if (queueLifespanRemaining) {
+      const timeoutUpperBound = (queueLifespanRemaining - 500 > 0) ? queueLifespanRemaining - 499 : 0;
+      criteria.timeout = { $gt: 0, $lt: timeoutUpperBound };
+    }
+
+    const [nextJob] = this.storage.find('Job', criteria, [['runAt', false]], 1);
+    const nextRunAt = (nextJob) ? nextJob.runAt : null;
+
+    // Rate limited jobs and partial batches held back by Queue.getConcurrentJobs() are due later on.
+    if (this.heldUntil && (!nextRunAt || this.heldUntil < nextRunAt)) {
+      return this.heldUntil;
     }
+
+    return nextRunAt;
+
   }
 
   /**
    *
-   * Add a worker function to the queue.
-   *
-   * Worker will be called to execute jobs associated with jobName.
+   * Process a job.
    *
-   * Worker function will receive job id and job payload as parameters.
+   * Job lifecycle callbacks are called as appropriate throughout the job processing lifecycle.
    *
-   * Example:
+   * Job is deleted upon successful completion, unless worker keepCompleted option is set. In that case job is
+   * marked completed, the value returned by the worker is stored as job.result, and completed jobs past the
+   * retention limits are deleted.
    *
-   * function exampleJobWorker(id, payload) {
-   *  console.log(id); // UUID of job.
-   *  console.log(payload); // Payload of data related to job.
-   * }
+   * If job fails execution via timeout or other exception, error will be
+   * logged to job.errors array and job will be reset to inactive status.
+   * Job will be re-attempted up to the specified "attempts" setting (defaults to 1),
+   * after which it will be marked as failed and not re-attempted further.
    *
-   * @param jobName {string} - Name associated with jobs assigned to this worker.
-   * @param worker {function} - The worker function that will execute jobs.
-   * @param options {object} - Worker options. See README.md for worker options info.
-   */
-  addWorker(jobName, worker, options = {}) {
-    this.worker.addWorker(jobName, worker, options);
-  }
-
-  /**
+   * If a job or worker backoff option is set, the next attempt is delayed accordingly.
+   * The time of the next attempt is logged to job.retryAt and job will not be
+   * returned by getConcurrentJobs() until then. Job backoff takes precedence over worker backoff.
    *
-   * Delete worker function from queue.
+   * If job is cancelled while it is being processed, it is deleted without being re-attempted and
+   * no further lifecycle callbacks are called. See Queue.cancelJob() for more info.
    *
-   * @param jobName {string} - Name associated with jobs assigned to this worker.
+   * @param job {object} - Job realm model object
    */
-  removeWorker(jobName) {
-    this.worker.removeWorker(jobName);
+  async processJob(job) {
+
+    const jobRun = this.startJobRun(job);
+
+    try {
+
+      const result = await this.worker.executeJob(job, jobRun.abortController.signal, jobRun.handlers);
+
+      this.completeJobRun(jobRun, result);
+
+    } catch (error) {
+
+      this.failJobRun(jobRun, error);
+
+    } finally {
+
+      this.finishJobRun(jobRun);
+
+    }
+
   }
 
   /**
    *
-   * Creates a new job and adds it to queue.
+   * Process a batch of jobs with their batch worker.
    *
-   * Queue will automatically start processing unless startQueue param is set to false.
+   * Each job of the batch goes through the same lifecycle as a job processed with Queue.processJob(): it succeeds,
+   * fails (and is re-attempted) or is cancelled on its own, according to the outcome the worker reported for it.
+   * See Worker.executeBatch() for how batch workers report outcomes.
    *
-   * @param name {string} - Name associated with job. The worker function assigned to this name will be used to execute this job.
-   * @param payload {object} - Object of arbitrary data to be passed into worker function when job executes.
-   * @param options {object} - Job related options like timeout etc. See README.md for job options info.
-   * @param startQueue - {boolean} - Whether or not to immediately begin prcessing queue. If false queue.start() must be manually called.
+   * @param jobs {array} - Job realm model objects with the same name.
    */
-  createJob(name, payload = {}, options = {}, startQueue = true) {
+  async processBatch(jobs) {
 
-    if (!name) {
-      throw new Error('Job name must be supplied.');
-    }
+    const batchId = jobs[0].id;
+    const jobRuns = jobs.map( job => this.startJobRun(job, batchId));
 
-    // Validate options
-    if (options.timeout < 0 || options.attempts < 0) {
-      throw new Error('Invalid job option.');
-    }
+    try {
 
-    this.realm.write(() => {
+      const outcomes = await this.worker.executeJob(jobs, jobRuns.map( jobRun => jobRun.abortController.signal), jobRuns.map( jobRun => jobRun.handlers));
+
+      jobRuns.forEach( (jobRun, index) => {
+
+        if (outcomes[index].error) {
+          this.failJobRun(jobRun, outcomes[index].error);
+        } else {
+          this.completeJobRun(jobRun, outcomes[index].result);
+        }
 
-      this.realm.create('Job', {
-        id: uuid.v4(),
-        name,
-        payload: JSON.stringify(payload),
-        data: JSON.stringify({
-          attempts: options.attempts || 1
-        }),
-        priority: options.priority || 0,
-        active: false,
-        timeout: (options.timeout >= 0) ? options.timeout : 25000,
-        created: new Date(),
-        failed: null
       });
 
-    });
+    } catch (error) {
+
+      jobRuns.forEach( jobRun => this.failJobRun(jobRun, error));
+
+    } finally {
+
+      jobRuns.forEach( jobRun => this.finishJobRun(jobRun));
 
-    // Start queue on job creation if it isn't running by default.
-    if (startQueue && this.status == 'inactive') {
-      this.start();
     }
 
   }
 
   /**
    *
-   * Start processing the queue.
-   *
-   * If queue was not started automatically during queue.createJob(), this
-   * method should be used to manually start the queue.
-   *
-   * If queue.start() is called again when queue is already running,
-   * queue.start() will return early with a false boolean value instead
-   * of running multiple queue processing loops concurrently.
+   * Track a job that is about to be executed and fire its onStart lifecycle callback.
    *
-   * Lifespan can be passed to start() in order to run the queue for a specific amount of time before stopping.
-   * This is useful, as an example, for OS background tasks which typically are time limited.
+   * @param job {object} - Job realm model object
+   * @param batchId {string|null} - Id of the first job of the batch job is processed in (null if job isn't processed in a batch).
+   * @return {object} - Job run, with job data cloned off the job object, the job abort controller and the handlers of job updates reported by the worker.
+   */
+  startJobRun(job, batchId = null) {
+
+    // Data must be cloned off the realm job object for several lifecycle callbacks to work correctly.
+    // This is because realm job is deleted before some callbacks are called if job processed successfully.
+    // More info: https://github.com/billmalarky/react-native-queue/issues/2#issuecomment-361418965
+    const jobRun = {
+      job,
+      jobName: job.name,
+      jobId: job.id,
+      jobPayload: JSON.parse(job.payload),
+      recurringJobId: job.recurringJobId,
+      abortController: new JobAbortController()
+    };
+
+    jobRun.handlers = {
+      onProgress: (percent, meta) => this.updateJobProgress(jobRun, percent, meta),
+      onCheckpoint: (state) => this.updateJobCheckpoint(jobRun, state)
+    };
+
+    // Track running jobs so free concurrency slots can be counted and running jobs can be cancelled.
+    this.runningJobs[jobRun.jobId] = { name: jobRun.jobName, batchId, abortController: jobRun.abortController };
+
+    if (!this.heartbeatTimer) {
+      this.heartbeatTimer = setInterval(() => this.renewJobLeases(), Config.JOB_HEARTBEAT_INTERVAL);
+    }
+
+    // Fire onStart job lifecycle callback
+    this.worker.executeJobLifecycleCallback('onStart', jobRun.jobName, jobRun.jobId, jobRun.jobPayload);
+    this.emit('job:start', { jobId: jobRun.jobId, jobName: jobRun.jobName, payload: jobRun.jobPayload });
+
+    return jobRun;
+
+  }
+
+  /**
    *
-   * NOTE: If lifespan is set, only jobs with a timeout property at least 500ms less than remaining lifespan will be processed
-   * during queue processing lifespan. This is to buffer for the small amount of time required to query Realm for suitable
-   * jobs, and to mark such jobs as complete or failed when job finishes processing.
+   * Store the progress a worker reported for a job being processed, then fire the job onProgress lifecycle callback.
    *
-   * IMPORTANT: Jobs with timeout set to 0 that run indefinitely will not be processed if the queue is running with a lifespan.
+   * Progress reported once the job run is over (ie by a worker function still running after its job timed out) is ignored.
    *
-   * @param lifespan {number} - If lifespan is passed, the queue will start up and run for lifespan ms, then queue will be stopped.
-   * @return {boolean|undefined} - False if queue is already started. Otherwise nothing is returned when queue finishes processing.
+   * @param jobRun {object} - Job run returned by Queue.startJobRun().
+   * @param percent {number} - Percentage of the job done, from 0 to 100.
+   * @param meta {*} - Extra progress data, ie number of bytes uploaded (null if none).
    */
-  async start(lifespan = 0) {
+  updateJobProgress(jobRun, percent, meta) {
 
-    // If queue is already running, don't fire up concurrent loop.
-    if (this.status == 'active') {
-      return false;
+    const { jobName, jobId, jobPayload } = jobRun;
+
+    if (!this.isJobRunActive(jobRun)) {
+      return;
     }
 
-    this.status = 'active';
+    this.storage.write(() => {
 
-    // Get jobs to process
-    const startTime = Date.now();
-    let lifespanRemaining = null;
-    let concurrentJobs = [];
+      const job = this.storage.objectForPrimaryKey('Job', jobId);
 
-    if (lifespan !== 0) {
-      lifespanRemaining = lifespan - (Date.now() - startTime);
-      lifespanRemaining = (lifespanRemaining === 0) ? -1 : lifespanRemaining; // Handle exactly zero lifespan remaining edge case.
-      concurrentJobs = await this.getConcurrentJobs(lifespanRemaining);
-    } else {
-      concurrentJobs = await this.getConcurrentJobs();
-    }
+      if (job && job.active) {
+        job.progress = percent;
+        job.progressMeta = (meta !== null && meta !== undefined) ? JSON.stringify(meta) : null;
+      }
 
-    while (this.status == 'active' && concurrentJobs.length) {
+    });
 
-      // Loop over jobs and process them concurrently.
-      const processingJobs = concurrentJobs.map( job => {
-        return this.processJob(job);
-      });
+    this.worker.executeJobLifecycleCallback('onProgress', jobName, jobId, jobPayload, percent, meta);
+    this.emit('job:progress', { jobId, jobName, payload: jobPayload, percent, meta });
 
-      // Promise Reflect ensures all processingJobs resolve so
-      // we don't break await early if one of the jobs fails.
-      await Promise.all(processingJobs.map(promiseReflect));
+  }
 
-      // Get next batch of jobs.
-      if (lifespan !== 0) {
-        lifespanRemaining = lifespan - (Date.now() - startTime);
-        lifespanRemaining = (lifespanRemaining === 0) ? -1 : lifespanRemaining; // Handle exactly zero lifespan remaining edge case.
-        concurrentJobs = await this.getConcurrentJobs(lifespanRemaining);
-      } else {
-        concurrentJobs = await this.getConcurrentJobs();
-      }
+  /**
+   *
+   * Store the checkpoint state a worker saved for a job being processed, so later attempts of the job can resume from it.
+   *
+   * Checkpoints saved once the job run is over (ie by a worker function still running after its job timed out) are ignored,
+   * so they can't overwrite checkpoints of a later attempt.
+   *
+   * @param jobRun {object} - Job run returned by Queue.startJobRun().
+   * @param state {*} - Checkpoint state (null clears the checkpoint).
+   */
+  updateJobCheckpoint(jobRun, state) {
 
+    if (!this.isJobRunActive(jobRun)) {
+      return;
     }
 
-    this.status = 'inactive';
+    this.storage.write(() => {
+
+      const job = this.storage.objectForPrimaryKey('Job', jobRun.jobId);
+
+      if (job && job.active) {
+        job.checkpoint = (state !== null) ? JSON.stringify(state) : null;
+      }
+
+    });
 
   }
 
   /**
    *
-   * Stop processing queue.
-   *
-   * If queue.stop() is called, queue will stop processing until
-   * queue is restarted by either queue.createJob() or queue.start().
+   * Check whether a job run is still going, ie it hasn't timed out, been cancelled or finished.
    *
+   * @param jobRun {object} - Job run returned by Queue.startJobRun().
+   * @return {boolean} - Whether or not job run is active.
    */
-  stop() {
-    this.status = 'inactive';
+  isJobRunActive(jobRun) {
+
+    const runningJob = this.runningJobs[jobRun.jobId];
+
+    return !!runningJob && runningJob.abortController === jobRun.abortController;
+
   }
 
   /**
    *
-   * Get a collection of all the jobs in the queue.
+   * Remove (or mark completed) a job that was executed successfully and fire its success lifecycle callbacks.
    *
-   * @param sync {boolean} - This should be true if you want to guarantee job data is fresh. Otherwise you could receive job data that is not up to date if a write transaction is occuring concurrently.
-   * @return {promise} - Promise that resolves to a collection of all the jobs in the queue.
+   * @param jobRun {object} - Job run returned by Queue.startJobRun().
+   * @param result {*} - Value returned by the worker function.
    */
-  async getJobs(sync = false) {
+  completeJobRun(jobRun, result) {
 
-    if (sync) {
+    const { job, jobName, jobId, jobPayload, recurringJobId } = jobRun;
 
-      let jobs = null;
-      this.realm.write(() => {
+    const keepCompleted = this.worker.getKeepCompleted(jobName);
+    let jobResult = null;
 
-        jobs = this.realm.objects('Job');
+    if (keepCompleted && result !== undefined) {
+      try {
+        jobResult = JSON.stringify(result);
+      } catch (error) {
+        console.error(error); // eslint-disable-line no-console
+      }
+    }
 
-      });
+    // On successful job completion, remove job (or mark it completed) and schedule next occurrence of recurring jobs.
+    let nextOccurrence = null;
+    this.storage.write(() => {
 
-      return jobs;
+      if (keepCompleted) {
+        job.active = false;
+        job.leaseExpires = null;
+        job.status = 'completed';
+        job.completed = new Date();
+        job.result = jobResult;
+        this.pruneCompletedJobs(jobName);
+      } else {
+        this.storage.delete(job);
+      }
 
-    } else {
-      return await this.realm.objects('Job');
-    }
+      if (recurringJobId) {
+        nextOccurrence = this.scheduleNextOccurrence(recurringJobId);
+      }
+
+    });
+
+    this.emitOccurrenceCreated(nextOccurrence);
+
+    // Job has processed successfully, fire onSuccess and onComplete job lifecycle callbacks.
+    this.worker.executeJobLifecycleCallback('onSuccess', jobName, jobId, jobPayload);
+    this.worker.executeJobLifecycleCallback('onComplete', jobName, jobId, jobPayload);
+    this.emit('job:success', { jobId, jobName, payload: jobPayload, result });
+
+    this.settleJobWaiters(jobId, null, result);
 
   }
 
   /**
    *
-   * Get the next job(s) that should be processed by the queue.
-   *
-   * If the next job to be processed by the queue is associated with a
-   * worker function that has concurrency X > 1, then X related (jobs with same name)
-   * jobs will be returned.
-   *
-   * If queue is running with a lifespan, only jobs with timeouts at least 500ms < than REMAINING lifespan
-   * AND a set timeout (ie timeout > 0) will be returned. See Queue.start() for more info.
+   * Handle a job whose execution failed: re-attempt it, mark it failed, or drop it if it was cancelled.
    *
-   * @param queueLifespanRemaining {number} - The remaining lifespan of the current queue process (defaults to indefinite).
-   * @return {promise} - Promise resolves to an array of job(s) to be processed next by the queue.
+   * @param jobRun {object} - Job run returned by Queue.startJobRun().
+   * @param error {Error} - Error job failed with.
    */
-  async getConcurrentJobs(queueLifespanRemaining = 0) {
+  failJobRun(jobRun, error) {
 
-    let concurrentJobs = [];
+    const { job, jobName, jobId, jobPayload, recurringJobId, abortController } = jobRun;
+
+    // Job was cancelled while it was being processed (possibly by another queue instance), so drop it instead of re-attempting it.
+    if (abortController.signal.aborted || job.status == 'cancelled') {
+
+      let nextOccurrence = null;
+
+      this.storage.write(() => {
+
+        this.storage.delete(job);
+
+        this.failDependents(jobId, 'was cancelled');
+
+        if (recurringJobId) {
+          nextOccurrence = this.scheduleNextOccurrence(recurringJobId);
+        }
+
+      });
+
+      this.emitOccurrenceCreated(nextOccurrence);
 
-    this.realm.write(() => {
+      this.settleJobWaiters(jobId, new Error('Job ' + jobId + ' was cancelled.'));
 
-      // Get next job from queue.
-      let nextJob = null;
+      return;
 
-      // Build query string
-      // If queueLife
-      const timeoutUpperBound = (queueLifespanRemaining - 500 > 0) ? queueLifespanRemaining - 499 : 0; // Only get jobs with timeout at least 500ms < queueLifespanRemaining.
+    }
+
+    // Handle job failure logic, including retries.
+    const failedAttempts = job.failedAttempts + 1;
+    const attempts = job.attempts;
+    const jobBackoff = (job.backoff !== null) ? JSON.parse(job.backoff) : null;
 
-      const initialQuery = (queueLifespanRemaining)
-        ? 'active == FALSE AND failed == null AND timeout > 0 AND timeout < ' + timeoutUpperBound
-        : 'active == FALSE AND failed == null';
+    // Determine when job should be re-attempted. Computed outside of write transaction
+    // because custom backoff functions are user code.
+    let retryAt = null;
+    if (failedAttempts < attempts) {
 
-      let jobs = this.realm.objects('Job')
-        .filtered(initialQuery)
-        .sorted([['priority', true], ['created', false]]);
+      const backoffDelay = getBackoffDelay(jobBackoff || this.worker.getBackoff(jobName), failedAttempts, error);
 
-      if (jobs.length) {
-        nextJob = jobs[0];
+      if (backoffDelay > 0) {
+        retryAt = new Date(Date.now() + backoffDelay);
       }
 
-      // If next job exists, get concurrent related jobs appropriately.
-      if (nextJob) {
+    }
+
+    let nextOccurrence = null;
 
-        const concurrency = this.worker.getConcurrency(nextJob.name);
+    this.storage.write(() => {
 
-        const allRelatedJobsQuery = (queueLifespanRemaining)
-          ? 'name == "'+ nextJob.name +'" AND active == FALSE AND failed == null AND timeout > 0 AND timeout < ' + timeoutUpperBound
-          : 'name == "'+ nextJob.name +'" AND active == FALSE AND failed == null';
+      // Log error and increment failed attempts number
+      logJobError(job, error);
+      job.failedAttempts = failedAttempts;
 
-        const allRelatedJobs = this.realm.objects('Job')
-          .filtered(allRelatedJobsQuery)
-          .sorted([['priority', true], ['created', false]]);
+      // Reset active status
+      job.active = false;
+      job.leaseExpires = null;
+      job.status = 'pending';
 
-        let jobsToMarkActive = allRelatedJobs.slice(0, concurrency);
+      // Delay next attempt if backoff applies.
+      if (retryAt) {
+        job.retryAt = retryAt;
+        job.runAt = retryAt;
+      }
 
-        // Grab concurrent job ids to reselect jobs as marking these jobs as active will remove
-        // them from initial selection when write transaction exits.
-        // See: https://stackoverflow.com/questions/47359368/does-realm-support-select-for-update-style-read-locking/47363356#comment81772710_47363356
-        const concurrentJobIds = jobsToMarkActive.map( job => job.id);
+      // Mark job as failed if too many attempts, and schedule next occurrence of recurring jobs.
+      if (failedAttempts >= attempts) {
 
-        // Mark concurrent jobs as active
-        jobsToMarkActive = jobsToMarkActive.map( job => {
-          job.active = true;
-        });
+        job.failed = new Date();
+        job.status = 'failed';
 
-        // Reselect now-active concurrent jobs by id.
-        const reselectQuery = concurrentJobIds.map( jobId => 'id == "' + jobId + '"').join(' OR ');
-        const reselectedJobs = this.realm.objects('Job')
-          .filtered(reselectQuery)
-          .sorted([['priority', true], ['created', false]]);
+        this.failDependents(jobId);
+
+        if (recurringJobId) {
+          nextOccurrence = this.scheduleNextOccurrence(recurringJobId);
+        }
 
-        concurrentJobs = reselectedJobs.slice(0, concurrency);
+        this.deadLetterJob(job);
 
       }
 
     });
 
-    return concurrentJobs;
+    this.emitOccurrenceCreated(nextOccurrence);
+
+    // Execute job onFailure lifecycle callback.
+    this.worker.executeJobLifecycleCallback('onFailure', jobName, jobId, jobPayload);
+    this.emit('job:failure', { jobId, jobName, payload: jobPayload, error });
+
+    // If job has failed all attempts execute job onFailed and onComplete lifecycle callbacks.
+    if (failedAttempts >= attempts) {
+      this.worker.executeJobLifecycleCallback('onFailed', jobName, jobId, jobPayload);
+      this.worker.executeJobLifecycleCallback('onComplete', jobName, jobId, jobPayload);
+      this.emit('job:failed', { jobId, jobName, payload: jobPayload, error });
+
+      this.settleJobWaiters(jobId, error);
+    }
 
   }
 
   /**
    *
-   * Process a job.
+   * Stop tracking a job that finished executing. Heartbeat stops once no jobs are running.
    *
-   * Job lifecycle callbacks are called as appropriate throughout the job processing lifecycle.
+   * @param jobRun {object} - Job run returned by Queue.startJobRun().
+   */
+  finishJobRun(jobRun) {
+
+    delete this.runningJobs[jobRun.jobId];
+
+    if (!Object.keys(this.runningJobs).length) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+
+  }
+
+  /**
    *
-   * Job is deleted upon successful completion.
+   * Get the outcome of a job.
    *
-   * If job fails execution via timeout or other exception, error will be
-   * logged to job.data.errors array and job will be reset to inactive status.
-   * Job will be re-attempted up to the specified "attempts" setting (defaults to 1),
-   * after which it will be marked as failed and not re-attempted further.
+   * Completed jobs can only be looked up if the worker keepCompleted option was set when job completed.
+   * Dead-lettered jobs can be looked up until they are pruned from the dead-letter store.
    *
-   * @param job {object} - Job realm model object
+   * @param jobId {string} - Id of the job.
+   * @return {object|null} - Job outcome with id, status (see Queue.cancelJob() and Queue.pauseJob() for "cancelled" and "paused"), result
+   * (value returned by the worker), error (message of the last error) and completed/failed timestamps. Null if job does not exist.
    */
-  async processJob(job) {
+  getJobResult(jobId) {
 
-    // Data must be cloned off the realm job object for several lifecycle callbacks to work correctly.
-    // This is because realm job is deleted before some callbacks are called if job processed successfully.
-    // More info: https://github.com/billmalarky/react-native-queue/issues/2#issuecomment-361418965
-    const jobName = job.name;
-    const jobId = job.id;
-    const jobPayload = JSON.parse(job.payload);
+    this.pruneExpiredJobs();
 
-    // Fire onStart job lifecycle callback
-    this.worker.executeJobLifecycleCallback('onStart', jobName, jobId, jobPayload);
+    const job = this.storage.objectForPrimaryKey('Job', jobId) || this.storage.objectForPrimaryKey('DeadLetterJob', jobId);
 
-    try {
+    if (!job) {
+      return null;
+    }
 
-      await this.worker.executeJob(job);
+    const errors = JSON.parse(job.errors);
 
-      // On successful job completion, remove job
-      this.realm.write(() => {
+    return {
+      id: job.id,
+      status: job.status,
+      result: (job.result !== null) ? JSON.parse(job.result) : undefined,
+      error: (errors.length) ? errors[errors.length - 1] : null,
+      completed: job.completed,
+      failed: job.failed
+    };
 
-        this.realm.delete(job);
+  }
 
-      });
+  /**
+   *
+   * Delete jobs past their retention limits.
+   *
+   * Limits are enforced as jobs complete or fail, but maxAge limits are also reached while no jobs finish,
+   * so this runs when queue is initialized and before jobs are read.
+   *
+   */
+  pruneExpiredJobs() {
 
-      // Job has processed successfully, fire onSuccess and onComplete job lifecycle callbacks.
-      this.worker.executeJobLifecycleCallback('onSuccess', jobName, jobId, jobPayload);
-      this.worker.executeJobLifecycleCallback('onComplete', jobName, jobId, jobPayload);
+    this.storage.write(() => {
+      this.pruneCompletedJobs();
+      this.pruneDeadLetterJobs();
+    });
 
-    } catch (error) {
+  }
 
-      // Handle job failure logic, including retries.
-      let jobData = JSON.parse(job.data);
+  /**
+   *
+   * Delete completed jobs past the retention limits of the worker keepCompleted option.
+   *
+   * Completed jobs of names without a worker are kept until a worker is added for them.
+   *
+   * Must be called inside a storage write transaction.
+   *
+   * @param jobName {string|null} - Name associated with the completed jobs. Null prunes completed jobs of all names with a worker.
+   */
+  pruneCompletedJobs(jobName = null) {
 
-      this.realm.write(() => {
+    const jobNames = (jobName) ? [jobName] : Object.keys(this.worker.workers);
 
-        // Increment failed attempts number
-        if (!jobData.failedAttempts) {
-          jobData.failedAttempts = 1;
-        } else {
-          jobData.failedAttempts++;
-        }
+    jobNames.forEach( name => {
 
-        // Log error
-        if (!jobData.errors) {
-          jobData.errors = [ error.message ];
-        } else {
-          jobData.errors.push(error.message);
-        }
+      const keepCompleted = this.worker.getKeepCompleted(name);
 
-        job.data = JSON.stringify(jobData);
+      // Completed jobs are kept indefinitely.
+      if (!keepCompleted || keepCompleted === true) {
+        return;
+      }
 
-        // Reset active status
-        job.active = false;
+      const { maxAge, maxCount } = keepCompleted;
+      const completedBefore = Date.now() - maxAge;
 
-        // Mark job as failed if too many attempts
-        if (jobData.failedAttempts >= jobData.attempts) {
-          job.failed = new Date();
-        }
+      const completedJobs = this.storage.find('Job', {
+        name,
+        completed: { $ne: null }
+      }, [['completed', true]]);
 
+      const expiredJobs = completedJobs.filter( (job, index) => {
+        return (maxCount !== undefined && index >= maxCount) || (maxAge !== undefined && job.completed.getTime() < completedBefore);
       });
 
-      // Execute job onFailure lifecycle callback.
-      this.worker.executeJobLifecycleCallback('onFailure', jobName, jobId, jobPayload);
-
-      // If job has failed all attempts execute job onFailed and onComplete lifecycle callbacks.
-      if (jobData.failedAttempts >= jobData.attempts) {
-        this.worker.executeJobLifecycleCallback('onFailed', jobName, jobId, jobPayload);
-        this.worker.executeJobLifecycleCallback('onComplete', jobName, jobId, jobPayload);
+      if (expiredJobs.length) {
+        this.storage.delete(expiredJobs);
       }
 
-    }
+    });
 
   }
 
@@ -401,31 +2812,46 @@ export class Queue {
    * If jobName is supplied, only jobs associated with that name
    * will be deleted. Otherwise all jobs in queue will be deleted.
    *
+   * Recurring jobs and dead-lettered jobs associated with deleted jobs are removed as well.
+   *
    * @param jobName {string} - Name associated with job (and related job worker).
    */
   flushQueue(jobName = null) {
 
     if (jobName) {
 
-      this.realm.write(() => {
+      this.storage.write(() => {
 
-        let jobs = this.realm.objects('Job')
-          .filtered('name == "' + jobName + '"');
+        let jobs = this.storage.find('Job', { name: jobName });
 
         if (jobs.length) {
-          this.realm.delete(jobs);
+          this.storage.delete(jobs);
+        }
+
+        let recurringJobs = this.storage.find('RecurringJob', { name: jobName });
+
+        if (recurringJobs.length) {
+          this.storage.delete(recurringJobs);
+        }
+
+        let deadLetterJobs = this.storage.find('DeadLetterJob', { name: jobName });
+
+        if (deadLetterJobs.length) {
+          this.storage.delete(deadLetterJobs);
         }
 
       });
 
     } else {
-      this.realm.write(() => {
+      this.storage.write(() => {
 
-        this.realm.deleteAll();
+        this.storage.deleteAll();
 
       });
     }
 
+    this.rejectDeletedJobWaiters();
+
   }
 
 
@@ -435,11 +2861,15 @@ export class Queue {
  *
  * Factory should be used to create a new queue instance.
  *
+ * Queues created with a name have their own storage, workers and processing loop, isolated from
+ * queues with other names. Queues created without a name share the default storage and workers.
+ *
+ * @param options {object} - Queue options. See README.md for queue options info.
  * @return {Queue} - A queue instance.
  */
-export default async function queueFactory() {
+export default async function queueFactory(options = {}) {
 
-  const queue = new Queue();
+  const queue = new Queue(options);
   await queue.init();
 
   return queue;
@@ -4,6 +4,131 @@
  *
  */
 
+import { isValidBackoff } from '../utils/backoff';
+import { JobAbortController } from '../utils/abort';
+import { isValidRateLimit } from '../utils/rateLimit';
+
+/**
+ *
+ * Check that a retention option (ie keepCompleted) is true or an object with a valid maxAge and/or maxCount.
+ *
+ * @param retention {object|boolean} - Retention option.
+ * @return {boolean} - Whether or not retention option is valid.
+ */
+export function isValidRetention(retention) {
+
+  if (retention === true) {
+    return true;
+  }
+
+  if (!retention || typeof retention !== 'object' || (retention.maxAge === undefined && retention.maxCount === undefined)) {
+    return false;
+  }
+
+  return ['maxAge', 'maxCount'].every( limit => {
+    return retention[limit] === undefined || (typeof retention[limit] === 'number' && retention[limit] >= 0);
+  });
+
+}
+
+/**
+ *
+ * Check that the device constraint options (ie requiresCharging) that are set are valid.
+ *
+ * @param options {object} - Worker or job options.
+ * @return {boolean} - Whether or not device constraint options are valid.
+ */
+export function isValidDeviceConstraints(options) {
+
+  const { requiresCharging, minBatteryLevel, requiresDeviceIdle, minFreeStorage } = options;
+
+  return [requiresCharging, requiresDeviceIdle].every( constraint => constraint === undefined || typeof constraint === 'boolean')
+    && (minBatteryLevel === undefined || (typeof minBatteryLevel === 'number' && minBatteryLevel >= 0 && minBatteryLevel <= 1))
+    && (minFreeStorage === undefined || (Number.isInteger(minFreeStorage) && minFreeStorage >= 0));
+
+}
+
+/**
+ *
+ * Create the reportProgress function of a job context.
+ *
+ * @param onProgress {function} - Function validated progress is passed on to (defaults to none).
+ * @return {function} - reportProgress(percent, meta) function, which throws if percent isn't between 0 and 100 or meta can't be stored as JSON.
+ */
+function createReportProgress(onProgress = null) {
+
+  return (percent, meta = null) => {
+
+    if (typeof percent !== 'number' || !(percent >= 0 && percent <= 100)) {
+      throw new Error('Invalid job progress.');
+    }
+
+    try {
+      JSON.stringify(meta);
+    } catch (error) {
+      throw new Error('Invalid job progress.');
+    }
+
+    if (onProgress) {
+      onProgress(percent, meta);
+    }
+
+  };
+
+}
+
+/**
+ *
+ * Create the checkpoint and getCheckpoint functions of a job context.
+ *
+ * getCheckpoint() starts out with the checkpoint stored on the job by an earlier attempt, and returns the latest
+ * state saved with checkpoint() after that.
+ *
+ * @param job {object} - Job realm model object.
+ * @param onCheckpoint {function} - Function validated checkpoint state is passed on to (defaults to none).
+ * @return {object} - checkpoint(state) function, which throws if state can't be stored as JSON, and getCheckpoint() function.
+ */
+function createCheckpointFunctions(job, onCheckpoint = null) {
+
+  let checkpointState = (job.checkpoint) ? JSON.parse(job.checkpoint) : null;
+
+  return {
+
+    checkpoint: (state) => {
+
+      let serializedState = undefined;
+
+      try {
+        serializedState = JSON.stringify(state);
+      } catch (error) {
+        throw new Error('Invalid job checkpoint.');
+      }
+
+      if (serializedState === undefined) {
+        throw new Error('Invalid job checkpoint.');
+      }
+
+      // Keep a copy, so changes the worker makes to state later on are only saved by the next checkpoint.
+      checkpointState = JSON.parse(serializedState);
+
+      if (onCheckpoint) {
+        onCheckpoint(checkpointState);
+      }
+
+    },
+
+    getCheckpoint: () => checkpointState
+
+  };
+
+}
+
+// Values of the requiresNetwork worker and job option.
+export const networkRequirements = ['any', 'unmetered'];
+
+// Worker and job options that constrain which device states jobs run in.
+export const deviceConstraints = ['requiresCharging', 'minBatteryLevel', 'requiresDeviceIdle', 'minFreeStorage'];
+
 export default class Worker {
 
   /**
@@ -13,19 +138,53 @@ export default class Worker {
    */
   static workers = {};
 
+  /**
+   *
+   * Maps of worker functions assigned to named queues, keyed by queue name.
+   *
+   */
+  static namedWorkers = {};
+
+  /**
+   *
+   * Set initial class properties.
+   *
+   * Unnamed queues share the Worker.workers singleton map. Queues with the same name share a map of their own.
+   *
+   * @constructor
+   * @param queueName {string|null} - Name of the queue workers are assigned to.
+   */
+  constructor(queueName = null) {
+
+    if (queueName === null) {
+      this.workers = Worker.workers;
+      return;
+    }
+
+    if (!Worker.namedWorkers[queueName]) {
+      Worker.namedWorkers[queueName] = {};
+    }
+
+    this.workers = Worker.namedWorkers[queueName];
+
+  }
+
   /**
    *
    * Assign a worker function to the queue.
    *
    * Worker will be called to execute jobs associated with jobName.
    *
-   * Worker function will receive job id and job payload as parameters.
+   * Worker function will receive job id, job payload and a job context object as parameters.
    *
    * Example:
    *
-   * function exampleJobWorker(id, payload) {
+   * function exampleJobWorker(id, payload, context) {
    *  console.log(id); // UUID of job.
    *  console.log(payload); // Payload of data related to job.
+   *  console.log(context.signal.aborted); // Whether or not job has been cancelled.
+   *  context.reportProgress(50, { bytesSent: 1024 }); // Report percentage of job done, with optional meta data.
+   *  context.checkpoint({ chunk: 3 }); // Save state that later attempts of job can resume from with context.getCheckpoint().
    * }
    *
    * @param jobName {string} - Name associated with jobs assigned to this worker.
@@ -39,17 +198,58 @@ export default class Worker {
       throw new Error('Job name and associated worker function must be supplied.');
     }
 
+    if (options.backoff && !isValidBackoff(options.backoff)) {
+      throw new Error('Invalid worker option.');
+    }
+
+    if (options.keepCompleted && !isValidRetention(options.keepCompleted)) {
+      throw new Error('Invalid worker option.');
+    }
+
+    if (options.rateLimit && !isValidRateLimit(options.rateLimit)) {
+      throw new Error('Invalid worker option.');
+    }
+
+    if (options.batchSize !== undefined && !(Number.isInteger(options.batchSize) && options.batchSize > 0)) {
+      throw new Error('Invalid worker option.');
+    }
+
+    // Batch window only applies to batch workers.
+    if (options.batchWindow !== undefined && (options.batchSize === undefined || typeof options.batchWindow !== 'number' || options.batchWindow < 0)) {
+      throw new Error('Invalid worker option.');
+    }
+
+    if (options.requiresNetwork && !networkRequirements.includes(options.requiresNetwork)) {
+      throw new Error('Invalid worker option.');
+    }
+
+    if (!isValidDeviceConstraints(options)) {
+      throw new Error('Invalid worker option.');
+    }
+
     // Attach options to worker
     worker.options = {
       concurrency: options.concurrency || 1,
+      backoff: options.backoff || null,
+      keepCompleted: options.keepCompleted || null,
+      rateLimit: options.rateLimit || null,
+      batchSize: options.batchSize || null,
+      batchWindow: options.batchWindow || 0,
+      requiresNetwork: options.requiresNetwork || null,
+      requiresCharging: (options.requiresCharging !== undefined) ? options.requiresCharging : null,
+      minBatteryLevel: (options.minBatteryLevel !== undefined) ? options.minBatteryLevel : null,
+      requiresDeviceIdle: (options.requiresDeviceIdle !== undefined) ? options.requiresDeviceIdle : null,
+      minFreeStorage: (options.minFreeStorage !== undefined) ? options.minFreeStorage : null,
       onStart: options.onStart || null,
+      onProgress: options.onProgress || null,
       onSuccess: options.onSuccess || null,
       onFailure: options.onFailure || null,
       onFailed: options.onFailed || null,
-      onComplete: options.onComplete || null
+      onComplete: options.onComplete || null,
+      onDeadLetter: options.onDeadLetter || null
     };
 
-    Worker.workers[jobName] = worker;
+    this.workers[jobName] = worker;
   }
 
   /**
@@ -59,7 +259,7 @@ export default class Worker {
    * @param jobName {string} - Name associated with jobs assigned to this worker.
    */
   removeWorker(jobName) {
-    delete Worker.workers[jobName];
+    delete this.workers[jobName];
   }
 
   /**
@@ -75,11 +275,147 @@ export default class Worker {
   getConcurrency(jobName) {
 
     // If no worker assigned to job name, throw error.
-    if (!Worker.workers[jobName]) {
+    if (!this.workers[jobName]) {
       throw new Error('Job ' + jobName + ' does not have a worker assigned to it.');
     }
 
-    return Worker.workers[jobName].options.concurrency;
+    return this.workers[jobName].options.concurrency;
+
+  }
+
+  /**
+   *
+   * Get the retry backoff setting for a worker.
+   *
+   * Worker backoff defaults to null (failed jobs are re-attempted immediately).
+   *
+   * @param jobName {string} - Name associated with jobs assigned to this worker.
+   * @return {object|function|null} - Backoff option, or null if there is no backoff or no worker assigned to job name.
+   */
+  getBackoff(jobName) {
+
+    if (!this.workers[jobName]) {
+      return null;
+    }
+
+    return this.workers[jobName].options.backoff;
+
+  }
+
+  /**
+   *
+   * Get the completed job retention setting for a worker.
+   *
+   * Worker keepCompleted defaults to null (completed jobs are deleted right away).
+   *
+   * @param jobName {string} - Name associated with jobs assigned to this worker.
+   * @return {object|boolean|null} - keepCompleted option, or null if completed jobs aren't kept or no worker assigned to job name.
+   */
+  getKeepCompleted(jobName) {
+
+    if (!this.workers[jobName]) {
+      return null;
+    }
+
+    return this.workers[jobName].options.keepCompleted;
+
+  }
+
+  /**
+   *
+   * Get the rate limit setting for a worker.
+   *
+   * Worker rateLimit defaults to null (jobs are started as fast as concurrency allows).
+   *
+   * @param jobName {string} - Name associated with jobs assigned to this worker.
+   * @return {object|null} - rateLimit option, or null if there is no rate limit or no worker assigned to job name.
+   */
+  getRateLimit(jobName) {
+
+    if (!this.workers[jobName]) {
+      return null;
+    }
+
+    return this.workers[jobName].options.rateLimit;
+
+  }
+
+  /**
+   *
+   * Get the batch size setting for a worker.
+   *
+   * Workers with a batchSize are batch workers: they are called with an array of jobs instead of a single job.
+   * Worker batchSize defaults to null (worker is called with one job at a time).
+   *
+   * @param jobName {string} - Name associated with jobs assigned to this worker.
+   * @return {number|null} - batchSize option, or null if worker isn't a batch worker or no worker assigned to job name.
+   */
+  getBatchSize(jobName) {
+
+    if (!this.workers[jobName]) {
+      return null;
+    }
+
+    return this.workers[jobName].options.batchSize;
+
+  }
+
+  /**
+   *
+   * Get the batch window setting for a worker.
+   *
+   * Worker batchWindow defaults to 0 (batches are processed right away, however few jobs they have).
+   *
+   * @param jobName {string} - Name associated with jobs assigned to this worker.
+   * @return {number} - batchWindow option in ms, or 0 if no worker assigned to job name.
+   */
+  getBatchWindow(jobName) {
+
+    if (!this.workers[jobName]) {
+      return 0;
+    }
+
+    return this.workers[jobName].options.batchWindow;
+
+  }
+
+  /**
+   *
+   * Get the network requirement setting for a worker.
+   *
+   * Worker requiresNetwork defaults to null (jobs run regardless of connectivity).
+   *
+   * @param jobName {string} - Name associated with jobs assigned to this worker.
+   * @return {string|null} - requiresNetwork option ("any" or "unmetered"), or null if there is no network requirement or no worker assigned to job name.
+   */
+  getRequiresNetwork(jobName) {
+
+    if (!this.workers[jobName]) {
+      return null;
+    }
+
+    return this.workers[jobName].options.requiresNetwork;
+
+  }
+
+  /**
+   *
+   * Get the device constraint settings for a worker.
+   *
+   * Worker device constraints default to null (jobs run regardless of device state).
+   *
+   * @param jobName {string} - Name associated with jobs assigned to this worker.
+   * @return {object} - requiresCharging, minBatteryLevel, requiresDeviceIdle and minFreeStorage options, all null if no worker assigned to job name.
+   */
+  getDeviceConstraints(jobName) {
+
+    const constraints = {};
+
+    deviceConstraints.forEach( constraint => {
+      constraints[constraint] = (this.workers[jobName]) ? this.workers[jobName].options[constraint] : null;
+    });
+
+    return constraints;
 
   }
 
@@ -89,37 +425,195 @@ export default class Worker {
    *
    * If job has a timeout setting, job will fail with a timeout exception upon reaching timeout.
    *
+   * The signal is passed to the worker function as context.signal. If it is aborted, job fails with
+   * the abort reason right away, without waiting for the worker function to settle.
+   *
+   * Progress reported by the worker function with context.reportProgress(percent, meta) is passed on to handlers.onProgress,
+   * and state saved with context.checkpoint(state) to handlers.onCheckpoint.
+   *
+   * If an array of jobs is passed in, they are executed as a batch. See Worker.executeBatch().
+   *
    * @throws Throws error if no worker is currently assigned to passed in job name.
-   * @param job {object} - Job realm model object
+   * @param job {object|array} - Job realm model object, or array of them for batch workers.
+   * @param signal {JobAbortSignal|array} - Cancellation signal for the job, or array of them for batches (defaults to signals that are never aborted).
+   * @param handlers {object|array} - Functions job updates are passed on to, onProgress(percent, meta) and onCheckpoint(state), or array of them for batches (defaults to none).
+   * @return {promise} - Promise that resolves to the value returned by the worker function (job outcomes for batches).
    */
-  async executeJob(job) {
+  async executeJob(job, signal = null, handlers = null) {
+
+    if (Array.isArray(job)) {
+      return this.executeBatch(job, signal || undefined, handlers || undefined);
+    }
 
     // If no worker assigned to job name, throw error.
-    if (!Worker.workers[job.name]) {
+    if (!this.workers[job.name]) {
       throw new Error('Job ' + job.name + ' does not have a worker assigned to it.');
     }
 
+    if (!signal) {
+      signal = new JobAbortController().signal;
+    }
+
     // Data must be cloned off the realm job object for the timeout logic promise race.
     // More info: https://github.com/billmalarky/react-native-queue/issues/2#issuecomment-361418965
     const jobId = job.id;
     const jobName = job.name;
     const jobTimeout = job.timeout;
     const jobPayload = JSON.parse(job.payload);
+    const context = {
+      signal,
+      reportProgress: createReportProgress((handlers) ? handlers.onProgress : null),
+      ...createCheckpointFunctions(job, (handlers) ? handlers.onCheckpoint : null)
+    };
+
+    // Job was cancelled before it started.
+    signal.throwIfAborted();
+
+    let abortListener = null;
+    const abortPromise = new Promise((resolve, reject) => {
+      abortListener = () => reject(signal.reason);
+      signal.addEventListener('abort', abortListener);
+    });
+
+    let timer = null;
+
+    try {
+
+      if (jobTimeout > 0) {
+
+        let timeoutPromise = new Promise((resolve, reject) => {
+
+          timer = setTimeout(() => {
+            reject(new Error('TIMEOUT: Job id: ' + jobId + ' timed out in ' + jobTimeout  + 'ms.'));
+          }, jobTimeout);
+
+        });
+
+        return await Promise.race([timeoutPromise, abortPromise, this.workers[jobName](jobId, jobPayload, context)]);
+
+      } else {
+        return await Promise.race([abortPromise, this.workers[jobName](jobId, jobPayload, context)]);
+      }
+
+    } finally {
+      clearTimeout(timer);
+      signal.removeEventListener('abort', abortListener);
+    }
+
+  }
+
+  /**
+   *
+   * Execute the batch worker function assigned to the name of the passed in jobs.
+   *
+   * Batch worker function receives an array of { id, payload, signal, reportProgress, checkpoint, getCheckpoint } items and a job context object,
+   * whose signal is aborted once every job of the batch has been cancelled. It returns an array with one entry per job, in the same
+   * order: Error instances fail their job, anything else is the job's result. Returning nothing means every job
+   * succeeded, while throwing fails every job of the batch. Returning anything else than nothing or an array
+   * of the right length fails every job of the batch too, since results can't be matched to jobs.
+   *
+   * A job that is cancelled or times out fails right away, without waiting for the worker function to settle.
+   * The batch times out after the longest job timeout (never, if any job has no timeout).
+   *
+   * @throws Throws error if no worker is currently assigned to the name of the jobs.
+   * @param jobs {array} - Job realm model objects with the same name.
+   * @param signals {array} - Cancellation signals of the jobs, in the same order (defaults to signals that are never aborted).
+   * @param handlers {array} - Functions job updates are passed on to (see Worker.executeJob()), in the same order (defaults to none).
+   * @return {promise} - Promise that resolves to job outcomes in the same order, objects with either a result or an error.
+   */
+  async executeBatch(jobs, signals = jobs.map(() => new JobAbortController().signal), handlers = jobs.map(() => ({}))) {
+
+    const jobName = jobs[0].name;
+
+    if (!this.workers[jobName]) {
+      throw new Error('Job ' + jobName + ' does not have a worker assigned to it.');
+    }
+
+    // Data must be cloned off the realm job objects for the timeout logic promise race.
+    const jobIds = jobs.map( job => job.id);
+    const batch = jobs.map( (job, index) => ({
+      id: job.id,
+      payload: JSON.parse(job.payload),
+      signal: signals[index],
+      reportProgress: createReportProgress(handlers[index].onProgress),
+      ...createCheckpointFunctions(job, handlers[index].onCheckpoint)
+    }));
+    const batchTimeout = (jobs.some( job => !(job.timeout > 0))) ? 0 : Math.max(...jobs.map( job => job.timeout));
+
+    const batchAbortController = new JobAbortController();
+    const context = { signal: batchAbortController.signal };
+    const removeAbortListeners = [];
+
+    const abortPromises = signals.map( signal => new Promise((resolve, reject) => {
+
+      const abortListener = () => {
+
+        reject(signal.reason);
+
+        if (signals.every( batchSignal => batchSignal.aborted)) {
+          batchAbortController.abort(signal.reason);
+        }
+
+      };
+
+      if (signal.aborted) {
+        abortListener();
+        return;
+      }
+
+      signal.addEventListener('abort', abortListener);
+      removeAbortListeners.push(() => signal.removeEventListener('abort', abortListener));
+
+    }));
+
+    let timer = null;
+    const timeoutPromise = new Promise((resolve) => {
+      if (batchTimeout > 0) {
+        timer = setTimeout(resolve, batchTimeout);
+      }
+    });
+
+    // Worker isn't called if every job was cancelled before the batch started.
+    const workerPromise = (context.signal.aborted) ? new Promise(() => {}) : (async () => this.workers[jobName](batch, context))();
+
+    const resultsPromise = workerPromise.then( results => {
+
+      if (results !== undefined && !(Array.isArray(results) && results.length == jobIds.length)) {
+        throw new Error('Batch worker for job name ' + jobName + ' must return nothing or an array of ' + jobIds.length + ' results.');
+      }
+
+      return results;
+
+    });
+
+    try {
+
+      return await Promise.all(jobIds.map( (jobId, index) => {
+
+        const jobPromise = resultsPromise.then( results => {
+
+          const result = (results) ? results[index] : undefined;
+
+          if (result instanceof Error) {
+            throw result;
+          }
 
-    if (jobTimeout > 0) {
+          return result;
 
-      let timeoutPromise = new Promise((resolve, reject) => {
+        });
 
-        setTimeout(() => {
-          reject(new Error('TIMEOUT: Job id: ' + jobId + ' timed out in ' + jobTimeout  + 'ms.'));
-        }, jobTimeout);
+        const jobTimeoutPromise = timeoutPromise.then(() => {
+          throw new Error('TIMEOUT: Job id: ' + jobId + ' timed out in ' + batchTimeout  + 'ms.');
+        });
 
-      });
+        return Promise.race([jobTimeoutPromise, abortPromises[index], jobPromise])
+          .then( result => ({ result }), error => ({ error }));
 
-      await Promise.race([timeoutPromise, Worker.workers[jobName](jobId, jobPayload)]);
+      }));
 
-    } else {
-      await Worker.workers[jobName](jobId, jobPayload);
+    } finally {
+      clearTimeout(timer);
+      removeAbortListeners.forEach( removeAbortListener => removeAbortListener());
     }
 
   }
@@ -132,21 +626,22 @@ export default class Worker {
    * @param jobName {string} - Name associated with jobs assigned to related worker.
    * @param jobId {string} - Unique id associated with job.
    * @param jobPayload {object} - Data payload associated with job.
+   * @param args {...*} - Extra arguments passed to the callback after job id and payload, ie percent and meta for onProgress.
    */
-  async executeJobLifecycleCallback(callbackName, jobName, jobId, jobPayload) {
+  async executeJobLifecycleCallback(callbackName, jobName, jobId, jobPayload, ...args) {
 
     // Validate callback name
-    const validCallbacks = ['onStart', 'onSuccess', 'onFailure', 'onFailed', 'onComplete'];
+    const validCallbacks = ['onStart', 'onProgress', 'onSuccess', 'onFailure', 'onFailed', 'onComplete', 'onDeadLetter'];
     if (!validCallbacks.includes(callbackName)) {
       throw new Error('Invalid job lifecycle callback name.');
     }
 
     // Fire job lifecycle callback if set.
     // Uses a try catch statement to gracefully degrade errors in production.
-    if (Worker.workers[jobName].options[callbackName]) {
+    if (this.workers[jobName].options[callbackName]) {
 
       try {
-        await Worker.workers[jobName].options[callbackName](jobId, jobPayload);
+        await this.workers[jobName].options[callbackName](jobId, jobPayload, ...args);
       } catch (error) {
         console.error(error); // eslint-disable-line no-console
       }
@@ -0,0 +1,188 @@
+/**
+ *
+ * Key-Value Storage Adapter
+ *
+ * Persists jobs with any key-value store that has AsyncStorage style getItem(key) and setItem(key, value)
+ * methods (ie AsyncStorage, localStorage on web, or a SQLite backed key-value store).
+ *
+ * Jobs are kept in memory and queried there. After write transactions that changed jobs, all jobs are saved
+ * to the store as JSON under one key, and they are loaded back from the store when the queue is initialized.
+ * Saves happen in the background in the order of the write transactions, see whenPersisted(). Write transactions
+ * made while a save is waiting to start are coalesced into that save.
+ *
+ * The schema version is saved along with the jobs. Jobs saved by older schema versions are upgraded when they are
+ * loaded: missing properties are set to their schema default, then the queue migrations and app migrations run like
+ * they do for Realm (see config/Database.js).
+ *
+ */
+
+import MemoryAdapter, { parseProperty } from './MemoryAdapter';
+import { isValidMigrations, getRealmSchemaVersion, runMigrations } from '../config/Database';
+
+/**
+ *
+ * Wrap tables of objects in the subset of the Realm API migrations use.
+ *
+ * @param schemaVersion {number} - Schema version objects were saved with.
+ * @param tables {object} - Objects keyed by primary key, per schema name.
+ * @return {object} - Object with schemaVersion, objects(type) (returns an array) and objectForPrimaryKey(type, id), like a Realm instance.
+ */
+function createMigrationStorage(schemaVersion, tables) {
+
+  return {
+    schemaVersion,
+    objects: (type) => Object.keys(tables[type] || {}).map( id => tables[type][id]),
+    objectForPrimaryKey: (type, id) => (tables[type] && tables[type][id]) || null
+  };
+
+}
+
+export default class KeyValueAdapter extends MemoryAdapter {
+
+  /**
+   *
+   * Set initial class properties.
+   *
+   * @constructor
+   * @param options {object} - Adapter options. store (required) is the key-value store, key (defaults to "reactNativeQueue") is the key jobs are saved under,
+   * saveDelay (defaults to 0) is the time in ms a save waits for more write transactions to coalesce before it starts,
+   * migrations are app migrations (see config/Database.js).
+   * @throws Throws error if store, saveDelay or migrations option is invalid.
+   */
+  constructor(options = {}) {
+
+    super(options);
+
+    const { store, key = 'reactNativeQueue', saveDelay = 0, migrations = [] } = options;
+
+    if (!store || typeof store.getItem !== 'function' || typeof store.setItem !== 'function') {
+      throw new Error('Invalid storage adapter option.');
+    }
+
+    if (typeof saveDelay !== 'number' || saveDelay < 0 || !isValidMigrations(migrations)) {
+      throw new Error('Invalid storage adapter option.');
+    }
+
+    this.store = store;
+    this.key = key;
+    this.saveDelay = saveDelay;
+    this.migrations = migrations;
+    this.loaded = false;
+    this.savePending = false;
+    this.persisting = Promise.resolve();
+
+  }
+
+  /**
+   *
+   * Load jobs from the store, upgrading jobs saved by older schema versions.
+   *
+   */
+  async open() {
+
+    if (this.loaded) {
+      return;
+    }
+
+    const json = await this.store.getItem(this.key);
+    const data = (json) ? JSON.parse(json) : {};
+
+    const schemaVersion = getRealmSchemaVersion(this.migrations);
+    const savedSchemaVersion = (json) ? data.schemaVersion : schemaVersion;
+    const savedTables = {};
+
+    Object.keys(this.tables).forEach( type => {
+
+      const objectSchema = this.schema[type];
+      const properties = Object.keys(objectSchema.properties).map( name => ({ name, ...parseProperty(objectSchema.properties[name]) }));
+
+      savedTables[type] = {};
+
+      (data[type] || []).forEach( savedObject => {
+
+        // Restore dates, and set properties added since object was saved to their schema default.
+        const object = {};
+
+        properties.forEach( property => {
+
+          const value = savedObject[property.name];
+
+          if (value !== null && value !== undefined) {
+            savedObject[property.name] = object[property.name] = (property.type == 'date') ? new Date(value) : value;
+          } else {
+            object[property.name] = (property.default !== undefined) ? property.default : null;
+          }
+
+        });
+
+        const id = object[objectSchema.primaryKey];
+
+        savedTables[type][id] = savedObject;
+        this.tables[type][id] = this.toStoredObject(type, object);
+
+      });
+
+    });
+
+    if (savedSchemaVersion < schemaVersion) {
+
+      runMigrations(createMigrationStorage(savedSchemaVersion, savedTables), createMigrationStorage(schemaVersion, this.tables), this.migrations);
+
+      // Save upgraded jobs, so migrations don't run again.
+      this.afterWrite();
+
+    }
+
+    this.loaded = true;
+
+  }
+
+  /**
+   *
+   * Schedule a save of all jobs to the store after a write transaction that changed them.
+   *
+   * Only one save waits to start at a time. It serializes jobs when it starts, so it includes the changes of every
+   * write transaction made in the meantime.
+   *
+   */
+  afterWrite() {
+
+    if (this.savePending) {
+      return;
+    }
+
+    this.savePending = true;
+
+    this.persisting = this.persisting
+      .then(() => new Promise((resolve) => { setTimeout(resolve, this.saveDelay); }))
+      .then(() => {
+
+        // Write transactions made from now on schedule a save of their own.
+        this.savePending = false;
+
+        const data = { schemaVersion: getRealmSchemaVersion(this.migrations) };
+        Object.keys(this.tables).forEach( type => {
+          const table = this.tables[type];
+          data[type] = Object.keys(table).map( id => table[id]);
+        });
+
+        return this.store.setItem(this.key, JSON.stringify(data));
+
+      })
+      .catch( error => {
+        console.error(error); // eslint-disable-line no-console
+      });
+
+  }
+
+  /**
+   *
+   * Wait for pending saves to the store to finish.
+   *
+   * @return {promise} - Promise that resolves once all write transactions so far have been saved.
+   */
+  whenPersisted() {
+    return this.persisting;
+  }
+
+}
@@ -0,0 +1,424 @@
+/**
+ *
+ * Memory Storage Adapter
+ *
+ * Keeps jobs in memory, so jobs do not persist across app restarts. Useful for Node tests
+ * and platforms without Realm. Also the base of other non-Realm adapters, see KeyValueAdapter.
+ *
+ */
+
+import { schema as defaultSchema } from '../config/schema';
+import { criteriaMatcher, sortComparator } from '../utils/criteria';
+
+/**
+ *
+ * Normalize a schema property definition.
+ *
+ * @param property {string|object} - Realm style property definition, ie 'date?' or { type: 'bool', default: false }.
+ * @return {object} - Property type, whether or not it is optional, and its default value.
+ */
+export function parseProperty(property) {
+
+  if (typeof property === 'string') {
+    const optional = property.endsWith('?');
+    return {
+      type: (optional) ? property.slice(0, -1) : property,
+      optional,
+      default: undefined
+    };
+  }
+
+  return {
+    type: property.type,
+    optional: !!property.optional,
+    default: property.default
+  };
+
+}
+
+/**
+ *
+ * Check whether two property values are equal. Dates are compared by time.
+ *
+ * @param a {*} - Property value.
+ * @param b {*} - Property value.
+ * @return {boolean} - Whether or not values are equal.
+ */
+function isSameValue(a, b) {
+
+  if (a instanceof Date && b instanceof Date) {
+    return a.getTime() === b.getTime();
+  }
+
+  return a === b;
+
+}
+
+export default class MemoryAdapter {
+
+  /**
+   *
+   * Set initial class properties.
+   *
+   * @constructor
+   * @param options {object} - Adapter options. schema overrides the storage schema (for testing).
+   */
+  constructor(options = {}) {
+
+    this.schema = {};
+    this.tables = {};
+    this.proxyHandlers = {};
+    this.inWriteTransaction = false;
+    this.changes = null;
+    this.listeners = [];
+
+    (options.schema || defaultSchema).forEach( objectSchema => {
+      this.schema[objectSchema.name] = objectSchema;
+      this.tables[objectSchema.name] = {};
+      this.proxyHandlers[objectSchema.name] = this.createProxyHandler(objectSchema.name);
+    });
+
+  }
+
+  /**
+   *
+   * Nothing to connect to for memory storage.
+   *
+   */
+  async open() {}
+
+  /**
+   *
+   * Run callback inside a write transaction. Changes are rolled back if callback throws.
+   *
+   * Changes are recorded as they are made (see MemoryAdapter.recordChange()), so the cost of a write transaction
+   * depends on the objects it changes rather than on the number of stored objects.
+   *
+   * @param callback {function} - Function that makes changes to storage.
+   * @throws Throws error if already in a write transaction, or rethrows error thrown by callback.
+   */
+  write(callback) {
+
+    if (this.inWriteTransaction) {
+      throw new Error('Storage is already in a write transaction.');
+    }
+
+    const changes = { types: [], deletedTypes: [], modifiedObjects: new Set(), undo: [] };
+
+    this.changes = changes;
+    this.inWriteTransaction = true;
+
+    try {
+      callback();
+    } catch (error) {
+
+      changes.undo.reverse().forEach( undo => undo());
+
+      throw error;
+
+    } finally {
+      this.changes = null;
+      this.inWriteTransaction = false;
+    }
+
+    // Write transactions that didn't change anything (ie no jobs were due) are neither persisted nor notified.
+    const changedTypes = Object.keys(this.schema).filter( type => changes.types.includes(type));
+
+    if (!changedTypes.length) {
+      return;
+    }
+
+    this.afterWrite(changedTypes);
+
+    this.listeners
+      .filter( ({ type }) => changedTypes.includes(type))
+      .forEach( ({ callback }) => callback());
+
+  }
+
+  /**
+   *
+   * Record a change made by the current write transaction, so it can be rolled back and listeners notified.
+   *
+   * @param type {string} - Schema name of the changed object(s).
+   * @param undo {function} - Function that reverts the change.
+   */
+  recordChange(type, undo) {
+
+    if (!this.changes.types.includes(type)) {
+      this.changes.types.push(type);
+    }
+
+    this.changes.undo.push(undo);
+
+  }
+
+  /**
+   *
+   * Build the proxy handler of objects of a type, which records property changes made inside write transactions.
+   *
+   * Properties set outside write transactions (ie by KeyValueAdapter migrations) are neither rolled back nor notified.
+   *
+   * @param type {string} - Schema name.
+   * @return {object} - Proxy handler.
+   */
+  createProxyHandler(type) {
+
+    return {
+      set: (target, property, value) => {
+
+        if (this.inWriteTransaction && !isSameValue(target[property], value) && !this.changes.modifiedObjects.has(target)) {
+
+          // Keep the properties the object had before its first change of the write transaction.
+          const properties = { ...target };
+
+          this.changes.modifiedObjects.add(target);
+          this.recordChange(type, () => {
+            Object.keys(target).forEach( name => { delete target[name]; });
+            Object.assign(target, properties);
+          });
+
+        }
+
+        target[property] = value;
+
+        return true;
+
+      }
+    };
+
+  }
+
+  /**
+   *
+   * Wrap object properties in a stored object that records its changes.
+   *
+   * @param type {string} - Schema name.
+   * @param properties {object} - Object properties, all schema properties set.
+   * @return {object} - Stored object.
+   */
+  toStoredObject(type, properties) {
+    return new Proxy(properties, this.proxyHandlers[type]);
+  }
+
+  /**
+   *
+   * Called after each write transaction that changed objects. Override to persist changes.
+   *
+   * @param changedTypes {array} - Schema names of the object types that changed.
+   */
+  afterWrite(changedTypes) {} // eslint-disable-line no-unused-vars
+
+  /**
+   *
+   * Throw if not inside a write transaction, to match Realm.
+   *
+   * @throws Throws error if not in a write transaction.
+   */
+  assertInWriteTransaction() {
+
+    if (!this.inWriteTransaction) {
+      throw new Error('Storage can only be modified inside a write transaction.');
+    }
+
+  }
+
+  /**
+   *
+   * Create an object. Must be called inside a write transaction.
+   *
+   * Missing properties are set to their schema default, or null if they are optional.
+   *
+   * @param type {string} - Schema name.
+   * @param properties {object} - Object properties.
+   * @throws Throws error if an object with the same primary key exists.
+   * @return {object} - Created object.
+   */
+  create(type, properties) {
+
+    this.assertInWriteTransaction();
+
+    const objectSchema = this.schema[type];
+    const object = {};
+
+    Object.keys(objectSchema.properties).forEach( name => {
+
+      const property = parseProperty(objectSchema.properties[name]);
+
+      if (properties[name] !== undefined) {
+        object[name] = properties[name];
+      } else if (property.default !== undefined) {
+        object[name] = property.default;
+      } else {
+        object[name] = null;
+      }
+
+    });
+
+    const id = object[objectSchema.primaryKey];
+
+    if (this.tables[type][id]) {
+      throw new Error(type + ' with primary key ' + id + ' already exists.');
+    }
+
+    const storedObject = this.toStoredObject(type, object);
+
+    this.tables[type][id] = storedObject;
+    this.recordChange(type, () => { delete this.tables[type][id]; });
+
+    return storedObject;
+
+  }
+
+  /**
+   *
+   * Get an object by primary key.
+   *
+   * @param type {string} - Schema name.
+   * @param id {string} - Primary key.
+   * @return {object|null} - Object or null if it does not exist.
+   */
+  objectForPrimaryKey(type, id) {
+    return this.tables[type][id] || null;
+  }
+
+  /**
+   *
+   * Get objects matching criteria. See utils/criteria.js for criteria and sort formats.
+   *
+   * @param type {string} - Schema name.
+   * @param criteria {object} - Criteria objects must match.
+   * @param sort {array} - Sort descriptors.
+   * @param limit {number|null} - Max number of objects to return (null returns all of them).
+   * @return {array} - Matching objects.
+   */
+  find(type, criteria = {}, sort = [], limit = null) {
+
+    const table = this.tables[type];
+    const matches = criteriaMatcher(criteria);
+    const objects = [];
+
+    if (!sort.length || limit === null) {
+
+      Object.keys(table).forEach( id => {
+        if (matches(table[id])) {
+          objects.push(table[id]);
+        }
+      });
+
+      if (sort.length) {
+        objects.sort(sortComparator(sort));
+      }
+
+      return (limit !== null) ? objects.slice(0, limit) : objects;
+
+    }
+
+    // Only keep the first limit objects in sort order, instead of sorting every matching object.
+    const compare = sortComparator(sort);
+
+    Object.keys(table).forEach( id => {
+
+      const object = table[id];
+
+      if (!matches(object) || (objects.length >= limit && compare(object, objects[objects.length - 1]) >= 0)) {
+        return;
+      }
+
+      // Objects that sort equally keep their storage order, like they do with Array.prototype.sort().
+      let index = objects.length;
+      while (index > 0 && compare(object, objects[index - 1]) < 0) {
+        index--;
+      }
+
+      objects.splice(index, 0, object);
+
+      if (objects.length > limit) {
+        objects.pop();
+      }
+
+    });
+
+    return objects;
+
+  }
+
+  /**
+   *
+   * Delete an object or array of objects. Must be called inside a write transaction.
+   *
+   * @param objects {object|array} - Object(s) to delete.
+   */
+  delete(objects) {
+
+    this.assertInWriteTransaction();
+
+    (Array.isArray(objects) ? objects : [objects]).forEach( object => {
+
+      Object.keys(this.tables).forEach( type => {
+
+        const id = object[this.schema[type].primaryKey];
+
+        if (this.tables[type][id] !== object) {
+          return;
+        }
+
+        // Restore the whole table on rollback rather than re-adding objects, so objects keep their storage order.
+        if (!this.changes.deletedTypes.includes(type)) {
+          const table = { ...this.tables[type] };
+          this.changes.deletedTypes.push(type);
+          this.recordChange(type, () => { this.tables[type] = table; });
+        }
+
+        delete this.tables[type][id];
+
+      });
+
+    });
+
+  }
+
+  /**
+   *
+   * Delete all objects. Must be called inside a write transaction.
+   *
+   */
+  deleteAll() {
+
+    this.assertInWriteTransaction();
+
+    Object.keys(this.tables).forEach( type => {
+
+      const table = this.tables[type];
+
+      if (Object.keys(table).length) {
+        this.tables[type] = {};
+        this.recordChange(type, () => { this.tables[type] = table; });
+      }
+
+    });
+
+  }
+
+  /**
+   *
+   * Listen for changes to objects of a type. Listeners are called after each successful write transaction that
+   * created, deleted or modified objects of that type.
+   *
+   * @param type {string} - Schema name.
+   * @param callback {function} - Function called after objects of type have changed.
+   * @return {function} - Function that removes the listener.
+   */
+  addListener(type, callback) {
+
+    const listener = { type, callback };
+
+    this.listeners.push(listener);
+
+    return () => {
+      this.listeners = this.listeners.filter( existingListener => existingListener !== listener);
+    };
+
+  }
+
+}
@@ -0,0 +1,143 @@
+/**
+ *
+ * Realm Storage Adapter
+ *
+ * Default storage adapter. Jobs are persisted with Realm.
+ *
+ */
+
+import Database from '../config/Database';
+import { toRealmQuery } from '../utils/criteria';
+
+export default class RealmAdapter {
+
+  /**
+   *
+   * Set initial class properties.
+   *
+   * @constructor
+   * @param options {object} - Adapter options. realmPath sets the Realm database file, migrations are app migrations (see config/Database.js).
+   */
+  constructor(options = {}) {
+    this.realmPath = options.realmPath || null;
+    this.migrations = options.migrations || [];
+    this.realm = null;
+  }
+
+  /**
+   *
+   * Connect to Realm database.
+   *
+   */
+  async open() {
+    if (this.realm === null) {
+      this.realm = await Database.getRealmInstance({
+        ...((this.realmPath) ? { realmPath: this.realmPath } : {}),
+        migrations: this.migrations
+      });
+    }
+  }
+
+  /**
+   *
+   * Run callback inside a write transaction. Changes are rolled back if callback throws.
+   *
+   * @param callback {function} - Function that makes changes to storage.
+   */
+  write(callback) {
+    this.realm.write(callback);
+  }
+
+  /**
+   *
+   * Create an object. Must be called inside a write transaction.
+   *
+   * @param type {string} - Schema name.
+   * @param properties {object} - Object properties.
+   * @return {object} - Created object.
+   */
+  create(type, properties) {
+    return this.realm.create(type, properties);
+  }
+
+  /**
+   *
+   * Get an object by primary key.
+   *
+   * @param type {string} - Schema name.
+   * @param id {string} - Primary key.
+   * @return {object|null} - Object or null if it does not exist.
+   */
+  objectForPrimaryKey(type, id) {
+    return this.realm.objectForPrimaryKey(type, id) || null;
+  }
+
+  /**
+   *
+   * Get objects matching criteria. See utils/criteria.js for criteria and sort formats.
+   *
+   * @param type {string} - Schema name.
+   * @param criteria {object} - Criteria objects must match.
+   * @param sort {array} - Sort descriptors.
+   * @param limit {number|null} - Max number of objects to return (null returns all of them).
+   * @return {array} - Matching objects.
+   */
+  find(type, criteria = {}, sort = [], limit = null) {
+
+    const args = [];
+    const query = toRealmQuery(criteria, args);
+
+    let objects = this.realm.objects(type);
+
+    if (query != 'TRUEPREDICATE') {
+      objects = objects.filtered(query, ...args);
+    }
+
+    if (sort.length) {
+      objects = objects.sorted(sort);
+    }
+
+    // Results are lazy, so only the returned objects are read from the database.
+    return (limit !== null) ? objects.slice(0, limit) : objects.slice();
+
+  }
+
+  /**
+   *
+   * Delete an object or array of objects. Must be called inside a write transaction.
+   *
+   * @param objects {object|array} - Object(s) to delete.
+   */
+  delete(objects) {
+    this.realm.delete(objects);
+  }
+
+  /**
+   *
+   * Delete all objects. Must be called inside a write transaction.
+   *
+   */
+  deleteAll() {
+    this.realm.deleteAll();
+  }
+
+  /**
+   *
+   * Listen for changes to objects of a type, using Realm change notifications.
+   *
+   * @param type {string} - Schema name.
+   * @param callback {function} - Function called after objects of type have changed.
+   * @return {function} - Function that removes the listener.
+   */
+  addListener(type, callback) {
+
+    const objects = this.realm.objects(type);
+    const listener = () => callback();
+
+    objects.addListener(listener);
+
+    return () => objects.removeListener(listener);
+
+  }
+
+}
@@ -3,37 +3,170 @@
  */
 
 import { Config } from './config';
-import Realm from 'realm';
-
-const JobSchema = {
-  name: 'Job',
-  primaryKey: 'id',
-  properties: {
-    id:  'string', // UUID.
-    name: 'string', // Job name to be matched with worker function.
-    payload: 'string', // Job payload stored as JSON.
-    data: 'string', // Store arbitrary data like "failed attempts" as JSON.
-    priority: 'int', // -5 to 5 to indicate low to high priority.
-    active: { type: 'bool', default: false}, // Whether or not job is currently being processed.
-    timeout: 'int', // Job timeout in ms. 0 means no timeout.
-    created: 'date', // Job creation timestamp.
-    failed: 'date?' // Job failure timestamp (null until failure).
+import { schema } from './schema';
+
+/**
+ *
+ * Realm schema versions are made up of the queue schema version and the app migration version,
+ * so apps can add migrations without clashing with the migrations of future queue releases.
+ *
+ * Realm schema version = queue schema version * APP_VERSION_RANGE + app migration version.
+ *
+ */
+export const APP_VERSION_RANGE = 1000;
+
+/**
+ *
+ * Schema version 1 added job status and replaced the job data JSON blob with columns. Derive status from
+ * the job failed timestamp and active flag, and copy the values of the data blob over.
+ *
+ * @param oldRealm {Realm} - Realm instance before migration.
+ * @param newRealm {Realm} - Realm instance after migration.
+ */
+function migrateJobs(oldRealm, newRealm) {
+
+  oldRealm.objects('Job').forEach( oldJob => {
+
+    const job = newRealm.objectForPrimaryKey('Job', oldJob.id);
+    const jobData = (oldJob.data) ? JSON.parse(oldJob.data) : {};
+
+    if (oldJob.failed) {
+      job.status = 'failed';
+    } else if (oldJob.active) {
+      job.status = 'active';
+    } else {
+      job.status = 'pending';
+    }
+
+    job.attempts = jobData.attempts || 1;
+    job.failedAttempts = jobData.failedAttempts || 0;
+    job.errors = JSON.stringify(jobData.errors || []);
+
+  });
+
+}
+
+/**
+ *
+ * Queue migrations in order. Each migration upgrades data written by schema versions older than its schemaVersion.
+ *
+ */
+export const migrations = [
+  { schemaVersion: 1, migrate: migrateJobs }
+];
+
+/**
+ *
+ * Validate app migrations.
+ *
+ * @param appMigrations {array} - App migrations, objects with a version (1 to 999, unique) and migrate(oldRealm, newRealm) function.
+ * @return {boolean} - Whether or not app migrations are valid.
+ */
+export function isValidMigrations(appMigrations) {
+
+  if (!Array.isArray(appMigrations)) {
+    return false;
+  }
+
+  const versions = appMigrations.map( migration => migration && migration.version);
+
+  return appMigrations.every( migration => {
+    return migration
+      && Number.isInteger(migration.version)
+      && migration.version > 0
+      && migration.version < APP_VERSION_RANGE
+      && typeof migration.migrate === 'function'
+      && versions.indexOf(migration.version) === versions.lastIndexOf(migration.version);
+  });
+
+}
+
+/**
+ *
+ * Get the Realm schema version for the current queue schema version and app migrations.
+ *
+ * @param appMigrations {array} - App migrations.
+ * @return {number} - Realm schema version.
+ */
+export function getRealmSchemaVersion(appMigrations = []) {
+
+  const appVersion = appMigrations.reduce( (version, migration) => Math.max(version, migration.version), 0);
+
+  return Config.REALM_SCHEMA_VERSION * APP_VERSION_RANGE + appVersion;
+
+}
+
+/**
+ *
+ * Split a Realm schema version into the queue schema version and app migration version.
+ *
+ * @param realmSchemaVersion {number} - Realm schema version.
+ * @return {object} - Queue schemaVersion and app migration appVersion.
+ */
+export function parseRealmSchemaVersion(realmSchemaVersion) {
+
+  // Realm files written before app migrations were supported store the queue schema version as is.
+  if (realmSchemaVersion < APP_VERSION_RANGE) {
+    return { schemaVersion: realmSchemaVersion, appVersion: 0 };
   }
-};
+
+  return {
+    schemaVersion: Math.floor(realmSchemaVersion / APP_VERSION_RANGE),
+    appVersion: realmSchemaVersion % APP_VERSION_RANGE
+  };
+
+}
+
+/**
+ *
+ * Migrate data written by older schema versions. Queue migrations run first, then app migrations, each in version order.
+ *
+ * @param oldRealm {Realm} - Realm instance before migration.
+ * @param newRealm {Realm} - Realm instance after migration.
+ * @param appMigrations {array} - App migrations.
+ */
+export function runMigrations(oldRealm, newRealm, appMigrations = []) {
+
+  const { schemaVersion, appVersion } = parseRealmSchemaVersion(oldRealm.schemaVersion);
+
+  migrations
+    .filter( migration => migration.schemaVersion > schemaVersion)
+    .forEach( migration => migration.migrate(oldRealm, newRealm));
+
+  appMigrations
+    .filter( migration => migration.version > appVersion)
+    .sort( (a, b) => a.version - b.version)
+    .forEach( migration => migration.migrate(oldRealm, newRealm));
+
+}
 
 export default class Database {
 
-  static realmInstance = null; // Use a singleton connection to realm for performance.
+  static realmInstances = {}; // Use a singleton connection per realm database file for performance.
 
   static async getRealmInstance(options = {}) {
 
+    const realmPath = options.realmPath || Config.REALM_PATH;
+    const appMigrations = options.migrations || [];
+
     // Connect to realm if database singleton instance has not already been created.
-    if (Database.realmInstance === null) {
+    if (!Database.realmInstances[realmPath]) {
+
+      // Realm is required lazily so apps using another storage adapter don't need to install it. The require stays
+      // inside try/catch for the same reason as NetInfo's (see NetInfoConnectivity.subscribe()).
+      let Realm = null;
+
+      try {
+        Realm = require('realm'); // eslint-disable-line no-undef
+      } catch (error) {
+        throw new Error('realm is not installed. Install it, or pass another storage adapter with the queue storage option.');
+      }
 
-      Database.realmInstance = await Realm.open({
-        path: options.realmPath || Config.REALM_PATH,
-        schemaVersion: Config.REALM_SCHEMA_VERSION,
-        schema: [JobSchema]
+      Database.realmInstances[realmPath] = await Realm.open({
+        path: realmPath,
+        schemaVersion: getRealmSchemaVersion(appMigrations),
+        schema,
+        migration: (oldRealm, newRealm) => runMigrations(oldRealm, newRealm, appMigrations)
 
         // Look up shouldCompactOnLaunch to auto-vacuum https://github.com/realm/realm-js/pull/1209/files
 
@@ -41,7 +174,7 @@ export default class Database {
 
     }
 
-    return Database.realmInstance;
+    return Database.realmInstances[realmPath];
 
   }
 
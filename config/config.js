@@ -6,5 +6,9 @@
 
 export const Config = {
   REALM_PATH: 'reactNativeQueue.realm', // Name of realm database.
-  REALM_SCHEMA_VERSION: 0 // Must be incremented if data model updates.
+  REALM_SCHEMA_VERSION: 1, // Must be incremented if data model updates.
+  JOB_LEASE_DURATION: 60000, // Time in ms an active job is considered alive without a heartbeat.
+  JOB_HEARTBEAT_INTERVAL: 15000, // Time in ms between lease renewals of jobs being processed.
+  DEVICE_STATE_POLL_INTERVAL: 60000, // Time in ms between device state checks of the default device state provider.
+  JOB_SELECTION_PAGE_SIZE: 50 // Number of jobs first read when selecting jobs to process, doubled until enough are read.
 };
\ No newline at end of file
@@ -0,0 +1,69 @@
+/**
+ * Storage schema
+ *
+ * Shared by all storage adapters. Property types follow the Realm schema format.
+ */
+
+export const JobSchema = {
+  name: 'Job',
+  primaryKey: 'id',
+  properties: {
+    id:  'string', // UUID.
+    name: 'string', // Job name to be matched with worker function.
+    payload: 'string', // Job payload stored as JSON.
+    attempts: { type: 'int', default: 1 }, // Max number of times job is attempted before it is marked as failed.
+    failedAttempts: { type: 'int', default: 0 }, // Number of times job has failed so far.
+    errors: { type: 'string', default: '[]' }, // Messages of errors job failed with stored as JSON array.
+    backoff: 'string?', // Job backoff option stored as JSON (null means the worker backoff is used).
+    retryAt: 'date?', // Timestamp of the next attempt scheduled by backoff (null until a backoff delay applies).
+    onDependencyFailed: 'string?', // What to do when a dependency fails: "fail", "cancel" or "run" (null means "fail").
+    requiresNetwork: 'string?', // Connectivity job needs to run: "any" or "unmetered" (null means the worker requiresNetwork is used).
+    requiresCharging: 'bool?', // Whether job only runs while device is charging (null means the worker requiresCharging is used).
+    minBatteryLevel: 'double?', // Battery level (0 to 1) job needs to run unless device is charging (null means the worker minBatteryLevel is used).
+    requiresDeviceIdle: 'bool?', // Whether job only runs while device is idle (null means the worker requiresDeviceIdle is used).
+    minFreeStorage: 'int?', // Free storage in bytes job needs to run (null means the worker minFreeStorage is used).
+    recurringJobId: { type: 'string', optional: true, indexed: true }, // Key of the recurring job this job is an occurrence of.
+    priority: 'int', // -5 to 5 to indicate low to high priority.
+    active: { type: 'bool', default: false}, // Whether or not job is currently being processed.
+    status: { type: 'string', default: 'pending', indexed: true }, // Job status: "pending", "active", "paused", "cancelled", "completed" or "failed".
+    leaseExpires: 'date?', // Timestamp the lease of an active job expires, renewed while job is being processed (null unless active).
+    progress: 'double?', // Latest percentage of job done (0 to 100) reported by the current attempt (null until reported).
+    progressMeta: 'string?', // Extra data reported with latest progress stored as JSON (null if none).
+    checkpoint: 'string?', // Latest state saved by the worker to resume from on later attempts stored as JSON (null if none).
+    timeout: 'int', // Job timeout in ms. 0 means no timeout.
+    created: 'date', // Job creation timestamp.
+    runAt: 'date?', // Timestamp job becomes eligible for processing (null means immediately).
+    uniqueKey: { type: 'string', optional: true, indexed: true }, // Key used to deduplicate jobs (null means not unique).
+    dependsOn: 'string?', // Ids of jobs that must complete before this job is processed, stored as JSON.
+    failed: 'date?', // Job failure timestamp (null until failure).
+    completed: 'date?', // Job completion timestamp (null until completion, only set if completed jobs are kept).
+    result: 'string?' // Value returned by worker stored as JSON (only set if completed jobs are kept).
+  }
+};
+
+export const RecurringJobSchema = {
+  name: 'RecurringJob',
+  primaryKey: 'id',
+  properties: {
+    id: 'string', // Recurring job key (defaults to job name).
+    name: 'string', // Job name to be matched with worker function.
+    payload: 'string', // Job payload stored as JSON.
+    options: 'string', // Job options applied to each occurrence stored as JSON.
+    every: 'int?', // Interval between occurrences in ms (null for cron recurring jobs).
+    cron: 'string?', // Cron expression occurrences are scheduled by (null for interval recurring jobs).
+    nextJobId: 'string?', // Id of the pending occurrence job.
+    nextRunAt: 'date?', // Timestamp the pending occurrence is scheduled for.
+    created: 'date' // Recurring job creation timestamp.
+  }
+};
+
+export const DeadLetterJobSchema = {
+  name: 'DeadLetterJob',
+  primaryKey: 'id',
+  properties: {
+    ...JobSchema.properties, // Job as it was when it failed all of its attempts.
+    deadLettered: { type: 'date', indexed: true } // Timestamp job was moved to the dead-letter store.
+  }
+};
+
+export const schema = [JobSchema, RecurringJobSchema, DeadLetterJobSchema];
@@ -0,0 +1,163 @@
+/**
+ *
+ * React Bindings
+ *
+ * QueueProvider makes a queue available to components, and hooks re-render components live as jobs
+ * change (using storage change notifications, ie Realm change notifications) or queue starts and stops.
+ *
+ * Requires React 16.8 or later. Import from "react-native-queue/hooks".
+ *
+ */
+
+import React, { createContext, useContext, useEffect, useState } from 'react';
+import { JobSchema } from '../config/schema';
+import { parseJobFilter } from '../utils/jobQuery';
+
+export const QueueContext = createContext(null);
+
+/**
+ *
+ * Make a queue available to the hooks of child components.
+ *
+ * @param props {object} - queue is a queue instance created with queueFactory().
+ * @return {object} - React element.
+ */
+export function QueueProvider({ queue, children }) {
+  return React.createElement(QueueContext.Provider, { value: queue }, children);
+}
+
+/**
+ *
+ * Copy the properties of a job storage model object, so components get a stable
+ * snapshot that is still readable after the job is deleted.
+ *
+ * @param job {object} - Job storage model object.
+ * @return {object} - Job properties.
+ */
+function toJobSnapshot(job) {
+
+  const snapshot = {};
+
+  Object.keys(JobSchema.properties).forEach( property => {
+    snapshot[property] = job[property];
+  });
+
+  return snapshot;
+
+}
+
+/**
+ *
+ * Keep a value computed from jobs up to date as jobs change.
+ *
+ * @param queue {Queue} - Queue instance.
+ * @param getValue {function} - Function that computes value from jobs in storage.
+ * @param deps {array} - Values getValue() depends on, value is recomputed when they change.
+ * @return {*} - Current value.
+ */
+function useJobsValue(queue, getValue, deps) {
+
+  const [value, setValue] = useState(getValue);
+
+  useEffect(() => {
+
+    const update = () => setValue(getValue());
+
+    // Jobs could have changed between render and subscribing.
+    update();
+
+    return queue.storage.addListener('Job', update);
+
+  }, [queue, ...deps]);
+
+  return value;
+
+}
+
+/**
+ *
+ * Get the queue provided by the nearest QueueProvider.
+ *
+ * @throws Throws error if component is not inside a QueueProvider.
+ * @return {Queue} - Queue instance.
+ */
+export function useQueue() {
+
+  const queue = useContext(QueueContext);
+
+  if (!queue) {
+    throw new Error('useQueue() must be used inside a QueueProvider.');
+  }
+
+  return queue;
+
+}
+
+/**
+ *
+ * Get jobs matching a filter. Component re-renders as jobs are created, run, retry or fail.
+ *
+ * @param filter {object} - Filter jobs must match, ie { name: 'upload-photo', status: 'pending' }. Same format as Queue.getJobs(), see utils/jobQuery.js.
+ * @throws Throws error if filter is invalid.
+ * @return {array} - Snapshots of matching jobs, sorted as the filter says (oldest first by default).
+ */
+export function useJobs(filter = {}) {
+
+  const queue = useQueue();
+  const { criteria, sort, limit, offset } = parseJobFilter(filter);
+
+  return useJobsValue(queue, () => {
+    const jobs = queue.storage.find('Job', criteria, sort);
+    return jobs.slice(offset, (limit !== null) ? offset + limit : undefined).map(toJobSnapshot);
+  }, [JSON.stringify(filter)]);
+
+}
+
+/**
+ *
+ * Get a job by id. Component re-renders as job changes.
+ *
+ * @param jobId {string} - Id of the job.
+ * @return {object|null} - Snapshot of job, or null if job does not exist.
+ */
+export function useJob(jobId) {
+
+  const queue = useQueue();
+
+  return useJobsValue(queue, () => {
+    const job = queue.storage.objectForPrimaryKey('Job', jobId);
+    return (job) ? toJobSnapshot(job) : null;
+  }, [jobId]);
+
+}
+
+/**
+ *
+ * Get the queue status. Component re-renders as queue starts and stops processing.
+ *
+ * @return {string} - "active" if queue is processing jobs, otherwise "inactive".
+ */
+export function useQueueStatus() {
+
+  const queue = useQueue();
+  const [status, setStatus] = useState(queue.status);
+
+  useEffect(() => {
+
+    const update = () => setStatus(queue.status);
+
+    update();
+
+    const unsubscribeStart = queue.on('queue:start', update);
+    const unsubscribeStop = queue.on('queue:stop', update);
+
+    return () => {
+      unsubscribeStart();
+      unsubscribeStop();
+    };
+
+  }, [queue]);
+
+  return status;
+
+}
@@ -6,5 +6,14 @@
  */
 
 import QueueFactory from './Models/Queue';
+import RealmAdapter from './adapters/RealmAdapter';
+import MemoryAdapter from './adapters/MemoryAdapter';
+import KeyValueAdapter from './adapters/KeyValueAdapter';
+import ManualConnectivity from './providers/ManualConnectivity';
+import NetInfoConnectivity from './providers/NetInfoConnectivity';
+import ManualDeviceState from './providers/ManualDeviceState';
+import DeviceInfoDeviceState from './providers/DeviceInfoDeviceState';
 
-export default QueueFactory;
\ No newline at end of file
+export default QueueFactory;
+
+export { RealmAdapter, MemoryAdapter, KeyValueAdapter, ManualConnectivity, NetInfoConnectivity, ManualDeviceState, DeviceInfoDeviceState };
\ No newline at end of file
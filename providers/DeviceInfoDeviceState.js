@@ -0,0 +1,209 @@
+/**
+ *
+ * DeviceInfo Device State Provider
+ *
+ * Tracks battery and free storage with react-native-device-info. This is the default device state provider of queues.
+ *
+ * DeviceInfo is only loaded once device state is first needed (ie a job has device constraints), so apps that
+ * don't use device constraints don't need to install it. Until DeviceInfo reports, battery level and free storage
+ * are unknown and the device is considered not charging, see ready(). If DeviceInfo isn't installed, the device is considered
+ * charging with a full battery and unlimited free storage, unless the app sets the state itself.
+ *
+ * DeviceInfo is polled while the provider has listeners. Without listeners, reading the state refreshes it
+ * at most once per poll interval.
+ *
+ * DeviceInfo can't tell whether the device is idle, so idle is false unless the app sets it with setState()
+ * (ie from an OS background task that only runs while the device is idle).
+ *
+ */
+
+import { Config } from '../config/config';
+import ManualDeviceState from './ManualDeviceState';
+
+/**
+ *
+ * Convert a DeviceInfo power state and free storage into device state.
+ *
+ * @param powerState {object} - DeviceInfo power state.
+ * @param freeStorage {number} - Free storage in bytes.
+ * @return {object} - Device state (without idle, which DeviceInfo doesn't report).
+ */
+export function toDeviceState(powerState, freeStorage) {
+
+  return {
+    charging: powerState.batteryState == 'charging' || powerState.batteryState == 'full',
+    batteryLevel: (powerState.batteryLevel >= 0) ? powerState.batteryLevel : null, // Simulators report -1.
+    freeStorage: (freeStorage >= 0) ? freeStorage : null
+  };
+
+}
+
+export default class DeviceInfoDeviceState extends ManualDeviceState {
+
+  /**
+   *
+   * Set initial class properties.
+   *
+   * @constructor
+   * @param options {object} - Provider options. pollInterval is the time in ms between device state checks (defaults to Config.DEVICE_STATE_POLL_INTERVAL).
+   */
+  constructor(options = {}) {
+
+    super({ charging: false, batteryLevel: null, idle: false, freeStorage: null });
+
+    this.pollInterval = options.pollInterval || Config.DEVICE_STATE_POLL_INTERVAL;
+    this.pollTimer = null;
+    this.subscriberCount = 0;
+    this.lastRefresh = null;
+    this.initialRefresh = null;
+    this.DeviceInfo = undefined;
+
+  }
+
+  /**
+   *
+   * Load DeviceInfo if not already loaded.
+   *
+   * @return {object|null} - react-native-device-info module, or null if it isn't installed.
+   */
+  loadDeviceInfo() {
+
+    if (this.DeviceInfo !== undefined) {
+      return this.DeviceInfo;
+    }
+
+    // Required lazily, inside try/catch for the same reason as NetInfo (see NetInfoConnectivity.subscribe()).
+    try {
+      this.DeviceInfo = require('react-native-device-info').default; // eslint-disable-line no-undef
+    } catch (error) {
+      console.warn('react-native-device-info is not installed, device state is not tracked and device constraints are considered met.'); // eslint-disable-line no-console
+      this.DeviceInfo = null;
+      this.setState({ charging: true, batteryLevel: 1, freeStorage: Infinity });
+    }
+
+    return this.DeviceInfo;
+
+  }
+
+  /**
+   *
+   * Poll DeviceInfo until the returned function is called. Polling stops once every subscriber has unsubscribed.
+   *
+   * @return {function} - Function that unsubscribes.
+   */
+  subscribe() {
+
+    let subscribed = true;
+    this.subscriberCount++;
+
+    const DeviceInfo = this.loadDeviceInfo();
+
+    if (DeviceInfo && !this.pollTimer) {
+      this.pollTimer = setInterval(() => this.refresh(DeviceInfo), this.pollInterval);
+      this.refresh(DeviceInfo);
+    }
+
+    return () => {
+
+      if (!subscribed) {
+        return;
+      }
+
+      subscribed = false;
+      this.subscriberCount--;
+
+      if (!this.subscriberCount && this.pollTimer) {
+        clearInterval(this.pollTimer);
+        this.pollTimer = null;
+      }
+
+    };
+
+  }
+
+  /**
+   *
+   * Read device state from DeviceInfo. Listeners are only notified if it changed.
+   *
+   * @param DeviceInfo {object} - react-native-device-info module.
+   */
+  async refresh(DeviceInfo) {
+
+    this.lastRefresh = Date.now();
+
+    try {
+
+      const [powerState, freeStorage] = await Promise.all([DeviceInfo.getPowerState(), DeviceInfo.getFreeDiskStorage()]);
+      const state = toDeviceState(powerState, freeStorage);
+
+      if (Object.keys(state).some( key => state[key] !== this.state[key])) {
+        this.setState(state);
+      }
+
+    } catch (error) {
+      console.error(error); // eslint-disable-line no-console
+    }
+
+  }
+
+  /**
+   *
+   * Wait for DeviceInfo to report the device state.
+   *
+   * @return {promise} - Promise that resolves once the device state is known (right away if DeviceInfo isn't installed).
+   */
+  ready() {
+
+    const DeviceInfo = this.loadDeviceInfo();
+
+    if (!DeviceInfo) {
+      return Promise.resolve();
+    }
+
+    if (!this.initialRefresh) {
+      this.initialRefresh = this.refresh(DeviceInfo);
+    }
+
+    return this.initialRefresh;
+
+  }
+
+  /**
+   *
+   * Get the current device state.
+   *
+   * @return {object} - Device state.
+   */
+  getState() {
+
+    const DeviceInfo = this.loadDeviceInfo();
+
+    // State is kept fresh by polling while there are listeners.
+    if (DeviceInfo && !this.pollTimer && (this.lastRefresh === null || Date.now() - this.lastRefresh >= this.pollInterval)) {
+      this.refresh(DeviceInfo);
+    }
+
+    return super.getState();
+
+  }
+
+  /**
+   *
+   * Listen for device state changes.
+   *
+   * @param listener {function} - Function called with the device state each time it is updated.
+   * @return {function} - Function that removes the listener, and stops polling if it was the last one.
+   */
+  addListener(listener) {
+
+    const unsubscribe = this.subscribe();
+    const removeListener = super.addListener(listener);
+
+    return () => {
+      removeListener();
+      unsubscribe();
+    };
+
+  }
+
+}
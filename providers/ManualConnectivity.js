@@ -0,0 +1,34 @@
+/**
+ *
+ * Manual Connectivity Provider
+ *
+ * Connectivity state is set by the app with setState(). Useful for tests and for apps that
+ * already track connectivity their own way. Also the base of other connectivity providers, see NetInfoConnectivity.
+ *
+ * Connectivity state is an object with connected (device has a network connection) and unmetered
+ * (connection isn't billed by usage, ie wifi or ethernet rather than cellular) booleans.
+ *
+ */
+
+import StateProvider from './StateProvider';
+
+export default class ManualConnectivity extends StateProvider {
+
+  /**
+   *
+   * Set initial class properties.
+   *
+   * @constructor
+   * @param state {object} - Initial connectivity state (defaults to connected and unmetered).
+   */
+  constructor(state = {}) {
+
+    super({
+      connected: true,
+      unmetered: true,
+      ...state
+    });
+
+  }
+
+}
@@ -0,0 +1,36 @@
+/**
+ *
+ * Manual Device State Provider
+ *
+ * Device state is set by the app with setState(). Useful for tests and for apps that already track
+ * battery and storage their own way. Also the base of other device state providers, see DeviceInfoDeviceState.
+ *
+ * Device state is an object with charging (boolean), batteryLevel (0 to 1), idle (boolean, device
+ * isn't in use) and freeStorage (bytes) properties. batteryLevel and freeStorage are null if unknown.
+ *
+ */
+
+import StateProvider from './StateProvider';
+
+export default class ManualDeviceState extends StateProvider {
+
+  /**
+   *
+   * Set initial class properties.
+   *
+   * @constructor
+   * @param state {object} - Initial device state (defaults to charging, full battery, idle and unlimited free storage).
+   */
+  constructor(state = {}) {
+
+    super({
+      charging: true,
+      batteryLevel: 1,
+      idle: true,
+      freeStorage: Infinity,
+      ...state
+    });
+
+  }
+
+}
@@ -0,0 +1,138 @@
+/**
+ *
+ * NetInfo Connectivity Provider
+ *
+ * Tracks connectivity with @react-native-community/netinfo. This is the default connectivity provider of queues.
+ *
+ * NetInfo is only subscribed to once connectivity state is first needed (ie a job requires network), so apps
+ * that don't use network aware jobs don't need to install it. Until NetInfo reports the connection,
+ * the device is considered offline, see ready(). If NetInfo isn't installed, the provider falls back to ManualConnectivity
+ * behaviour: the device is considered online with an unmetered connection, unless the app sets the state itself.
+ *
+ */
+
+import ManualConnectivity from './ManualConnectivity';
+
+/**
+ *
+ * Convert a NetInfo state into a connectivity state.
+ *
+ * @param netInfoState {object} - NetInfo state.
+ * @return {object} - Connectivity state.
+ */
+export function toConnectivityState(netInfoState) {
+
+  const connected = !!netInfoState.isConnected && netInfoState.isInternetReachable !== false;
+  const expensive = !!(netInfoState.details && netInfoState.details.isConnectionExpensive);
+
+  return {
+    connected,
+    unmetered: connected && netInfoState.type !== 'cellular' && !expensive
+  };
+
+}
+
+export default class NetInfoConnectivity extends ManualConnectivity {
+
+  /**
+   *
+   * Set initial class properties.
+   *
+   * @constructor
+   */
+  constructor() {
+
+    super({ connected: false, unmetered: false });
+
+    this.unsubscribe = null;
+    this.initialState = Promise.resolve();
+
+  }
+
+  /**
+   *
+   * Subscribe to NetInfo if not already subscribed.
+   *
+   */
+  subscribe() {
+
+    if (this.unsubscribe) {
+      return;
+    }
+
+    // NetInfo is required lazily so apps that don't use network aware jobs don't need to install it. The require
+    // must stay inside try/catch: Metro only treats a missing module as optional there, otherwise bundling fails.
+    let NetInfo = null;
+
+    try {
+      NetInfo = require('@react-native-community/netinfo').default; // eslint-disable-line no-undef
+    } catch (error) {
+      console.warn('@react-native-community/netinfo is not installed, connectivity is not tracked and the device is considered online.'); // eslint-disable-line no-console
+      this.unsubscribe = () => {};
+      this.setState({ connected: true, unmetered: true });
+      return;
+    }
+
+    // NetInfo calls the listener with the current state once it is known, then on each change.
+    let reported = false;
+    this.unsubscribe = NetInfo.addEventListener( netInfoState => {
+      reported = true;
+      this.setState(toConnectivityState(netInfoState));
+    });
+
+    // Fetch the current state too, so ready() doesn't depend on when NetInfo first calls the listener.
+    // The listener may report a newer state first, which is kept.
+    this.initialState = NetInfo.fetch().then( netInfoState => {
+      if (!reported) {
+        this.setState(toConnectivityState(netInfoState));
+      }
+    }, error => {
+      console.warn(error); // eslint-disable-line no-console
+    });
+
+  }
+
+  /**
+   *
+   * Subscribe to NetInfo and wait for it to report the connection.
+   *
+   * @return {promise} - Promise that resolves once the connectivity state is known (right away if NetInfo isn't installed).
+   */
+  ready() {
+
+    this.subscribe();
+
+    return this.initialState;
+
+  }
+
+  /**
+   *
+   * Get the current connectivity state.
+   *
+   * @return {object} - Connectivity state.
+   */
+  getState() {
+
+    this.subscribe();
+
+    return super.getState();
+
+  }
+
+  /**
+   *
+   * Listen for connectivity changes.
+   *
+   * @param listener {function} - Function called with the connectivity state each time it is updated.
+   * @return {function} - Function that removes the listener.
+   */
+  addListener(listener) {
+
+    this.subscribe();
+
+    return super.addListener(listener);
+
+  }
+
+}
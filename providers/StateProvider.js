@@ -0,0 +1,81 @@
+/**
+ *
+ * State Provider
+ *
+ * Base of the providers the queue checks job conditions against (see ManualConnectivity and ManualDeviceState).
+ * Holds a state object and notifies listeners each time it is updated.
+ *
+ */
+
+export default class StateProvider {
+
+  /**
+   *
+   * Set initial class properties.
+   *
+   * @constructor
+   * @param state {object} - Initial state.
+   */
+  constructor(state = {}) {
+
+    this.state = state;
+    this.listeners = [];
+
+  }
+
+  /**
+   *
+   * Get the current state.
+   *
+   * @return {object} - State.
+   */
+  getState() {
+    return this.state;
+  }
+
+  /**
+   *
+   * Wait for the initial state. State set by hand is ready right away, providers that load
+   * state from the device override this.
+   *
+   * @return {promise} - Promise that resolves once the state reflects the device.
+   */
+  ready() {
+    return Promise.resolve();
+  }
+
+  /**
+   *
+   * Update state and notify listeners.
+   *
+   * @param state {object} - State properties to update.
+   */
+  setState(state) {
+
+    this.state = {
+      ...this.state,
+      ...state
+    };
+
+    this.listeners.forEach( listener => listener(this.state));
+
+  }
+
+  /**
+   *
+   * Listen for state changes.
+   *
+   * @param listener {function} - Function called with the state each time it is updated.
+   * @return {function} - Function that removes the listener.
+   */
+  addListener(listener) {
+
+    this.listeners.push(listener);
+
+    return () => {
+      this.listeners = this.listeners.filter( existingListener => existingListener !== listener);
+    };
+
+  }
+
+}
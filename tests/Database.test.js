@@ -0,0 +1,131 @@
+
+// Define globals for eslint.
+/* global describe it jest */
+
+// Load dependencies
+import should from 'should'; // eslint-disable-line no-unused-vars
+import Database, { isValidMigrations, getRealmSchemaVersion, parseRealmSchemaVersion, runMigrations } from '../config/Database';
+import { Config } from '../config/config';
+
+/**
+ *
+ * Realm style instance backed by arrays of job objects, for migration testing.
+ *
+ * @param schemaVersion {number} - Realm schema version.
+ * @param jobs {array} - Job objects.
+ * @return {object} - Object with schemaVersion, objects() and objectForPrimaryKey() like a Realm instance.
+ */
+function createRealm(schemaVersion, jobs) {
+
+  return {
+    schemaVersion,
+    objects: () => jobs,
+    objectForPrimaryKey: (type, id) => jobs.find( job => job.id == id) || null
+  };
+
+}
+
+describe('config/Database', function() {
+
+  it('#isValidMigrations() should validate app migrations', async () => {
+
+    const migrate = () => {};
+
+    isValidMigrations([]).should.be.True();
+    isValidMigrations([{ version: 1, migrate }, { version: 2, migrate }]).should.be.True();
+
+    isValidMigrations(null).should.be.False();
+    isValidMigrations({ version: 1, migrate }).should.be.False();
+    isValidMigrations([null]).should.be.False();
+    isValidMigrations([{ version: 0, migrate }]).should.be.False();
+    isValidMigrations([{ version: 1000, migrate }]).should.be.False();
+    isValidMigrations([{ version: 1.5, migrate }]).should.be.False();
+    isValidMigrations([{ version: 1 }]).should.be.False();
+    isValidMigrations([{ version: 1, migrate }, { version: 1, migrate }]).should.be.False();
+
+  });
+
+  it('#getRealmSchemaVersion() and #parseRealmSchemaVersion() should combine queue and app versions', async () => {
+
+    const migrate = () => {};
+
+    getRealmSchemaVersion().should.equal(Config.REALM_SCHEMA_VERSION * 1000);
+    getRealmSchemaVersion([{ version: 3, migrate }, { version: 1, migrate }]).should.equal(Config.REALM_SCHEMA_VERSION * 1000 + 3);
+
+    parseRealmSchemaVersion(8003).should.deepEqual({ schemaVersion: 8, appVersion: 3 });
+
+    // Versions written before app migrations were supported.
+    parseRealmSchemaVersion(7).should.deepEqual({ schemaVersion: 7, appVersion: 0 });
+
+  });
+
+  it('#runMigrations() should derive job status and move job data JSON into columns', async () => {
+
+    // Jobs saved by schema version 0, the last release before job status and job columns.
+    const oldJobs = [
+      { id: 'failed-job', failed: new Date(), active: false, data: JSON.stringify({ attempts: 3, failedAttempts: 3, errors: ['Fake job failure!'] }) },
+      { id: 'active-job', failed: null, active: true, data: JSON.stringify({ attempts: 2 }) },
+      { id: 'pending-job', failed: null, active: false, data: JSON.stringify({ attempts: 1 }) }
+    ];
+    const newJobs = [{ id: 'failed-job' }, { id: 'active-job' }, { id: 'pending-job' }];
+
+    runMigrations(createRealm(0, oldJobs), createRealm(getRealmSchemaVersion(), newJobs));
+
+    newJobs.map( job => job.status).should.deepEqual(['failed', 'active', 'pending']);
+
+    newJobs[0].should.have.properties({
+      attempts: 3,
+      failedAttempts: 3,
+      errors: JSON.stringify(['Fake job failure!'])
+    });
+
+    newJobs[1].should.have.properties({
+      attempts: 2,
+      failedAttempts: 0,
+      errors: JSON.stringify([])
+    });
+
+  });
+
+  it('#runMigrations() should only run migrations newer than the old version, in order', async () => {
+
+    const calls = [];
+    const appMigrations = [
+      { version: 3, migrate: () => calls.push(3) },
+      { version: 1, migrate: () => calls.push(1) },
+      { version: 2, migrate: () => calls.push(2) }
+    ];
+
+    // Queue migration of schema version 1 is applied to jobs older than it.
+    const jobs = [{ id: 'job-one', failed: new Date(), data: JSON.stringify({ attempts: 1 }) }];
+    runMigrations(createRealm(0, jobs), createRealm(getRealmSchemaVersion(appMigrations), jobs), appMigrations);
+    jobs[0].status.should.equal('failed');
+    calls.should.deepEqual([1, 2, 3]);
+
+    // Only app migrations newer than the old app version run, queue migrations are up to date.
+    calls.length = 0;
+    const upToDateJobs = [{ id: 'job-one', failed: new Date(), status: 'pending' }];
+    runMigrations(createRealm(Config.REALM_SCHEMA_VERSION * 1000 + 1, upToDateJobs), createRealm(getRealmSchemaVersion(appMigrations), upToDateJobs), appMigrations);
+    upToDateJobs[0].status.should.equal('pending');
+    calls.should.deepEqual([2, 3]);
+
+  });
+
+  it('#getRealmInstance() should throw a helpful error if realm is not installed', async () => {
+
+    jest.doMock('realm', () => {
+      throw new Error('Cannot find module \'realm\'');
+    });
+
+    try {
+      await Database.getRealmInstance({ realmPath: 'notInstalled.realm' });
+      throw new Error('getRealmInstance() should throw if realm is not installed.');
+    } catch (error) {
+      error.should.deepEqual(new Error('realm is not installed. Install it, or pass another storage adapter with the queue storage option.'));
+    }
+
+    jest.dontMock('realm');
+
+  });
+
+});
@@ -0,0 +1,225 @@
+
+// Define globals for eslint.
+/* global describe it */
+
+// Load dependencies
+import should from 'should'; // eslint-disable-line no-unused-vars
+import KeyValueAdapter from '../adapters/KeyValueAdapter';
+import { getRealmSchemaVersion } from '../config/Database';
+
+/**
+ *
+ * AsyncStorage style store backed by an object.
+ *
+ * @return {object} - Store with async getItem() and setItem() methods.
+ */
+function createStore() {
+
+  const items = {};
+  const store = {
+    items,
+    saves: 0,
+    getItem: async (key) => (items[key] !== undefined) ? items[key] : null,
+    setItem: async (key, value) => {
+      store.saves++;
+      items[key] = value;
+    }
+  };
+
+  return store;
+
+}
+
+describe('adapters/KeyValueAdapter', function() {
+
+  it('#constructor() should validate store option', async () => {
+
+    [undefined, {}, { getItem: () => {} }].forEach( store => {
+      try {
+        new KeyValueAdapter({ store });
+        throw new Error('KeyValueAdapter should throw if store option is invalid.');
+      } catch (error) {
+        error.should.deepEqual(new Error('Invalid storage adapter option.'));
+      }
+    });
+
+    [{ saveDelay: -1 }, { saveDelay: '100' }, { migrations: [{ version: 0, migrate: () => {} }] }].forEach( options => {
+      try {
+        new KeyValueAdapter({ store: createStore(), ...options });
+        throw new Error('KeyValueAdapter should throw if saveDelay or migrations option is invalid.');
+      } catch (error) {
+        error.should.deepEqual(new Error('Invalid storage adapter option.'));
+      }
+    });
+
+  });
+
+  it('should save jobs to the store and load them back', async () => {
+
+    const store = createStore();
+    const storage = new KeyValueAdapter({ store, key: 'test-queue' });
+    await storage.open();
+
+    const created = new Date(1000);
+
+    storage.write(() => {
+      storage.create('Job', { id: 'job-one', name: 'job-name', priority: 5, created });
+      storage.create('RecurringJob', { id: 'recurring-job', name: 'job-name', every: 60000, created });
+    });
+
+    await storage.whenPersisted();
+
+    const data = JSON.parse(store.items['test-queue']);
+    data.Job.length.should.equal(1);
+    data.RecurringJob.length.should.equal(1);
+
+    // Another adapter on the same store sees the jobs, with dates restored.
+    const restoredStorage = new KeyValueAdapter({ store, key: 'test-queue' });
+    await restoredStorage.open();
+
+    const job = restoredStorage.objectForPrimaryKey('Job', 'job-one');
+    job.priority.should.equal(5);
+    job.created.should.deepEqual(created);
+    should.not.exist(job.runAt);
+    restoredStorage.objectForPrimaryKey('RecurringJob', 'recurring-job').every.should.equal(60000);
+
+    // Different key starts empty.
+    const otherStorage = new KeyValueAdapter({ store, key: 'another-queue' });
+    await otherStorage.open();
+    otherStorage.find('Job').length.should.equal(0);
+
+  });
+
+  it('should save writes in order and skip failed writes', async () => {
+
+    const store = createStore();
+    const storage = new KeyValueAdapter({ store });
+    await storage.open();
+
+    storage.write(() => {
+      storage.create('Job', { id: 'job-one', name: 'job-name' });
+    });
+
+    try {
+      storage.write(() => {
+        storage.create('Job', { id: 'job-two', name: 'job-name' });
+        throw new Error('Rollback!');
+      });
+    } catch (error) {
+      error.message.should.equal('Rollback!');
+    }
+
+    storage.write(() => {
+      storage.delete(storage.objectForPrimaryKey('Job', 'job-one'));
+      storage.create('Job', { id: 'job-three', name: 'job-name' });
+    });
+
+    await storage.whenPersisted();
+
+    JSON.parse(store.items.reactNativeQueue).Job.map( job => job.id).should.deepEqual(['job-three']);
+
+  });
+
+  it('should coalesce writes into one save and skip writes that changed nothing', async () => {
+
+    const store = createStore();
+    const storage = new KeyValueAdapter({ store, saveDelay: 20 });
+    await storage.open();
+
+    storage.write(() => {
+      storage.create('Job', { id: 'job-one', name: 'job-name' });
+    });
+
+    // Made while the first save waits to start, so they are saved along with it.
+    setTimeout(() => {
+      storage.write(() => {
+        storage.create('Job', { id: 'job-two', name: 'job-name' });
+      });
+    }, 5);
+
+    await new Promise((resolve) => { setTimeout(resolve, 10); });
+    await storage.whenPersisted();
+
+    store.saves.should.equal(1);
+    JSON.parse(store.items.reactNativeQueue).Job.map( job => job.id).should.deepEqual(['job-one', 'job-two']);
+
+    // Write that changed nothing isn't saved.
+    storage.write(() => {
+      storage.find('Job', { name: 'another-job-name' }).forEach( job => { job.active = true; });
+    });
+
+    await storage.whenPersisted();
+    store.saves.should.equal(1);
+
+    // Later changes are saved again.
+    storage.write(() => {
+      storage.objectForPrimaryKey('Job', 'job-one').active = true;
+    });
+
+    await storage.whenPersisted();
+    store.saves.should.equal(2);
+    JSON.parse(store.items.reactNativeQueue).Job[0].active.should.be.True();
+
+  });
+
+  it('#open() should upgrade jobs saved by older schema versions', async () => {
+
+    const store = createStore();
+    const appMigrationCalls = [];
+
+    // Job saved before app migration 1, without properties added since (ie errors).
+    const savedSchemaVersion = getRealmSchemaVersion();
+    store.items.reactNativeQueue = JSON.stringify({
+      schemaVersion: savedSchemaVersion,
+      Job: [{
+        id: 'job-one',
+        name: 'send-email',
+        payload: JSON.stringify({ to: 'someone@example.com' }),
+        attempts: 3,
+        failedAttempts: 1,
+        priority: 0,
+        active: false,
+        status: 'pending',
+        timeout: 25000,
+        created: new Date(1000).toISOString()
+      }]
+    });
+
+    const migrations = [{
+      version: 1,
+      migrate: (oldStorage, newStorage) => {
+        appMigrationCalls.push(oldStorage.schemaVersion);
+        newStorage.objects('Job').filter( job => job.name == 'send-email').forEach( job => {
+          const { to } = JSON.parse(job.payload);
+          job.payload = JSON.stringify({ recipients: [to] });
+        });
+      }
+    }];
+
+    const storage = new KeyValueAdapter({ store, migrations });
+    await storage.open();
+
+    const job = storage.objectForPrimaryKey('Job', 'job-one');
+    job.should.have.properties({
+      attempts: 3,
+      failedAttempts: 1,
+      errors: JSON.stringify([]),
+      backoff: null,
+      payload: JSON.stringify({ recipients: ['someone@example.com'] }),
+      created: new Date(1000)
+    });
+    appMigrationCalls.should.deepEqual([savedSchemaVersion]);
+
+    // Upgraded jobs are saved with the current schema version, so migrations don't run again.
+    await storage.whenPersisted();
+    JSON.parse(store.items.reactNativeQueue).schemaVersion.should.equal(getRealmSchemaVersion(migrations));
+
+    const reopenedStorage = new KeyValueAdapter({ store, migrations });
+    await reopenedStorage.open();
+
+    appMigrationCalls.should.deepEqual([savedSchemaVersion]);
+    reopenedStorage.objectForPrimaryKey('Job', 'job-one').payload.should.equal(JSON.stringify({ recipients: ['someone@example.com'] }));
+
+  });
+
+});
@@ -0,0 +1,267 @@
+
+// Define globals for eslint.
+/* global describe it */
+
+// Load dependencies
+import should from 'should'; // eslint-disable-line no-unused-vars
+import MemoryAdapter, { parseProperty } from '../adapters/MemoryAdapter';
+
+describe('adapters/MemoryAdapter', function() {
+
+  it('#parseProperty() should normalize schema property definitions', async () => {
+
+    parseProperty('string').should.deepEqual({ type: 'string', optional: false, default: undefined });
+    parseProperty('date?').should.deepEqual({ type: 'date', optional: true, default: undefined });
+    parseProperty({ type: 'bool', default: false }).should.deepEqual({ type: 'bool', optional: false, default: false });
+    parseProperty({ type: 'string', optional: true, indexed: true }).should.deepEqual({ type: 'string', optional: true, default: undefined });
+
+  });
+
+  it('#create() should apply schema defaults and enforce primary keys', async () => {
+
+    const storage = new MemoryAdapter();
+    await storage.open();
+
+    let job = null;
+    storage.write(() => {
+      job = storage.create('Job', { id: 'job-one', name: 'job-name' });
+    });
+
+    job.should.have.properties({
+      id: 'job-one',
+      name: 'job-name',
+      active: false,
+      status: 'pending',
+      runAt: null
+    });
+    storage.objectForPrimaryKey('Job', 'job-one').should.equal(job);
+    should.not.exist(storage.objectForPrimaryKey('Job', 'no-job-has-this-id'));
+
+    try {
+      storage.write(() => {
+        storage.create('Job', { id: 'job-one', name: 'job-name' });
+      });
+      throw new Error('create() should throw if primary key exists.');
+    } catch (error) {
+      error.should.deepEqual(new Error('Job with primary key job-one already exists.'));
+    }
+
+  });
+
+  it('should only be modified inside a write transaction', async () => {
+
+    const storage = new MemoryAdapter();
+
+    try {
+      storage.create('Job', { id: 'job-one', name: 'job-name' });
+      throw new Error('create() should throw outside of write transaction.');
+    } catch (error) {
+      error.should.deepEqual(new Error('Storage can only be modified inside a write transaction.'));
+    }
+
+    try {
+      storage.write(() => {
+        storage.write(() => {});
+      });
+      throw new Error('write() should throw if already in write transaction.');
+    } catch (error) {
+      error.should.deepEqual(new Error('Storage is already in a write transaction.'));
+    }
+
+  });
+
+  it('#write() should roll back changes if callback throws', async () => {
+
+    const storage = new MemoryAdapter();
+
+    storage.write(() => {
+      storage.create('Job', { id: 'job-one', name: 'job-name', priority: 0 });
+      storage.create('Job', { id: 'job-two', name: 'job-name', priority: 0 });
+    });
+
+    try {
+      storage.write(() => {
+        storage.objectForPrimaryKey('Job', 'job-one').priority = 5;
+        storage.delete(storage.objectForPrimaryKey('Job', 'job-two'));
+        storage.create('Job', { id: 'job-three', name: 'job-name' });
+        throw new Error('Rollback!');
+      });
+    } catch (error) {
+      error.message.should.equal('Rollback!');
+    }
+
+    storage.find('Job').map( job => job.id).should.deepEqual(['job-one', 'job-two']);
+    storage.objectForPrimaryKey('Job', 'job-one').priority.should.equal(0);
+
+    // Objects changed several times, and objects deleted after being changed, are restored to their state before the write.
+    try {
+      storage.write(() => {
+        const jobOne = storage.objectForPrimaryKey('Job', 'job-one');
+        jobOne.priority = 5;
+        jobOne.priority = 10;
+        jobOne.name = 'another-job-name';
+        storage.delete(jobOne);
+        storage.deleteAll();
+        throw new Error('Rollback!');
+      });
+    } catch (error) {
+      error.message.should.equal('Rollback!');
+    }
+
+    storage.find('Job').map( job => job.id).should.deepEqual(['job-one', 'job-two']);
+    storage.objectForPrimaryKey('Job', 'job-one').should.containDeep({ name: 'job-name', priority: 0 });
+
+  });
+
+  it('#find() should filter and sort objects by criteria', async () => {
+
+    const storage = new MemoryAdapter();
+
+    storage.write(() => {
+      storage.create('Job', { id: 'job-one', name: 'job-name', priority: 0, created: new Date(1000) });
+      storage.create('Job', { id: 'job-two', name: 'job-name', priority: 5, created: new Date(2000) });
+      storage.create('Job', { id: 'job-three', name: 'another-job-name', priority: 0, created: new Date(3000) });
+      storage.create('RecurringJob', { id: 'recurring-job', name: 'job-name' });
+    });
+
+    storage.find('Job', { name: 'job-name' }, [['priority', true]])
+      .map( job => job.id).should.deepEqual(['job-two', 'job-one']);
+
+    storage.find('Job', {}, [['created', true]])
+      .map( job => job.id).should.deepEqual(['job-three', 'job-two', 'job-one']);
+
+    storage.find('RecurringJob', { name: 'job-name' }).length.should.equal(1);
+
+    // Limit returns the first objects in sort order, or in storage order if unsorted.
+    storage.find('Job', {}, [['created', true]], 2)
+      .map( job => job.id).should.deepEqual(['job-three', 'job-two']);
+
+    storage.find('Job', {}, [['priority', true], ['created', false]], 2)
+      .map( job => job.id).should.deepEqual(['job-two', 'job-one']);
+
+    storage.find('Job', { name: 'job-name' }, [], 1)
+      .map( job => job.id).should.deepEqual(['job-one']);
+
+    storage.find('Job', {}, [['created', false]], 10).length.should.equal(3);
+
+  });
+
+  it('#delete() and #deleteAll() should remove objects', async () => {
+
+    const storage = new MemoryAdapter();
+
+    storage.write(() => {
+      storage.create('Job', { id: 'job-one', name: 'job-name' });
+      storage.create('Job', { id: 'job-two', name: 'job-name' });
+      storage.create('Job', { id: 'job-three', name: 'job-name' });
+      storage.create('RecurringJob', { id: 'job-one', name: 'job-name' });
+    });
+
+    storage.write(() => {
+      storage.delete(storage.objectForPrimaryKey('Job', 'job-one'));
+      storage.delete(storage.find('Job', { id: 'job-two' }));
+    });
+
+    storage.find('Job').map( job => job.id).should.deepEqual(['job-three']);
+
+    // Objects of other types with the same primary key are left alone.
+    storage.find('RecurringJob').length.should.equal(1);
+
+    storage.write(() => {
+      storage.deleteAll();
+    });
+
+    storage.find('Job').length.should.equal(0);
+    storage.find('RecurringJob').length.should.equal(0);
+
+  });
+
+  it('#afterWrite() should only be called after write transactions that changed objects, with the changed types', async () => {
+
+    const storage = new MemoryAdapter();
+    const writes = [];
+
+    storage.afterWrite = changedTypes => writes.push(changedTypes);
+
+    storage.write(() => {
+      storage.create('Job', { id: 'job-one', name: 'job-name' });
+    });
+
+    writes.should.deepEqual([['Job']]);
+
+    // Writes that change nothing aren't persisted.
+    storage.write(() => {
+      storage.objectForPrimaryKey('Job', 'job-one').name = 'job-name';
+    });
+
+    writes.length.should.equal(1);
+
+    storage.write(() => {
+      storage.create('RecurringJob', { id: 'recurring-job', name: 'job-name' });
+      storage.objectForPrimaryKey('Job', 'job-one').leaseExpires = new Date();
+    });
+
+    storage.write(() => {
+      storage.delete(storage.objectForPrimaryKey('Job', 'job-one'));
+    });
+
+    writes.should.deepEqual([['Job'], ['Job', 'RecurringJob'], ['Job']]);
+
+  });
+
+  it('#addListener() should call listeners after each successful write transaction that changed their object type', async () => {
+
+    const storage = new MemoryAdapter();
+    let calls = 0;
+
+    const removeListener = storage.addListener('Job', () => { calls++; });
+
+    storage.write(() => {
+      storage.create('Job', { id: 'job-one', name: 'job-name' });
+    });
+
+    calls.should.equal(1);
+
+    try {
+      storage.write(() => {
+        throw new Error('Rollback!');
+      });
+    } catch (error) {
+      error.message.should.equal('Rollback!');
+    }
+
+    calls.should.equal(1);
+
+    // Writes that change nothing, or only change objects of other types, don't call listeners.
+    storage.write(() => {
+      const job = storage.objectForPrimaryKey('Job', 'job-one');
+      job.name = 'job-name';
+      storage.create('RecurringJob', { id: 'recurring-job', name: 'job-name' });
+    });
+
+    calls.should.equal(1);
+
+    // Modified and deleted objects do.
+    storage.write(() => {
+      storage.objectForPrimaryKey('Job', 'job-one').leaseExpires = new Date();
+    });
+
+    calls.should.equal(2);
+
+    storage.write(() => {
+      storage.delete(storage.objectForPrimaryKey('Job', 'job-one'));
+    });
+
+    calls.should.equal(3);
+
+    removeListener();
+
+    storage.write(() => {
+      storage.create('Job', { id: 'job-two', name: 'job-name' });
+    });
+
+    calls.should.equal(3);
+
+  });
+
+});
@@ -6,6 +6,12 @@
 import should from 'should'; // eslint-disable-line no-unused-vars
 import QueueFactory, { Queue } from '../Models/Queue';
 import Worker from '../Models/Worker';
+import RealmAdapter from '../adapters/RealmAdapter';
+import MemoryAdapter from '../adapters/MemoryAdapter';
+import KeyValueAdapter from '../adapters/KeyValueAdapter';
+import ManualConnectivity from '../providers/ManualConnectivity';
+import ManualDeviceState from '../providers/ManualDeviceState';
+import { Config } from '../config/config';
 
 describe('Models/Queue', function() {
 
@@ -570,6 +576,7 @@ describe('Models/Queue', function() {
   it('#start(lifespan) "Zero lifespanRemaining" edge case #1 is properly handled.', async () => {
 
     // Mock Date.now()
+    const dateNow = Date.now;
     Date.now = jest.fn();
     Date.now.mockReturnValueOnce(0);
     Date.now.mockReturnValueOnce(1000);
@@ -604,11 +611,15 @@ describe('Models/Queue', function() {
 
     jobs.length.should.equal(1);
 
+    // Restore Date.now()
+    Date.now = dateNow;
+
   });
 
   it('#start(lifespan) "Zero lifespanRemaining" edge case #2 is properly handled.', async () => {
 
     // Mock Date.now()
+    const dateNow = Date.now;
     Date.now = jest.fn();
     Date.now.mockReturnValueOnce(0);
     Date.now.mockReturnValueOnce(500);
@@ -655,6 +666,9 @@ describe('Models/Queue', function() {
 
     jobPayload.testIdentifier.should.equal('this is 2nd job');
 
+    // Restore Date.now()
+    Date.now = dateNow;
+
   });
 
   //
@@ -666,34 +680,39 @@ describe('Models/Queue', function() {
     const queueNotInitialized = new Queue();
 
     queueNotInitialized.should.have.properties({
-      realm: null,
+      name: null,
+      initialized: false,
       worker: new Worker(),
-      status: 'inactive'
+      status: 'inactive',
+      maxConcurrency: null
     });
 
+    // Realm is the default storage adapter.
+    queueNotInitialized.storage.should.be.an.instanceOf(RealmAdapter);
+
   });
 
   it('QueueFactory initializes Realm', async () => {
 
     const queue = await QueueFactory();
 
-    queue.realm.constructor.name.should.equal('Realm');
+    queue.storage.realm.constructor.name.should.equal('Realm');
 
   });
 
-  it('init() Calling init() multiple times will only set queue.realm once.', async () => {
+  it('init() Calling init() multiple times will only set queue.storage.realm once.', async () => {
 
     const queue = await QueueFactory();
 
-    queue.realm.constructor.name.should.equal('Realm');
+    queue.storage.realm.constructor.name.should.equal('Realm');
 
     // Overwrite realm instance to test it doesn't get set to the actual
-    // Realm singleton instance again in init() since queue.realm is no longer null.
-    queue.realm = 'arbitrary-string';
+    // Realm singleton instance again in init() since queue is already initialized.
+    queue.storage.realm = 'arbitrary-string';
 
     queue.init();
 
-    queue.realm.should.equal('arbitrary-string');
+    queue.storage.realm.should.equal('arbitrary-string');
 
   });
 
@@ -711,11 +730,23 @@ describe('Models/Queue', function() {
     Worker.workers['job-name'].should.be.a.Function();
     Worker.workers['job-name'].options.should.deepEqual({
       concurrency: workerOptions.concurrency,
+      backoff: null,
+      keepCompleted: null,
+      rateLimit: null,
+      batchSize: null,
+      batchWindow: 0,
+      requiresNetwork: null,
+      requiresCharging: null,
+      minBatteryLevel: null,
+      requiresDeviceIdle: null,
+      minFreeStorage: null,
       onStart: null,
+      onProgress: null,
       onSuccess: workerOptions.onSuccess,
       onFailure: null,
       onFailed: null,
-      onComplete: null
+      onComplete: null,
+      onDeadLetter: null
     });
 
     queue.removeWorker('job-name');
@@ -783,7 +814,12 @@ describe('Models/Queue', function() {
     jobs[0].should.have.properties({
       name: jobName,
       payload: JSON.stringify({}),
-      data: JSON.stringify({attempts: 1}),
+      attempts: 1,
+      failedAttempts: 0,
+      errors: JSON.stringify([]),
+      backoff: null,
+      onDependencyFailed: null,
+      recurringJobId: null,
       priority: 0,
       active: false,
       timeout: 25000
@@ -810,7 +846,8 @@ describe('Models/Queue', function() {
     jobs[0].should.have.properties({
       name: jobName,
       payload: JSON.stringify(payload),
-      data: JSON.stringify({attempts: jobOptions.attempts}),
+      attempts: jobOptions.attempts,
+      failedAttempts: 0,
       priority: jobOptions.priority,
       active: false,
       timeout: jobOptions.timeout
@@ -938,6 +975,8 @@ describe('Models/Queue', function() {
 
     mvccJobs.length.should.equal(4);
 
+    (await queue.getJobs(null)).length.should.equal(4);
+
   });
 
   it('#getConcurrentJobs(queueLifespanRemaining) should work as expected for queues started with a lifespan.', async () => {
@@ -1348,8 +1387,7 @@ describe('Models/Queue', function() {
       const payload = JSON.parse(job.payload);
       return (payload.dummy && payload.dummy == '2 data');
     });
-    let failedJobData = JSON.parse(failedJob.data);
-    failedJobData.failedAttempts.should.equal(1);
+    failedJob.failedAttempts.should.equal(1);
 
 
     // Next getConcurrentJobs() batch should get 2 jobs again, the failed job and remaining job of this job type.
@@ -1371,8 +1409,7 @@ describe('Models/Queue', function() {
       const payload = JSON.parse(job.payload);
       return (payload.dummy && payload.dummy == '2 data');
     });
-    failedJobData = JSON.parse(failedJob.data);
-    failedJobData.failedAttempts.should.equal(2);
+    failedJob.failedAttempts.should.equal(2);
 
     // Next getConcurrentJobs() batch should should get the one remaining job of this type that can fail one more time.
     const thirdConcurrentJobs = await queue.getConcurrentJobs();
@@ -1392,8 +1429,7 @@ describe('Models/Queue', function() {
       const payload = JSON.parse(job.payload);
       return (payload.dummy && payload.dummy == '2 data');
     });
-    failedJobData = JSON.parse(failedJob.data);
-    failedJobData.failedAttempts.should.equal(3);
+    failedJob.failedAttempts.should.equal(3);
 
     // Ensure job marked as failed.
     failedJob.failed.should.be.a.Date();
@@ -1428,31 +1464,31 @@ describe('Models/Queue', function() {
 
     const logCheckOneJob = await queue.getJobs(true);
 
-    logCheckOneJob[0].data.should.equal(JSON.stringify({
+    logCheckOneJob[0].should.have.properties({
       attempts: 3,
       failedAttempts: 1,
-      errors: ['Example Error number: 1']
-    }));
+      errors: JSON.stringify(['Example Error number: 1'])
+    });
 
     await queue.processJob(jobs[0]);
 
     const logCheckTwoJob = await queue.getJobs(true);
 
-    logCheckTwoJob[0].data.should.equal(JSON.stringify({
+    logCheckTwoJob[0].should.have.properties({
       attempts: 3,
       failedAttempts: 2,
-      errors: ['Example Error number: 1', 'Example Error number: 2']
-    }));
+      errors: JSON.stringify(['Example Error number: 1', 'Example Error number: 2'])
+    });
 
     await queue.processJob(jobs[0]);
 
     const logCheckThreeJob = await queue.getJobs(true);
 
-    logCheckThreeJob[0].data.should.equal(JSON.stringify({
+    logCheckThreeJob[0].should.have.properties({
       attempts: 3,
       failedAttempts: 3,
-      errors: ['Example Error number: 1', 'Example Error number: 2', 'Example Error number: 3']
-    }));
+      errors: JSON.stringify(['Example Error number: 1', 'Example Error number: 2', 'Example Error number: 3'])
+    });
 
     const noAvailableJobCheck = await queue.getConcurrentJobs();
 
@@ -1486,11 +1522,11 @@ describe('Models/Queue', function() {
 
     const logCheckOneJob = await queue.getJobs(true);
 
-    logCheckOneJob[0].data.should.equal(JSON.stringify({
+    logCheckOneJob[0].should.have.properties({
       attempts: 1,
       failedAttempts: 1,
-      errors: ['TIMEOUT: Job id: '+ jobId +' timed out in 500ms.']
-    }));
+      errors: JSON.stringify(['TIMEOUT: Job id: '+ jobId +' timed out in 500ms.'])
+    });
 
     const noAvailableJobCheck = await queue.getConcurrentJobs();
 
@@ -1579,9 +1615,10 @@ describe('Models/Queue', function() {
 
     const queue = await QueueFactory();
 
-    // Mock queue.realm.delete() so we can test that it has not been called.
+    // Mock queue.storage.delete() so we can test that it has not been called.
+    const storageDelete = queue.storage.delete;
     let hasDeleteBeenCalled = false;
-    queue.realm.delete = () => {
+    queue.storage.delete = () => {
       hasDeleteBeenCalled = true; // Switch flag if function gets called.
     };
 
@@ -1589,6 +1626,9 @@ describe('Models/Queue', function() {
 
     hasDeleteBeenCalled.should.be.False();
 
+    // Restore queue.storage.delete().
+    queue.storage.delete = storageDelete;
+
   });
 
   ////
@@ -2184,4 +2224,3121 @@ describe('Models/Queue', function() {
 
   });
 
-});
\ No newline at end of file
+  //
+  // DELAYED JOB TESTING
+  //
+
+  it('#createJob() should validate delay and runAt job options.', async () => {
+
+    const queue = await QueueFactory();
+    const jobName = 'job-name';
+
+    queue.addWorker(jobName, () => {});
+
+    try {
+      queue.createJob(jobName, {}, {
+        delay: -100
+      }, false);
+      throw new Error('createJob() should validate job delay option.');
+    } catch (error) {
+      error.should.deepEqual(new Error('Invalid job option.'));
+    }
+
+    try {
+      queue.createJob(jobName, {}, {
+        runAt: 'not-a-date'
+      }, false);
+      throw new Error('createJob() should validate job runAt option.');
+    } catch (error) {
+      error.should.deepEqual(new Error('Invalid job option.'));
+    }
+
+  });
+
+  it('#createJob() should set runAt for delayed jobs.', async () => {
+
+    const queue = await QueueFactory();
+    const jobName = 'job-name';
+    const runAt = new Date(Date.now() + 60000);
+
+    queue.addWorker(jobName, () => {});
+
+    const beforeCreate = Date.now();
+    queue.createJob(jobName, { type: 'default' }, {}, false);
+    queue.createJob(jobName, { type: 'delay' }, { delay: 5000 }, false);
+    queue.createJob(jobName, { type: 'runAt' }, { runAt }, false);
+
+    const jobs = await queue.getJobs(true);
+
+    const defaultJob = jobs.find( job => JSON.parse(job.payload).type == 'default');
+    should.not.exist(defaultJob.runAt);
+
+    const delayJob = jobs.find( job => JSON.parse(job.payload).type == 'delay');
+    delayJob.runAt.getTime().should.be.within(beforeCreate + 5000, Date.now() + 5000);
+
+    const runAtJob = jobs.find( job => JSON.parse(job.payload).type == 'runAt');
+    runAtJob.runAt.getTime().should.equal(runAt.getTime());
+
+  });
+
+  it('#getConcurrentJobs() does not select delayed jobs until runAt has passed.', async () => {
+
+    const queue = await QueueFactory();
+    const jobName = 'job-name';
+
+    queue.addWorker(jobName, () => {}, {
+      concurrency: 3
+    });
+
+    queue.createJob(jobName, { random: 'delayed' }, { delay: 200, priority: 5 }, false);
+    queue.createJob(jobName, { random: 'immediate' }, {}, false);
+
+    // Delayed job has higher priority, but isn't due yet.
+    const concurrentJobs = await queue.getConcurrentJobs();
+    concurrentJobs.length.should.equal(1);
+    JSON.parse(concurrentJobs[0].payload).should.deepEqual({ random: 'immediate' });
+
+    const notDueJobs = await queue.getConcurrentJobs();
+    notDueJobs.length.should.equal(0);
+
+    const nextRunAt = await queue.getNextRunAt();
+    nextRunAt.should.be.a.Date();
+
+    // Wait for delayed job to become due.
+    await new Promise((resolve) => {
+      setTimeout(resolve, 250);
+    });
+
+    const dueJobs = await queue.getConcurrentJobs();
+    dueJobs.length.should.equal(1);
+    JSON.parse(dueJobs[0].payload).should.deepEqual({ random: 'delayed' });
+
+    const noDelayedJobs = await queue.getNextRunAt();
+    should.not.exist(noDelayedJobs);
+
+  });
+
+  it('#start() sleeps until a delayed job is due instead of stopping.', async () => {
+
+    const queue = await QueueFactory();
+    const jobName = 'job-name';
+
+    let executedJobs = [];
+
+    queue.addWorker(jobName, async (id, payload) => {
+      executedJobs.push(payload.trackingName);
+    });
+
+    queue.createJob(jobName, { trackingName: 'delayed' }, { delay: 300 }, false);
+
+    queue.start();
+
+    // Queue should be asleep waiting on the delayed job.
+    await new Promise((resolve) => {
+      setTimeout(resolve, 100);
+    });
+
+    queue.status.should.equal('active');
+    executedJobs.should.deepEqual([]);
+
+    // Creating a job wakes the queue up so new job doesn't wait on the delayed job.
+    queue.createJob(jobName, { trackingName: 'immediate' });
+
+    await new Promise((resolve) => {
+      setTimeout(resolve, 50);
+    });
+
+    executedJobs.should.deepEqual(['immediate']);
+    queue.status.should.equal('active');
+
+    // Wait for delayed job to be processed.
+    await new Promise((resolve) => {
+      setTimeout(resolve, 400);
+    });
+
+    executedJobs.should.deepEqual(['immediate', 'delayed']);
+    queue.status.should.equal('inactive');
+
+  });
+
+  it('#stop() wakes up a sleeping queue so start() resolves.', async () => {
+
+    const queue = await QueueFactory();
+    const jobName = 'job-name';
+
+    queue.addWorker(jobName, () => {});
+
+    queue.createJob(jobName, {}, { delay: 60000 }, false);
+
+    const queueProcess = queue.start();
+
+    await new Promise((resolve) => {
+      setTimeout(resolve, 50);
+    });
+
+    queue.status.should.equal('active');
+
+    queue.stop();
+
+    await queueProcess;
+
+    queue.status.should.equal('inactive');
+
+    // Delayed job is still waiting in queue.
+    const jobs = await queue.getJobs(true);
+    jobs.length.should.equal(1);
+
+  });
+
+  it('#start(lifespan) does not sleep on delayed jobs that are not due within lifespan.', async () => {
+
+    const queue = await QueueFactory();
+    const jobName = 'job-name';
+
+    let executedJobs = [];
+
+    queue.addWorker(jobName, async (id, payload) => {
+      executedJobs.push(payload.trackingName);
+    });
+
+    queue.createJob(jobName, { trackingName: 'due-in-lifespan' }, { delay: 100, timeout: 100 }, false);
+    queue.createJob(jobName, { trackingName: 'due-after-lifespan' }, { delay: 5000, timeout: 100 }, false);
+
+    await queue.start(1000);
+
+    executedJobs.should.deepEqual(['due-in-lifespan']);
+    queue.status.should.equal('inactive');
+
+  });
+
+  //
+  // RETRY BACKOFF TESTING
+  //
+
+  it('#createJob() should validate and persist backoff job option.', async () => {
+
+    const queue = await QueueFactory();
+    const jobName = 'job-name';
+    const backoff = { type: 'exponential', delay: 1000, jitter: 0.5 };
+
+    queue.addWorker(jobName, () => {});
+
+    try {
+      queue.createJob(jobName, {}, {
+        backoff: { type: 'fixed', delay: -1000 }
+      }, false);
+      throw new Error('createJob() should validate job backoff option.');
+    } catch (error) {
+      error.should.deepEqual(new Error('Invalid job option.'));
+    }
+
+    try {
+      queue.createJob(jobName, {}, {
+        backoff: () => 1000
+      }, false);
+      throw new Error('createJob() should not accept a function as job backoff option.');
+    } catch (error) {
+      error.should.deepEqual(new Error('Invalid job option.'));
+    }
+
+    queue.createJob(jobName, {}, { attempts: 3, backoff }, false);
+
+    const jobs = await queue.getJobs(true);
+    jobs[0].should.have.properties({
+      attempts: 3,
+      backoff: JSON.stringify(backoff)
+    });
+
+  });
+
+  it('#processJob() delays next attempt according to worker backoff.', async () => {
+
+    const queue = await QueueFactory();
+    const jobName = 'job-name';
+
+    queue.addWorker(jobName, () => {
+      throw new Error('Fake job failure!');
+    }, {
+      backoff: { type: 'linear', delay: 200 }
+    });
+
+    queue.createJob(jobName, {}, { attempts: 3 }, false);
+
+    const jobs = await queue.getConcurrentJobs();
+    const beforeFailure = Date.now();
+    await queue.processJob(jobs[0]);
+
+    // retryAt is logged alongside failedAttempts and job can't be selected until then.
+    const failedJobs = await queue.getJobs(true);
+    failedJobs[0].failedAttempts.should.equal(1);
+    const retryAt = failedJobs[0].retryAt.getTime();
+    retryAt.should.be.within(beforeFailure + 200, Date.now() + 200);
+    failedJobs[0].runAt.getTime().should.equal(retryAt);
+    should.not.exist(failedJobs[0].failed);
+
+    const notDueJobs = await queue.getConcurrentJobs();
+    notDueJobs.length.should.equal(0);
+
+    await new Promise((resolve) => {
+      setTimeout(resolve, 250);
+    });
+
+    const dueJobs = await queue.getConcurrentJobs();
+    dueJobs.length.should.equal(1);
+
+    // Second failure uses linear backoff.
+    const beforeSecondFailure = Date.now();
+    await queue.processJob(dueJobs[0]);
+
+    const secondFailedJobs = await queue.getJobs(true);
+    secondFailedJobs[0].failedAttempts.should.equal(2);
+    secondFailedJobs[0].retryAt.getTime().should.be.within(beforeSecondFailure + 400, Date.now() + 400);
+
+  });
+
+  it('#processJob() job backoff takes precedence over worker backoff.', async () => {
+
+    const queue = await QueueFactory();
+    const jobName = 'job-name';
+
+    let backoffCalls = [];
+
+    queue.addWorker(jobName, () => {
+      throw new Error('Fake job failure!');
+    }, {
+      backoff: (failedAttempts, error) => {
+        backoffCalls.push({ failedAttempts, message: error.message });
+        return 60000;
+      }
+    });
+
+    queue.createJob(jobName, { type: 'worker-backoff' }, { attempts: 2 }, false);
+    queue.createJob(jobName, { type: 'job-backoff' }, { attempts: 2, backoff: { type: 'fixed', delay: 1000 } }, false);
+
+    const jobs = await queue.getConcurrentJobs();
+    await queue.processJob(jobs[0]);
+
+    const secondJobs = await queue.getConcurrentJobs();
+    const beforeFailure = Date.now();
+    await queue.processJob(secondJobs[0]);
+
+    backoffCalls.should.deepEqual([{ failedAttempts: 1, message: 'Fake job failure!' }]);
+
+    const failedJobs = await queue.getJobs(true);
+    const jobBackoffJob = failedJobs.find( job => JSON.parse(job.payload).type == 'job-backoff');
+    jobBackoffJob.runAt.getTime().should.be.within(beforeFailure + 1000, Date.now() + 1000);
+
+  });
+
+  it('#processJob() does not apply backoff once job has failed all attempts.', async () => {
+
+    const queue = await QueueFactory();
+    const jobName = 'job-name';
+
+    queue.addWorker(jobName, () => {
+      throw new Error('Fake job failure!');
+    }, {
+      backoff: { type: 'fixed', delay: 60000 }
+    });
+
+    queue.createJob(jobName, {}, { attempts: 1 }, false);
+
+    const jobs = await queue.getConcurrentJobs();
+    await queue.processJob(jobs[0]);
+
+    const failedJobs = await queue.getJobs(true);
+    failedJobs[0].failed.should.be.a.Date();
+    should.not.exist(failedJobs[0].runAt);
+    should.not.exist(failedJobs[0].retryAt);
+
+  });
+
+  //
+  // RECURRING JOB TESTING
+  //
+
+  it('#createRecurringJob() should validate recurrence options.', async () => {
+
+    const queue = await QueueFactory();
+    const jobName = 'job-name';
+
+    queue.addWorker(jobName, () => {});
+
+    const invalidOptions = [
+      {},
+      { every: 1000, cron: '* * * * *' },
+      { every: -1000 },
+      { every: 1.5 },
+      { cron: 'not a cron expression' },
+      { every: 1000, timeout: -1 }
+    ];
+
+    invalidOptions.forEach( options => {
+      try {
+        queue.createRecurringJob(jobName, {}, options, false);
+        throw new Error('createRecurringJob() should validate recurrence options.');
+      } catch (error) {
+        error.should.deepEqual(new Error('Invalid job option.'));
+      }
+    });
+
+    const jobs = await queue.getJobs(true);
+    jobs.length.should.equal(0);
+
+  });
+
+  it('#createRecurringJob() should persist recurrence and enqueue first occurrence.', async () => {
+
+    const queue = await QueueFactory();
+    const jobName = 'job-name';
+
+    queue.addWorker(jobName, () => {});
+
+    const key = queue.createRecurringJob(jobName, { sync: 'contacts' }, { every: 60000, attempts: 2, priority: 3 }, false);
+    key.should.equal(jobName);
+
+    const recurringJob = queue.storage.objectForPrimaryKey('RecurringJob', key);
+    recurringJob.should.have.properties({
+      name: jobName,
+      payload: JSON.stringify({ sync: 'contacts' }),
+      options: JSON.stringify({ attempts: 2, priority: 3 }),
+      every: 60000
+    });
+    should.not.exist(recurringJob.cron);
+
+    // First interval occurrence is due immediately.
+    const jobs = await queue.getJobs(true);
+    jobs.length.should.equal(1);
+    jobs[0].id.should.equal(recurringJob.nextJobId);
+    jobs[0].priority.should.equal(3);
+    jobs[0].should.have.properties({ attempts: 2, recurringJobId: key });
+    should.not.exist(jobs[0].runAt);
+
+    // First cron occurrence is due at next cron match.
+    queue.createRecurringJob(jobName, {}, { cron: '0 0 * * *', key: 'nightly' }, false);
+    const cronJob = queue.storage.objectForPrimaryKey('Job', queue.storage.objectForPrimaryKey('RecurringJob', 'nightly').nextJobId);
+    cronJob.runAt.getHours().should.equal(0);
+    cronJob.runAt.getMinutes().should.equal(0);
+    cronJob.runAt.getTime().should.be.above(Date.now());
+
+  });
+
+  it('#createRecurringJob() should not double schedule when called again (ie on app restart).', async () => {
+
+    const queue = await QueueFactory();
+    const jobName = 'job-name';
+
+    queue.addWorker(jobName, () => {});
+
+    queue.createRecurringJob(jobName, {}, { every: 60000 }, false);
+    queue.createRecurringJob(jobName, { updated: true }, { every: 30000 }, false);
+
+    const restartedQueue = await QueueFactory();
+    restartedQueue.createRecurringJob(jobName, { updated: true }, { every: 30000 }, false);
+
+    const jobs = await queue.getJobs(true);
+    jobs.length.should.equal(1);
+
+    // Definition is updated for the next occurrence.
+    const recurringJobs = queue.storage.find('RecurringJob');
+    recurringJobs.length.should.equal(1);
+    recurringJobs[0].every.should.equal(30000);
+    recurringJobs[0].payload.should.equal(JSON.stringify({ updated: true }));
+
+  });
+
+  it('#processJob() schedules next occurrence of a recurring job when it completes or fails for good.', async () => {
+
+    const queue = await QueueFactory();
+    const jobName = 'job-name';
+
+    let shouldFail = false;
+
+    queue.addWorker(jobName, () => {
+      if (shouldFail) {
+        throw new Error('Fake job failure!');
+      }
+    });
+
+    const createdJobIds = [];
+    queue.on('job:created', ({ jobId, jobName }) => {
+      createdJobIds.push(jobId);
+      jobName.should.equal('job-name');
+    });
+
+    queue.createRecurringJob(jobName, {}, { every: 60000, attempts: 2 }, false);
+    const firstRunAt = queue.storage.objectForPrimaryKey('RecurringJob', jobName).nextRunAt.getTime();
+
+    // Successful run schedules next occurrence one interval later.
+    const jobs = await queue.getConcurrentJobs();
+    const firstJobId = jobs[0].id;
+    await queue.processJob(jobs[0]);
+
+    let recurringJob = queue.storage.objectForPrimaryKey('RecurringJob', jobName);
+    let pendingJobs = await queue.getJobs(true);
+    pendingJobs.length.should.equal(1);
+    pendingJobs[0].id.should.equal(recurringJob.nextJobId);
+    const secondJobId = pendingJobs[0].id;
+    pendingJobs[0].runAt.getTime().should.equal(firstRunAt + 60000);
+    recurringJob.nextRunAt.getTime().should.equal(firstRunAt + 60000);
+
+    // Make next occurrence due and fail it.
+    queue.storage.write(() => {
+      pendingJobs[0].runAt = new Date();
+    });
+    shouldFail = true;
+
+    const secondJobs = await queue.getConcurrentJobs();
+    await queue.processJob(secondJobs[0]);
+
+    // Failure with attempts remaining doesn't schedule next occurrence.
+    pendingJobs = await queue.getJobs(true);
+    pendingJobs.length.should.equal(1);
+
+    const thirdJobs = await queue.getConcurrentJobs();
+    await queue.processJob(thirdJobs[0]);
+
+    // Failing for good schedules next occurrence.
+    recurringJob = queue.storage.objectForPrimaryKey('RecurringJob', jobName);
+    pendingJobs = await queue.getJobs(true);
+    pendingJobs.length.should.equal(2);
+    pendingJobs.filter( job => job.failed).length.should.equal(1);
+    const nextJob = pendingJobs.find( job => !job.failed);
+    nextJob.id.should.equal(recurringJob.nextJobId);
+    nextJob.runAt.getTime().should.equal(firstRunAt + 120000);
+
+    // Scheduled occurrences emit job:created like the first one.
+    createdJobIds.should.deepEqual([firstJobId, secondJobId, nextJob.id]);
+
+  });
+
+  it('#removeRecurringJob() stops a job from recurring.', async () => {
+
+    const queue = await QueueFactory();
+    const jobName = 'job-name';
+
+    queue.addWorker(jobName, () => {}, {
+      concurrency: 3
+    });
+
+    queue.createRecurringJob(jobName, {}, { every: 60000 }, false);
+    queue.createRecurringJob(jobName, {}, { every: 60000, key: 'other-key' }, false);
+
+    queue.removeRecurringJob(jobName);
+
+    should.not.exist(queue.storage.objectForPrimaryKey('RecurringJob', jobName));
+
+    const jobs = await queue.getJobs(true);
+    jobs.length.should.equal(1);
+    jobs[0].recurringJobId.should.equal('other-key');
+
+    // Running the occurrence of a removed recurring job doesn't schedule another.
+    queue.createRecurringJob(jobName, {}, { every: 60000, key: 'removed-while-running' }, false);
+    const activeJobs = await queue.getConcurrentJobs();
+    queue.removeRecurringJob('removed-while-running');
+    await queue.processJob(activeJobs.find( job => job.recurringJobId == 'removed-while-running'));
+
+    const remainingJobs = await queue.getJobs(true);
+    remainingJobs.filter( job => job.recurringJobId == 'removed-while-running').length.should.equal(0);
+
+  });
+
+  it('#flushQueue(name) should delete recurring jobs of type "name".', async () => {
+
+    const queue = await QueueFactory();
+
+    queue.addWorker('job-name', () => {});
+    queue.addWorker('a-different-job', () => {});
+
+    queue.createRecurringJob('job-name', {}, { every: 60000 }, false);
+    queue.createRecurringJob('a-different-job', {}, { every: 60000 }, false);
+
+    queue.flushQueue('job-name');
+
+    const recurringJobs = queue.storage.find('RecurringJob');
+    recurringJobs.length.should.equal(1);
+    recurringJobs[0].name.should.equal('a-different-job');
+
+  });
+
+  //
+  // UNIQUE JOB TESTING
+  //
+
+  it('#createJob() should validate uniqueKey and onConflict job options.', async () => {
+
+    const queue = await QueueFactory();
+    const jobName = 'job-name';
+
+    queue.addWorker(jobName, () => {});
+
+    const invalidOptions = [
+      { uniqueKey: '' },
+      { uniqueKey: 42 },
+      { uniqueKey: 'save-profile', onConflict: 'merge' }
+    ];
+
+    invalidOptions.forEach( options => {
+      try {
+        queue.createJob(jobName, {}, options, false);
+        throw new Error('createJob() should validate uniqueKey and onConflict job options.');
+      } catch (error) {
+        error.should.deepEqual(new Error('Invalid job option.'));
+      }
+    });
+
+  });
+
+  it('#createJob() ignores new jobs with the same uniqueKey as a pending or running job by default.', async () => {
+
+    const queue = await QueueFactory();
+    const jobName = 'job-name';
+
+    queue.addWorker(jobName, () => {});
+
+    queue.createJob(jobName, { tap: 1 }, { uniqueKey: 'save-profile' }, false);
+    queue.createJob(jobName, { tap: 2 }, { uniqueKey: 'save-profile' }, false);
+    queue.createJob(jobName, { tap: 3 }, { uniqueKey: 'save-profile', onConflict: 'ignore' }, false);
+    queue.createJob(jobName, { tap: 4 }, { uniqueKey: 'a-different-key' }, false);
+    queue.createJob(jobName, { tap: 5 }, {}, false);
+    queue.createJob(jobName, { tap: 6 }, {}, false);
+
+    let jobs = await queue.getJobs(true);
+    jobs.length.should.equal(4);
+    jobs.filter( job => job.uniqueKey == 'save-profile').length.should.equal(1);
+    JSON.parse(jobs.find( job => job.uniqueKey == 'save-profile').payload).should.deepEqual({ tap: 1 });
+
+    // Running jobs also conflict.
+    const activeJobs = await queue.getConcurrentJobs();
+    activeJobs[0].uniqueKey.should.equal('save-profile');
+    queue.createJob(jobName, { tap: 7 }, { uniqueKey: 'save-profile' }, false);
+
+    jobs = await queue.getJobs(true);
+    jobs.length.should.equal(4);
+
+    // Once job finishes, uniqueKey is free again.
+    await queue.processJob(activeJobs[0]);
+    queue.createJob(jobName, { tap: 8 }, { uniqueKey: 'save-profile' }, false);
+
+    jobs = await queue.getJobs(true);
+    jobs.length.should.equal(4);
+    JSON.parse(jobs.find( job => job.uniqueKey == 'save-profile').payload).should.deepEqual({ tap: 8 });
+
+  });
+
+  it('#createJob() replaces payload of pending job with the same uniqueKey if onConflict is "replace".', async () => {
+
+    const queue = await QueueFactory();
+    const jobName = 'job-name';
+
+    queue.addWorker(jobName, () => {});
+
+    queue.createJob(jobName, { tap: 1 }, { uniqueKey: 'save-profile', onConflict: 'replace' }, false);
+    queue.createJob(jobName, { tap: 2 }, { uniqueKey: 'save-profile', onConflict: 'replace' }, false);
+
+    let jobs = await queue.getJobs(true);
+    jobs.length.should.equal(1);
+    JSON.parse(jobs[0].payload).should.deepEqual({ tap: 2 });
+
+    // A running job can't be replaced, so a new job is created.
+    await queue.getConcurrentJobs();
+    queue.createJob(jobName, { tap: 3 }, { uniqueKey: 'save-profile', onConflict: 'replace' }, false);
+    queue.createJob(jobName, { tap: 4 }, { uniqueKey: 'save-profile', onConflict: 'replace' }, false);
+
+    jobs = await queue.getJobs(true);
+    jobs.length.should.equal(2);
+    JSON.parse(jobs.find( job => !job.active).payload).should.deepEqual({ tap: 4 });
+
+  });
+
+  it('#createJob() throws if a job with the same uniqueKey exists and onConflict is "throw".', async () => {
+
+    const queue = await QueueFactory();
+    const jobName = 'job-name';
+
+    queue.addWorker(jobName, () => {});
+
+    queue.createJob(jobName, { tap: 1 }, { uniqueKey: 'save-profile', onConflict: 'throw' }, false);
+
+    try {
+      queue.createJob(jobName, { tap: 2 }, { uniqueKey: 'save-profile', onConflict: 'throw' }, false);
+      throw new Error('createJob() should throw on uniqueKey conflict.');
+    } catch (error) {
+      error.should.deepEqual(new Error('Job with uniqueKey save-profile already exists.'));
+    }
+
+    const jobs = await queue.getJobs(true);
+    jobs.length.should.equal(1);
+    JSON.parse(jobs[0].payload).should.deepEqual({ tap: 1 });
+
+  });
+
+  //
+  // JOB DEPENDENCY TESTING
+  //
+
+  it('#createJob() should validate dependsOn and onDependencyFailed job options.', async () => {
+
+    const queue = await QueueFactory();
+    const jobName = 'job-name';
+
+    queue.addWorker(jobName, () => {});
+
+    const invalidOptions = [
+      { dependsOn: 'not-an-array' },
+      { dependsOn: [''] },
+      { dependsOn: [42] },
+      { dependsOn: ['job-id'], onDependencyFailed: 'retry' }
+    ];
+
+    invalidOptions.forEach( options => {
+      try {
+        queue.createJob(jobName, {}, options, false);
+        throw new Error('createJob() should validate dependsOn and onDependencyFailed job options.');
+      } catch (error) {
+        error.should.deepEqual(new Error('Invalid job option.'));
+      }
+    });
+
+  });
+
+  it('#getConcurrentJobs() does not select jobs until all their dependencies have completed.', async () => {
+
+    const queue = await QueueFactory();
+
+    queue.addWorker('upload-photo', () => {}, { concurrency: 2 });
+    queue.addWorker('create-post', () => {}, { concurrency: 2 });
+
+    queue.createJob('upload-photo', { photo: 1 }, {}, false);
+    queue.createJob('upload-photo', { photo: 2 }, {}, false);
+
+    const photoJobIds = (await queue.getJobs(true)).map( job => job.id);
+
+    // Dependent job has higher priority but has to wait for its dependencies.
+    queue.createJob('create-post', { post: 'waits' }, { dependsOn: photoJobIds, priority: 5 }, false);
+    queue.createJob('create-post', { post: 'no-dependencies' }, { priority: 1 }, false);
+
+    const firstJobs = await queue.getConcurrentJobs();
+    firstJobs.length.should.equal(1);
+    JSON.parse(firstJobs[0].payload).should.deepEqual({ post: 'no-dependencies' });
+
+    const photoJobs = await queue.getConcurrentJobs();
+    photoJobs.length.should.equal(2);
+
+    // Dependent job still waits while dependencies are running.
+    await queue.processJob(photoJobs[0]);
+    const blockedJobs = await queue.getConcurrentJobs();
+    blockedJobs.length.should.equal(0);
+
+    await queue.processJob(photoJobs[1]);
+    const readyJobs = await queue.getConcurrentJobs();
+    readyJobs.length.should.equal(1);
+    JSON.parse(readyJobs[0].payload).should.deepEqual({ post: 'waits' });
+
+  });
+
+  it('#processJob() applies onDependencyFailed policy to dependents of a failed job.', async () => {
+
+    const queue = await QueueFactory();
+
+    queue.addWorker('upload-photo', () => {
+      throw new Error('Fake job failure!');
+    });
+    queue.addWorker('create-post', () => {}, { concurrency: 5 });
+
+    queue.createJob('upload-photo', {}, {}, false);
+    const photoJobId = (await queue.getJobs(true))[0].id;
+
+    queue.createJob('create-post', { policy: 'default' }, { dependsOn: [photoJobId] }, false);
+    queue.createJob('create-post', { policy: 'cancel' }, { dependsOn: [photoJobId], onDependencyFailed: 'cancel' }, false);
+    queue.createJob('create-post', { policy: 'run' }, { dependsOn: [photoJobId], onDependencyFailed: 'run' }, false);
+
+    const photoJobs = await queue.getConcurrentJobs();
+    await queue.processJob(photoJobs[0]);
+
+    const jobs = await queue.getJobs(true);
+    const policies = jobs.filter( job => job.name == 'create-post').map( job => JSON.parse(job.payload).policy);
+    policies.should.deepEqual(['default', 'run']);
+
+    const failedJob = jobs.find( job => job.name == 'create-post' && JSON.parse(job.payload).policy == 'default');
+    failedJob.failed.should.be.a.Date();
+    JSON.parse(failedJob.errors).should.deepEqual(['Dependency ' + photoJobId + ' failed.']);
+
+    // Job with "run" policy is processed anyway.
+    const runAnywayJobs = await queue.getConcurrentJobs();
+    runAnywayJobs.length.should.equal(1);
+    JSON.parse(runAnywayJobs[0].payload).should.deepEqual({ policy: 'run' });
+
+  });
+
+  it('Failed dependencies cascade through chained jobs.', async () => {
+
+    const queue = await QueueFactory();
+
+    queue.addWorker('upload-photo', () => {
+      throw new Error('Fake job failure!');
+    });
+    queue.addWorker('create-post', () => {});
+    queue.addWorker('notify', () => {});
+
+    queue.createJob('upload-photo', {}, {}, false);
+    const photoJobId = (await queue.getJobs(true))[0].id;
+
+    queue.createJob('create-post', {}, { dependsOn: [photoJobId], onDependencyFailed: 'cancel' }, false);
+    const postJobId = (await queue.getJobs(true)).find( job => job.name == 'create-post').id;
+
+    queue.createJob('notify', {}, { dependsOn: [postJobId] }, false);
+
+    const photoJobs = await queue.getConcurrentJobs();
+    await queue.processJob(photoJobs[0]);
+
+    // Post job was cancelled, so notify job fails instead of running.
+    const jobs = await queue.getJobs(true);
+    jobs.map( job => job.name).should.deepEqual(['upload-photo', 'notify']);
+    jobs[1].failed.should.be.a.Date();
+
+    // Jobs created with a dependency that already failed are resolved right away.
+    queue.createJob('create-post', { late: true }, { dependsOn: [photoJobId] }, false);
+    const lateJob = (await queue.getJobs(true)).find( job => job.name == 'create-post');
+    lateJob.failed.should.be.a.Date();
+
+  });
+
+  //
+  // JOB COMPLETION PROMISE TESTING
+  //
+
+  it('#createJob() should return the job id.', async () => {
+
+    const queue = await QueueFactory();
+    const jobName = 'job-name';
+
+    queue.addWorker(jobName, () => {});
+
+    const jobId = queue.createJob(jobName, {}, {}, false);
+    const uniqueJobId = queue.createJob(jobName, { tap: 1 }, { uniqueKey: 'save-profile' }, false);
+    const ignoredJobId = queue.createJob(jobName, { tap: 2 }, { uniqueKey: 'save-profile' }, false);
+    const replacedJobId = queue.createJob(jobName, { tap: 3 }, { uniqueKey: 'save-profile', onConflict: 'replace' }, false);
+
+    const jobs = await queue.getJobs(true);
+    jobs.map( job => job.id).should.deepEqual([jobId, uniqueJobId]);
+
+    // Ignored or replaced unique jobs return the id of the existing job.
+    ignoredJobId.should.equal(uniqueJobId);
+    replacedJobId.should.equal(uniqueJobId);
+
+  });
+
+  it('#waitForJob() resolves with the value returned by the worker.', async () => {
+
+    const queue = await QueueFactory();
+    const jobName = 'job-name';
+
+    queue.addWorker(jobName, async (id, payload) => {
+      return { uploaded: payload.file };
+    });
+
+    const jobId = queue.createJob(jobName, { file: 'photo.jpg' }, {}, false);
+
+    const jobResult = queue.waitForJob(jobId);
+    const secondJobResult = queue.waitForJob(jobId);
+
+    queue.start();
+
+    (await jobResult).should.deepEqual({ uploaded: 'photo.jpg' });
+    (await secondJobResult).should.deepEqual({ uploaded: 'photo.jpg' });
+
+  });
+
+  it('#waitForJob() rejects with the error job finally failed with.', async () => {
+
+    const queue = await QueueFactory();
+    const jobName = 'job-name';
+
+    let attempt = 0;
+
+    queue.addWorker(jobName, async () => {
+      attempt++;
+      throw new Error('Fake job failure ' + attempt);
+    });
+
+    const jobId = queue.createJob(jobName, {}, { attempts: 3 }, false);
+
+    const jobResult = queue.waitForJob(jobId);
+
+    queue.start();
+
+    try {
+      await jobResult;
+      throw new Error('waitForJob() should reject if job fails.');
+    } catch (error) {
+      error.message.should.equal('Fake job failure 3');
+    }
+
+    // Waiting on a job that has already failed rejects right away.
+    try {
+      await queue.waitForJob(jobId);
+      throw new Error('waitForJob() should reject if job has already failed.');
+    } catch (error) {
+      error.should.deepEqual(new Error('Fake job failure 3'));
+    }
+
+  });
+
+  it('#waitForJob() rejects if job does not exist or is deleted.', async () => {
+
+    const queue = await QueueFactory();
+    const jobName = 'job-name';
+
+    queue.addWorker(jobName, () => {});
+
+    try {
+      await queue.waitForJob('no-job-has-this-id');
+      throw new Error('waitForJob() should reject if job does not exist.');
+    } catch (error) {
+      error.should.deepEqual(new Error('Job no-job-has-this-id does not exist.'));
+    }
+
+    const jobId = queue.createJob(jobName, {}, {}, false);
+    const jobResult = queue.waitForJob(jobId);
+
+    queue.flushQueue(jobName);
+
+    try {
+      await jobResult;
+      throw new Error('waitForJob() should reject if job is deleted.');
+    } catch (error) {
+      error.should.deepEqual(new Error('Job ' + jobId + ' was deleted.'));
+    }
+
+  });
+
+  it('#waitForJob() rejects if a dependency of job fails.', async () => {
+
+    const queue = await QueueFactory();
+
+    queue.addWorker('upload-photo', () => {
+      throw new Error('Fake job failure!');
+    });
+    queue.addWorker('create-post', () => {});
+
+    const photoJobId = queue.createJob('upload-photo', {}, {}, false);
+    const postJobId = queue.createJob('create-post', {}, { dependsOn: [photoJobId] }, false);
+
+    const postJobResult = queue.waitForJob(postJobId);
+
+    queue.start();
+
+    try {
+      await postJobResult;
+      throw new Error('waitForJob() should reject if job dependency fails.');
+    } catch (error) {
+      error.should.deepEqual(new Error('Dependency ' + photoJobId + ' failed.'));
+    }
+
+  });
+
+  it('#createJobAndWait() creates a job and resolves with the value returned by the worker.', async () => {
+
+    const queue = await QueueFactory();
+    const jobName = 'job-name';
+
+    queue.addWorker(jobName, async (id, payload) => {
+      return payload.a + payload.b;
+    });
+
+    const result = await queue.createJobAndWait(jobName, { a: 1, b: 2 });
+    result.should.equal(3);
+
+    try {
+      await queue.createJobAndWait(jobName, {}, { timeout: -1 });
+      throw new Error('createJobAndWait() should reject if job options are invalid.');
+    } catch (error) {
+      error.should.deepEqual(new Error('Invalid job option.'));
+    }
+
+  });
+
+  //
+  // COMPLETED JOB RETENTION TESTING
+  //
+
+  it('#processJob() keeps completed jobs and their results if worker keepCompleted option is set.', async () => {
+
+    const queue = await QueueFactory();
+    const jobName = 'job-name';
+
+    queue.addWorker(jobName, async (id, payload) => {
+      return { uploaded: payload.file };
+    }, {
+      keepCompleted: true
+    });
+
+    const jobId = queue.createJob(jobName, { file: 'photo.jpg' }, {}, false);
+    queue.createJob(jobName, { file: 'video.mp4' }, {}, false);
+
+    const jobs = await queue.getConcurrentJobs();
+    await queue.processJob(jobs[0]);
+
+    const allJobs = await queue.getJobs(true);
+    allJobs.length.should.equal(2);
+
+    const completedJob = allJobs.find( job => job.id == jobId);
+    completedJob.active.should.be.False();
+    completedJob.completed.should.be.a.Date();
+    completedJob.result.should.equal(JSON.stringify({ uploaded: 'photo.jpg' }));
+
+    // Completed jobs are not processed again.
+    const nextJobs = await queue.getConcurrentJobs();
+    nextJobs.length.should.equal(1);
+    JSON.parse(nextJobs[0].payload).should.deepEqual({ file: 'video.mp4' });
+
+    const noJobs = await queue.getConcurrentJobs();
+    noJobs.length.should.equal(0);
+
+    // Waiting on a kept completed job resolves with its result.
+    const result = await queue.waitForJob(jobId);
+    result.should.deepEqual({ uploaded: 'photo.jpg' });
+
+  });
+
+  it('#processJob() prunes completed jobs past keepCompleted limits.', async () => {
+
+    const queue = await QueueFactory();
+    const jobName = 'job-name';
+
+    queue.addWorker(jobName, async (id, payload) => payload.index, {
+      keepCompleted: { maxCount: 2 }
+    });
+    queue.addWorker('a-different-job', async () => {}, {
+      keepCompleted: { maxAge: 100 }
+    });
+
+    for (let i = 0; i < 4; i++) {
+      queue.createJob(jobName, { index: i }, {}, false);
+    }
+
+    for (let i = 0; i < 4; i++) {
+      const jobs = await queue.getConcurrentJobs();
+      await queue.processJob(jobs[0]);
+      await new Promise((resolve) => { setTimeout(resolve, 5); }); // Space out completions so time sorting is deterministic.
+    }
+
+    // Only the 2 most recently completed jobs are kept.
+    let completedJobs = (await queue.getJobs(true)).filter( job => job.name == jobName);
+    completedJobs.map( job => JSON.parse(job.result)).should.deepEqual([2, 3]);
+
+    // Completed jobs older than maxAge are pruned.
+    queue.createJob('a-different-job', { index: 0 }, {}, false);
+    const firstJobs = await queue.getConcurrentJobs();
+    await queue.processJob(firstJobs[0]);
+
+    await new Promise((resolve) => { setTimeout(resolve, 150); });
+
+    queue.createJob('a-different-job', { index: 1 }, {}, false);
+    const secondJobs = await queue.getConcurrentJobs();
+    await queue.processJob(secondJobs[0]);
+
+    completedJobs = (await queue.getJobs(true)).filter( job => job.name == 'a-different-job');
+    completedJobs.length.should.equal(1);
+    JSON.parse(completedJobs[0].payload).should.deepEqual({ index: 1 });
+
+  });
+
+  it('Completed jobs past keepCompleted maxAge are pruned on init and before they are read.', async () => {
+
+    const storage = new MemoryAdapter();
+    const queue = await QueueFactory({ storage });
+    const jobName = 'job-name';
+
+    queue.addWorker(jobName, async () => 'done', {
+      keepCompleted: { maxAge: 100 }
+    });
+
+    const firstJobId = queue.createJob(jobName, {}, {}, false);
+    await queue.processJob((await queue.getConcurrentJobs())[0]);
+
+    await new Promise((resolve) => { setTimeout(resolve, 150); });
+
+    // Expired while no other job completed, so a restarted queue prunes it on init.
+    storage.find('Job').length.should.equal(1);
+    await QueueFactory({ storage });
+    storage.find('Job').length.should.equal(0);
+
+    const secondJobId = queue.createJob(jobName, {}, {}, false);
+    await queue.processJob((await queue.getConcurrentJobs())[0]);
+
+    queue.getJobResult(secondJobId).status.should.equal('completed');
+    (await queue.getJobs({ status: 'completed' })).length.should.equal(1);
+
+    await new Promise((resolve) => { setTimeout(resolve, 150); });
+
+    should.not.exist(queue.getJobResult(secondJobId));
+    should.not.exist(queue.getJobResult(firstJobId));
+    (await queue.getJobs({ status: 'completed' })).length.should.equal(0);
+
+  });
+
+  it('#getJobResult() returns the outcome of a job.', async () => {
+
+    const queue = await QueueFactory();
+
+    queue.addWorker('succeeds', async () => 'done', {
+      keepCompleted: true
+    });
+    queue.addWorker('fails', async () => {
+      throw new Error('Fake job failure!');
+    });
+
+    should.not.exist(queue.getJobResult('no-job-has-this-id'));
+
+    const successJobId = queue.createJob('succeeds', {}, {}, false);
+    const failureJobId = queue.createJob('fails', {}, {}, false);
+
+    queue.getJobResult(successJobId).should.have.properties({
+      id: successJobId,
+      status: 'pending',
+      result: undefined,
+      error: null,
+      completed: null,
+      failed: null
+    });
+
+    const successJobs = await queue.getConcurrentJobs();
+    queue.getJobResult(successJobId).status.should.equal('active');
+    await queue.processJob(successJobs[0]);
+
+    const failureJobs = await queue.getConcurrentJobs();
+    await queue.processJob(failureJobs[0]);
+
+    const successResult = queue.getJobResult(successJobId);
+    successResult.status.should.equal('completed');
+    successResult.result.should.equal('done');
+    successResult.completed.should.be.a.Date();
+
+    const failureResult = queue.getJobResult(failureJobId);
+    failureResult.status.should.equal('failed');
+    failureResult.error.should.equal('Fake job failure!');
+    failureResult.failed.should.be.a.Date();
+
+  });
+
+  //
+  // JOB CANCELLATION TESTING
+  //
+
+  it('#cancelJob() deletes a pending job and rejects its waiters.', async () => {
+
+    const queue = await QueueFactory();
+    const jobName = 'job-name';
+
+    queue.addWorker(jobName, async () => {});
+
+    const jobId = queue.createJob(jobName, {}, {}, false);
+    const otherJobId = queue.createJob(jobName, {}, {}, false);
+    const jobResult = queue.waitForJob(jobId);
+
+    queue.cancelJob(jobId).should.be.True();
+
+    try {
+      await jobResult;
+      throw new Error('waitForJob() should reject if job is cancelled.');
+    } catch (error) {
+      error.should.deepEqual(new Error('Job ' + jobId + ' was cancelled.'));
+    }
+
+    const jobs = await queue.getJobs(true);
+    jobs.map( job => job.id).should.deepEqual([otherJobId]);
+
+    // Jobs that don't exist can't be cancelled.
+    queue.cancelJob(jobId).should.be.False();
+    queue.cancelJob('no-job-has-this-id').should.be.False();
+
+  });
+
+  it('#cancelJob() aborts a running job and deletes it without re-attempting it.', async () => {
+
+    const queue = await QueueFactory();
+    const jobName = 'job-name';
+    const callbacks = [];
+    let workerSignal = null;
+
+    queue.addWorker(jobName, async (id, payload, { signal }) => {
+      workerSignal = signal;
+      return new Promise(() => {}); // Worker ignores signal and never settles.
+    }, {
+      onFailure: () => { callbacks.push('onFailure'); },
+      onFailed: () => { callbacks.push('onFailed'); },
+      onComplete: () => { callbacks.push('onComplete'); }
+    });
+
+    const jobId = queue.createJob(jobName, {}, { attempts: 3, timeout: 0 }, false);
+    const jobResult = queue.waitForJob(jobId);
+
+    const jobs = await queue.getConcurrentJobs();
+    const processing = queue.processJob(jobs[0]);
+
+    queue.cancelJob(jobId).should.be.True();
+    queue.getJobResult(jobId).status.should.equal('cancelled');
+
+    // Cancelling again is a no-op.
+    queue.cancelJob(jobId).should.be.False();
+
+    await processing;
+
+    workerSignal.aborted.should.be.True();
+    workerSignal.reason.should.deepEqual(new Error('CANCELLED: Job id: ' + jobId + ' was cancelled.'));
+
+    try {
+      await jobResult;
+      throw new Error('waitForJob() should reject if job is cancelled.');
+    } catch (error) {
+      error.should.deepEqual(new Error('Job ' + jobId + ' was cancelled.'));
+    }
+
+    should.not.exist(queue.getJobResult(jobId));
+    callbacks.should.deepEqual([]);
+    Object.keys(queue.runningJobs).length.should.equal(0);
+
+  });
+
+  it('#cancelJob() applies the onDependencyFailed policy of dependent jobs.', async () => {
+
+    const queue = await QueueFactory();
+    const jobName = 'job-name';
+
+    queue.addWorker(jobName, async () => {});
+
+    const parentId = queue.createJob(jobName, {}, {}, false);
+    const failingChildId = queue.createJob(jobName, {}, { dependsOn: [parentId] }, false);
+    const runningChildId = queue.createJob(jobName, {}, { dependsOn: [parentId], onDependencyFailed: 'run' }, false);
+
+    queue.cancelJob(parentId).should.be.True();
+
+    const failingChild = queue.getJobResult(failingChildId);
+    failingChild.status.should.equal('failed');
+    failingChild.error.should.equal('Dependency ' + parentId + ' was cancelled.');
+
+    const jobs = await queue.getConcurrentJobs();
+    jobs.map( job => job.id).should.deepEqual([runningChildId]);
+
+  });
+
+  it('#cancelJob() schedules the next occurrence of a recurring job.', async () => {
+
+    const queue = await QueueFactory();
+    const jobName = 'job-name';
+
+    queue.addWorker(jobName, async () => {});
+
+    queue.createRecurringJob(jobName, {}, { every: 60000 }, false);
+
+    const occurrence = (await queue.getJobs(true))[0];
+    const occurrenceId = occurrence.id;
+
+    queue.cancelJob(occurrenceId).should.be.True();
+
+    const jobs = await queue.getJobs(true);
+    jobs.length.should.equal(1);
+    jobs[0].id.should.not.equal(occurrenceId);
+    jobs[0].runAt.should.be.a.Date();
+
+  });
+
+  it('#pauseJob() and #resumeJob() hold a pending job back from processing.', async () => {
+
+    const queue = await QueueFactory();
+    const jobName = 'job-name';
+
+    queue.addWorker(jobName, async () => {});
+
+    const pausedJobId = queue.createJob(jobName, {}, { priority: 5 }, false);
+    const otherJobId = queue.createJob(jobName, {}, {}, false);
+
+    queue.pauseJob(pausedJobId).should.be.True();
+    queue.pauseJob(pausedJobId).should.be.False();
+    queue.getJobResult(pausedJobId).status.should.equal('paused');
+
+    // Paused job is skipped even though it has a higher priority.
+    const jobs = await queue.getConcurrentJobs();
+    jobs.map( job => job.id).should.deepEqual([otherJobId]);
+
+    // Running jobs can't be paused.
+    queue.pauseJob(otherJobId).should.be.False();
+    await queue.processJob(jobs[0]);
+
+    // Nothing left to process while job is paused.
+    (await queue.getConcurrentJobs()).length.should.equal(0);
+
+    queue.resumeJob(otherJobId, false).should.be.False();
+    queue.resumeJob(pausedJobId, false).should.be.True();
+    queue.resumeJob(pausedJobId, false).should.be.False();
+    queue.getJobResult(pausedJobId).status.should.equal('pending');
+
+    const resumedJobs = await queue.getConcurrentJobs();
+    resumedJobs.map( job => job.id).should.deepEqual([pausedJobId]);
+
+  });
+
+  it('#resumeJob() starts the queue by default.', async () => {
+
+    const queue = await QueueFactory();
+    const jobName = 'job-name';
+    let processed = false;
+
+    queue.addWorker(jobName, async () => {
+      processed = true;
+    });
+
+    const jobId = queue.createJob(jobName, {}, {}, false);
+    queue.pauseJob(jobId);
+
+    await queue.start();
+    processed.should.be.False();
+
+    queue.resumeJob(jobId);
+
+    await new Promise((resolve) => { setTimeout(resolve, 100); });
+
+    processed.should.be.True();
+    queue.status.should.equal('inactive');
+
+  });
+
+  //
+  // WORKER PAUSE TESTING
+  //
+
+  it('#pauseWorker() stops jobs with that name from blocking other job names.', async () => {
+
+    const queue = await QueueFactory();
+
+    queue.addWorker('upload-video', async () => {}, { concurrency: 2 });
+    queue.addWorker('send-message', async () => {}, { concurrency: 2 });
+
+    // Paused name is at the head of the line.
+    queue.createJob('upload-video', {}, { priority: 5 }, false);
+    queue.createJob('upload-video', {}, { priority: 5 }, false);
+    queue.createJob('send-message', {}, {}, false);
+
+    queue.pauseWorker('upload-video');
+    queue.pauseWorker('upload-video');
+    queue.isWorkerPaused('upload-video').should.be.True();
+    queue.isWorkerPaused('send-message').should.be.False();
+    queue.pausedJobNames.should.deepEqual(['upload-video']);
+
+    const jobs = await queue.getConcurrentJobs();
+    jobs.map( job => job.name).should.deepEqual(['send-message']);
+    await queue.processJob(jobs[0]);
+
+    (await queue.getConcurrentJobs()).length.should.equal(0);
+
+    queue.resumeWorker('upload-video', false);
+    queue.isWorkerPaused('upload-video').should.be.False();
+
+    const resumedJobs = await queue.getConcurrentJobs();
+    resumedJobs.map( job => job.name).should.deepEqual(['upload-video', 'upload-video']);
+
+  });
+
+  it('#resumeWorker() starts the queue by default.', async () => {
+
+    const queue = await QueueFactory();
+    const jobName = 'job-name';
+    let processed = 0;
+
+    queue.addWorker(jobName, async () => {
+      processed++;
+    });
+
+    queue.pauseWorker(jobName);
+    queue.createJob(jobName, {}, {}, false);
+
+    await queue.start();
+    processed.should.equal(0);
+    queue.status.should.equal('inactive');
+
+    // Resuming a name that isn't paused does nothing.
+    queue.resumeWorker('a-different-job');
+    queue.status.should.equal('inactive');
+
+    queue.resumeWorker(jobName);
+
+    await new Promise((resolve) => { setTimeout(resolve, 100); });
+
+    processed.should.equal(1);
+
+  });
+
+  it('#getNextRunAt() ignores delayed jobs with paused names.', async () => {
+
+    const queue = await QueueFactory();
+
+    queue.addWorker('upload-video', async () => {});
+    queue.addWorker('send-message', async () => {});
+
+    const soon = new Date(Date.now() + 60000);
+    const later = new Date(Date.now() + 120000);
+
+    queue.createJob('upload-video', {}, { runAt: soon }, false);
+    queue.createJob('send-message', {}, { runAt: later }, false);
+
+    (await queue.getNextRunAt()).should.deepEqual(soon);
+
+    queue.pauseWorker('upload-video');
+    (await queue.getNextRunAt()).should.deepEqual(later);
+
+    queue.pauseWorker('send-message');
+    should.not.exist(await queue.getNextRunAt());
+
+  });
+
+  //
+  // GLOBAL CONCURRENCY TESTING
+  //
+
+  it('#constructor() should validate maxConcurrency option.', async () => {
+
+    const invalidOptions = [
+      { maxConcurrency: 0 },
+      { maxConcurrency: -1 },
+      { maxConcurrency: 1.5 },
+      { maxConcurrency: '3' }
+    ];
+
+    invalidOptions.forEach( options => {
+      try {
+        new Queue(options);
+        throw new Error('Queue constructor should throw error if maxConcurrency option is invalid.');
+      } catch (error) {
+        error.should.deepEqual(new Error('Invalid queue option.'));
+      }
+    });
+
+    const queue = await QueueFactory({ maxConcurrency: 3 });
+    queue.maxConcurrency.should.equal(3);
+
+  });
+
+  it('#getConcurrentJobs() fills free slots from any job names if maxConcurrency is set.', async () => {
+
+    const queue = await QueueFactory({ maxConcurrency: 4 });
+
+    queue.addWorker('image-resize', async () => {});
+    queue.addWorker('ping', async () => {}, { concurrency: 2 });
+    queue.addWorker('sync', async () => {}, { concurrency: 5 });
+
+    queue.createJob('image-resize', {}, { priority: 5 }, false);
+    queue.createJob('image-resize', {}, { priority: 5 }, false);
+    queue.createJob('ping', {}, { priority: 1 }, false);
+    queue.createJob('ping', {}, { priority: 1 }, false);
+    queue.createJob('ping', {}, { priority: 1 }, false);
+    queue.createJob('sync', {}, {}, false);
+    queue.createJob('sync', {}, {}, false);
+
+    // Worker concurrency is honored per job name, and total is capped at maxConcurrency.
+    const jobs = await queue.getConcurrentJobs();
+    jobs.map( job => job.name).should.deepEqual(['image-resize', 'ping', 'ping', 'sync']);
+
+  });
+
+  it('#getConcurrentJobs() reads more jobs until enough runnable jobs are found.', async () => {
+
+    const connectivity = new ManualConnectivity({ connected: false });
+    const queue = await QueueFactory({ connectivity, maxConcurrency: 2 });
+
+    queue.addWorker('upload-photo', async () => {});
+    queue.addWorker('image-resize', async () => {}, { concurrency: 2 });
+
+    // Jobs waiting on network come first in processing order, and take up more than the jobs read at first.
+    for (let i = 0; i < Config.JOB_SELECTION_PAGE_SIZE * 2 + 1; i++) {
+      queue.createJob('upload-photo', {}, { priority: 5, requiresNetwork: 'any' }, false);
+    }
+    queue.createJob('image-resize', { image: 1 }, {}, false);
+    queue.createJob('image-resize', { image: 2 }, {}, false);
+
+    const jobs = await queue.getConcurrentJobs();
+    jobs.map( job => JSON.parse(job.payload)).should.deepEqual([{ image: 1 }, { image: 2 }]);
+
+    // Paused names are left out before jobs are read.
+    queue.pauseWorker('upload-photo');
+    queue.createJob('image-resize', { image: 3 }, {}, false);
+
+    const nextJobs = await queue.getConcurrentJobs();
+    nextJobs.map( job => JSON.parse(job.payload)).should.deepEqual([{ image: 3 }]);
+
+  });
+
+  it('#getConcurrentJobs() takes jobs that are already running into account.', async () => {
+
+    const queue = await QueueFactory();
+    let releaseWorkers = [];
+
+    queue.addWorker('image-resize', async () => {
+      await new Promise((resolve) => { releaseWorkers.push(resolve); });
+    }, { concurrency: 2 });
+    queue.addWorker('ping', async () => {});
+
+    queue.createJob('image-resize', {}, { priority: 5 }, false);
+    queue.createJob('ping', {}, { priority: 1 }, false);
+
+    const firstJobs = await queue.getConcurrentJobs();
+    firstJobs.map( job => job.name).should.deepEqual(['image-resize']);
+    const firstProcessing = queue.processJob(firstJobs[0]);
+
+    // By default jobs with another name wait for running jobs to finish.
+    (await queue.getConcurrentJobs()).length.should.equal(0);
+
+    // Free slots of the running job name are filled.
+    queue.createJob('image-resize', {}, { priority: 5 }, false);
+    const secondJobs = await queue.getConcurrentJobs();
+    secondJobs.map( job => job.name).should.deepEqual(['image-resize']);
+    const secondProcessing = queue.processJob(secondJobs[0]);
+
+    releaseWorkers.forEach( releaseWorker => releaseWorker());
+    await Promise.all([firstProcessing, secondProcessing]);
+
+    // With maxConcurrency, running jobs take up slots of any job name.
+    queue.maxConcurrency = 2;
+    releaseWorkers = [];
+
+    queue.createJob('image-resize', {}, { priority: 5 }, false);
+    const thirdJobs = await queue.getConcurrentJobs();
+    thirdJobs.map( job => job.name).should.deepEqual(['image-resize', 'ping']);
+    const thirdProcessing = thirdJobs.map( job => queue.processJob(job));
+
+    queue.createJob('image-resize', {}, { priority: 5 }, false);
+    (await queue.getConcurrentJobs()).length.should.equal(0);
+
+    await thirdProcessing[1];
+
+    const fourthJobs = await queue.getConcurrentJobs();
+    fourthJobs.map( job => job.name).should.deepEqual(['image-resize']);
+    const fourthProcessing = queue.processJob(fourthJobs[0]);
+
+    releaseWorkers.forEach( releaseWorker => releaseWorker());
+    await Promise.all([...thirdProcessing, fourthProcessing]);
+
+  });
+
+  it('#start() fills slots as soon as running jobs finish.', async () => {
+
+    const queue = await QueueFactory({ maxConcurrency: 2 });
+    const events = [];
+
+    queue.addWorker('image-resize', async () => {
+      events.push('image-resize:start');
+      await new Promise((resolve) => { setTimeout(resolve, 300); });
+      events.push('image-resize:end');
+    });
+    queue.addWorker('ping', async (id, payload) => {
+      events.push('ping' + payload.index);
+      await new Promise((resolve) => { setTimeout(resolve, 25); });
+    });
+
+    queue.createJob('image-resize', {}, { priority: 5, timeout: 0 }, false);
+    queue.createJob('ping', { index: 1 }, {}, false);
+    await new Promise((resolve) => { setTimeout(resolve, 5); }); // Space out inserts so time sorting is deterministic.
+    queue.createJob('ping', { index: 2 }, {}, false);
+    await new Promise((resolve) => { setTimeout(resolve, 5); });
+    queue.createJob('ping', { index: 3 }, {}, false);
+
+    await queue.start();
+
+    // Slow job does not hold up the fast jobs.
+    events.should.deepEqual(['image-resize:start', 'ping1', 'ping2', 'ping3', 'image-resize:end']);
+
+    queue.status.should.equal('inactive');
+    (await queue.getJobs(true)).length.should.equal(0);
+
+  });
+
+  it('#stop() lets running jobs finish before start() resolves.', async () => {
+
+    const queue = await QueueFactory();
+    const jobName = 'job-name';
+    let finished = false;
+
+    queue.addWorker(jobName, async () => {
+      await new Promise((resolve) => { setTimeout(resolve, 100); });
+      finished = true;
+    });
+
+    queue.createJob(jobName, {}, {}, false);
+    queue.createJob(jobName, {}, {}, false);
+
+    const processing = queue.start();
+
+    await new Promise((resolve) => { setTimeout(resolve, 25); });
+    queue.stop();
+
+    await processing;
+
+    finished.should.be.True();
+    queue.status.should.equal('inactive');
+    (await queue.getJobs(true)).length.should.equal(1);
+
+  });
+
+  it('#start() after #stop() waits for running jobs, then processes every pending job in a single loop.', async () => {
+
+    const queue = await QueueFactory();
+    const jobName = 'job-name';
+    const processed = [];
+    const events = [];
+
+    queue.addWorker(jobName, async (id, payload) => {
+      await new Promise((resolve) => { setTimeout(resolve, 50); });
+      processed.push(payload.step);
+    });
+
+    ['queue:start', 'queue:stop'].forEach( event => queue.on(event, () => events.push(event)));
+
+    queue.createJob(jobName, { step: 1 }, {}, false);
+    queue.createJob(jobName, { step: 2 }, {}, false);
+
+    const processing = queue.start();
+
+    await new Promise((resolve) => { setTimeout(resolve, 10); });
+    queue.stop();
+
+    // Restarts the queue while job 1 is still running.
+    queue.createJob(jobName, { step: 3 }, {}, false);
+    const restarting = queue.start();
+
+    await processing;
+    await restarting;
+
+    processed.should.deepEqual([1, 2, 3]);
+    events.should.deepEqual(['queue:start', 'queue:stop', 'queue:start', 'queue:stop']);
+    queue.status.should.equal('inactive');
+    (await queue.getJobs(true)).length.should.equal(0);
+
+  });
+
+  //
+  // ORPHANED JOB RECOVERY TESTING
+  //
+
+  it('#getConcurrentJobs() gives active jobs a lease that is renewed while they are processed.', async () => {
+
+    const queue = await QueueFactory();
+    const jobName = 'job-name';
+    let releaseWorker = null;
+
+    queue.addWorker(jobName, async () => {
+      await new Promise((resolve) => { releaseWorker = resolve; });
+    }, { keepCompleted: true });
+
+    const jobId = queue.createJob(jobName, {}, {}, false);
+    should.not.exist(queue.storage.objectForPrimaryKey('Job', jobId).leaseExpires);
+
+    const before = Date.now();
+    const jobs = await queue.getConcurrentJobs();
+    const job = queue.storage.objectForPrimaryKey('Job', jobId);
+
+    job.leaseExpires.getTime().should.be.aboveOrEqual(before + Config.JOB_LEASE_DURATION);
+
+    const processing = queue.processJob(jobs[0]);
+    should.exist(queue.heartbeatTimer);
+
+    // Heartbeat renews lease.
+    queue.storage.write(() => {
+      job.leaseExpires = new Date(Date.now() - 1000);
+    });
+    queue.renewJobLeases();
+    job.leaseExpires.getTime().should.be.above(Date.now());
+
+    releaseWorker();
+    await processing;
+
+    // Heartbeat stops and lease is cleared once job finishes.
+    should.not.exist(queue.heartbeatTimer);
+    should.not.exist(job.leaseExpires);
+
+  });
+
+  it('#recoverOrphanedJobs() resets or fails active jobs with expired leases.', async () => {
+
+    const queue = await QueueFactory();
+    const jobName = 'job-name';
+
+    queue.addWorker(jobName, async () => {}, { concurrency: 5 });
+
+    const retryJobId = queue.createJob(jobName, {}, { attempts: 2 }, false);
+    const lastAttemptJobId = queue.createJob(jobName, {}, {}, false);
+    const cancelledJobId = queue.createJob(jobName, {}, {}, false);
+    const aliveJobId = queue.createJob(jobName, {}, {}, false);
+    const dependentJobId = queue.createJob(jobName, {}, { dependsOn: [lastAttemptJobId] }, false);
+
+    // Mark jobs active as if a previous process was killed while processing them.
+    (await queue.getConcurrentJobs()).length.should.equal(4);
+
+    queue.storage.write(() => {
+      [retryJobId, lastAttemptJobId, cancelledJobId].forEach( jobId => {
+        queue.storage.objectForPrimaryKey('Job', jobId).leaseExpires = new Date(Date.now() - 1000);
+      });
+      queue.storage.objectForPrimaryKey('Job', cancelledJobId).status = 'cancelled';
+    });
+
+    queue.recoverOrphanedJobs().should.equal(3);
+
+    const retryJob = queue.storage.objectForPrimaryKey('Job', retryJobId);
+    retryJob.active.should.be.False();
+    retryJob.status.should.equal('pending');
+    should.not.exist(retryJob.leaseExpires);
+    retryJob.should.have.properties({
+      failedAttempts: 1,
+      errors: JSON.stringify(['INTERRUPTED: Job id: ' + retryJobId + ' was interrupted before it finished.'])
+    });
+
+    const lastAttemptJob = queue.getJobResult(lastAttemptJobId);
+    lastAttemptJob.status.should.equal('failed');
+    lastAttemptJob.error.should.equal('INTERRUPTED: Job id: ' + lastAttemptJobId + ' was interrupted before it finished.');
+
+    queue.getJobResult(dependentJobId).status.should.equal('failed');
+    should.not.exist(queue.getJobResult(cancelledJobId));
+
+    // Jobs with a live lease are left alone.
+    queue.getJobResult(aliveJobId).status.should.equal('active');
+    queue.recoverOrphanedJobs().should.equal(0);
+
+    // Interrupted job is picked up again.
+    const jobs = await queue.getConcurrentJobs();
+    jobs.map( job => job.id).should.deepEqual([retryJobId]);
+
+  });
+
+  it('#init() recovers jobs left active by a previous process.', async () => {
+
+    const queue = await QueueFactory();
+    const jobName = 'job-name';
+
+    queue.addWorker(jobName, async () => {});
+
+    const jobId = queue.createJob(jobName, {}, { attempts: 3 }, false);
+
+    // Jobs written by older versions have no lease.
+    queue.storage.write(() => {
+      const job = queue.storage.objectForPrimaryKey('Job', jobId);
+      job.active = true;
+      job.status = 'active';
+    });
+
+    const restartedQueue = new Queue();
+    await restartedQueue.init();
+
+    const job = restartedQueue.getJobResult(jobId);
+    job.status.should.equal('pending');
+    job.error.should.equal('INTERRUPTED: Job id: ' + jobId + ' was interrupted before it finished.');
+
+  });
+
+  //
+  // STORAGE ADAPTER TESTING
+  //
+
+  it('#constructor() should validate storage option.', async () => {
+
+    ['storage', {}, { find: 'not-a-function' }].forEach( storage => {
+      try {
+        new Queue({ storage });
+        throw new Error('Queue constructor should throw error if storage option is invalid.');
+      } catch (error) {
+        error.should.deepEqual(new Error('Invalid queue option.'));
+      }
+    });
+
+  });
+
+  it('Queue processes jobs with the memory storage adapter.', async () => {
+
+    const queue = await QueueFactory({ storage: new MemoryAdapter() });
+    const realmQueue = await QueueFactory();
+    const jobName = 'job-name';
+    const executedJobs = [];
+
+    queue.addWorker(jobName, async (id, payload) => {
+      executedJobs.push(payload.step);
+      return payload.step;
+    }, { keepCompleted: true });
+
+    const firstStepId = queue.createJob(jobName, { step: 1 }, { priority: -1 }, false);
+    const secondStepId = queue.createJob(jobName, { step: 2 }, { priority: 5, dependsOn: [firstStepId] }, false);
+    queue.createJob(jobName, { step: 3 }, { uniqueKey: 'step-3' }, false);
+    queue.createJob(jobName, { step: 3 }, { uniqueKey: 'step-3' }, false);
+
+    // Jobs are not written to Realm.
+    (await realmQueue.getJobs(true)).length.should.equal(0);
+
+    const result = queue.waitForJob(secondStepId);
+    await queue.start();
+    (await result).should.equal(2);
+
+    executedJobs.should.deepEqual([3, 1, 2]);
+    queue.getJobResult(secondStepId).status.should.equal('completed');
+
+    queue.flushQueue();
+    (await queue.getJobs(true)).length.should.equal(0);
+
+  });
+
+  it('Queue jobs persist across restarts with the key-value storage adapter.', async () => {
+
+    const items = {};
+    const store = {
+      getItem: async (key) => (items[key] !== undefined) ? items[key] : null,
+      setItem: async (key, value) => { items[key] = value; }
+    };
+
+    const storage = new KeyValueAdapter({ store });
+    const queue = await QueueFactory({ storage });
+    const jobName = 'job-name';
+
+    queue.addWorker(jobName, async () => {});
+
+    const pendingJobId = queue.createJob(jobName, {}, {}, false);
+    const activeJobId = queue.createJob(jobName, {}, { attempts: 2 }, false);
+    queue.createJob(jobName, {}, { runAt: new Date(Date.now() + 60000) }, false);
+
+    // Simulate app being killed while a job is being processed.
+    storage.write(() => {
+      const activeJob = storage.objectForPrimaryKey('Job', activeJobId);
+      activeJob.active = true;
+      activeJob.status = 'active';
+    });
+
+    await storage.whenPersisted();
+
+    const restartedQueue = await QueueFactory({ storage: new KeyValueAdapter({ store }) });
+
+    const jobs = await restartedQueue.getJobs(true);
+    jobs.length.should.equal(3);
+    jobs.find( job => job.runAt).runAt.should.be.a.Date();
+
+    restartedQueue.getJobResult(pendingJobId).status.should.equal('pending');
+
+    // Interrupted job was recovered.
+    restartedQueue.getJobResult(activeJobId).status.should.equal('pending');
+
+    const concurrentJobs = await restartedQueue.getConcurrentJobs();
+    concurrentJobs.length.should.equal(1);
+
+  });
+
+  //
+  // NAMED QUEUE TESTING
+  //
+
+  it('#constructor() validates name, realmPath and migrations options.', async () => {
+
+    [{ name: '' }, { name: 'has spaces' }, { name: 5 }, { realmPath: '' }, { realmPath: {} }, { realmPath: 'custom.realm', storage: new MemoryAdapter() }, { migrations: [{ version: 0, migrate: () => {} }] }, { migrations: [], storage: new MemoryAdapter() }].forEach( options => {
+      try {
+        new Queue(options);
+        throw new Error('Queue should throw if name, realmPath or migrations option is invalid.');
+      } catch (error) {
+        error.should.deepEqual(new Error('Invalid queue option.'));
+      }
+    });
+
+    const namedQueue = new Queue({ name: 'user-data' });
+    namedQueue.name.should.equal('user-data');
+    namedQueue.storage.realmPath.should.equal('reactNativeQueue-user-data.realm');
+
+    new Queue({ name: 'user-data', realmPath: 'custom.realm' }).storage.realmPath.should.equal('custom.realm');
+
+    const migrations = [{ version: 1, migrate: () => {} }];
+    new Queue({ migrations }).storage.migrations.should.equal(migrations);
+
+  });
+
+  it('Named queues keep their jobs in their own storage.', async () => {
+
+    const defaultQueue = await QueueFactory();
+    const userQueue = await QueueFactory({ name: 'user' });
+    const analyticsQueue = await QueueFactory({ name: 'analytics' });
+    const jobName = 'job-name';
+
+    userQueue.storage.realm.should.not.equal(defaultQueue.storage.realm);
+    userQueue.storage.realm.should.not.equal(analyticsQueue.storage.realm);
+
+    userQueue.flushQueue();
+    analyticsQueue.flushQueue();
+
+    defaultQueue.createJob(jobName, {}, {}, false);
+    userQueue.createJob(jobName, {}, {}, false);
+    userQueue.createJob(jobName, {}, {}, false);
+    analyticsQueue.createJob(jobName, {}, {}, false);
+
+    (await defaultQueue.getJobs(true)).length.should.equal(1);
+    (await userQueue.getJobs(true)).length.should.equal(2);
+    (await analyticsQueue.getJobs(true)).length.should.equal(1);
+
+    // Flushing one queue leaves other queues alone.
+    userQueue.flushQueue();
+
+    (await defaultQueue.getJobs(true)).length.should.equal(1);
+    (await userQueue.getJobs(true)).length.should.equal(0);
+    (await analyticsQueue.getJobs(true)).length.should.equal(1);
+
+    analyticsQueue.flushQueue();
+
+  });
+
+  it('Named queues have their own workers and run loop.', async () => {
+
+    const defaultQueue = await QueueFactory();
+    const userQueue = await QueueFactory({ name: 'user' });
+    const jobName = 'job-name';
+    const executedJobs = [];
+
+    userQueue.flushQueue();
+
+    defaultQueue.addWorker(jobName, async (id, payload) => {
+      executedJobs.push('default-' + payload.step);
+    });
+
+    userQueue.addWorker(jobName, async (id, payload) => {
+      executedJobs.push('user-' + payload.step);
+    });
+
+    defaultQueue.createJob(jobName, { step: 1 }, {}, false);
+    userQueue.createJob(jobName, { step: 1 }, {}, false);
+
+    // Starting one queue only processes its own jobs with its own workers.
+    await userQueue.start();
+    executedJobs.should.deepEqual(['user-1']);
+    (await defaultQueue.getJobs(true)).length.should.equal(1);
+
+    await defaultQueue.start();
+    executedJobs.should.deepEqual(['user-1', 'default-1']);
+
+    // Removing a worker from one queue leaves other queues alone.
+    userQueue.removeWorker(jobName);
+    should.not.exist(userQueue.worker.workers[jobName]);
+    defaultQueue.worker.workers[jobName].should.be.a.Function();
+
+    defaultQueue.removeWorker(jobName);
+
+  });
+
+  it('Queues with the same name share storage and workers.', async () => {
+
+    const queue = await QueueFactory({ name: 'user' });
+    const sameQueue = await QueueFactory({ name: 'user' });
+    const jobName = 'job-name';
+
+    queue.flushQueue();
+
+    queue.addWorker(jobName, async () => {});
+    sameQueue.worker.workers[jobName].should.be.a.Function();
+
+    const jobId = queue.createJob(jobName, {}, {}, false);
+    sameQueue.getJobResult(jobId).status.should.equal('pending');
+
+    queue.removeWorker(jobName);
+    queue.flushQueue();
+
+  });
+
+  //
+  // QUEUE EVENT TESTING
+  //
+
+  it('#on() validates event name and handler.', async () => {
+
+    const queue = await QueueFactory();
+
+    try {
+      queue.on('job:unknown', () => {});
+      throw new Error('queue.on() should throw error on invalid event name.');
+    } catch (error) {
+      error.should.deepEqual(new Error('Invalid queue event name.'));
+    }
+
+    try {
+      queue.on('job:start', null);
+      throw new Error('queue.on() should throw error if handler is not a function.');
+    } catch (error) {
+      error.should.deepEqual(new Error('Queue event handler function must be supplied.'));
+    }
+
+  });
+
+  it('#on() emits job and queue lifecycle events for jobs of all names.', async () => {
+
+    const queue = await QueueFactory();
+    const events = [];
+
+    ['job:created', 'job:start', 'job:success', 'job:failure', 'job:failed', 'queue:start', 'queue:idle', 'queue:stop'].forEach( event => {
+      queue.on(event, (data) => {
+        events.push({ event, ...data });
+      });
+    });
+
+    queue.addWorker('job-one', async (id, payload) => {
+      return payload.step;
+    });
+
+    queue.addWorker('job-two', async () => {
+      throw new Error('Fake job failure!');
+    });
+
+    const successJobId = queue.createJob('job-one', { step: 1 }, {}, false);
+    const failedJobId = queue.createJob('job-two', { step: 2 }, { attempts: 2 }, false);
+
+    // Ignored unique jobs are not created.
+    queue.createJob('job-one', { step: 3 }, { uniqueKey: 'unique' }, false);
+    queue.createJob('job-one', { step: 4 }, { uniqueKey: 'unique' }, false);
+
+    events.map( ({ event, jobName, payload }) => [event, jobName, payload]).should.deepEqual([
+      ['job:created', 'job-one', { step: 1 }],
+      ['job:created', 'job-two', { step: 2 }],
+      ['job:created', 'job-one', { step: 3 }]
+    ]);
+
+    events.length = 0;
+
+    await queue.start();
+
+    const emittedEvents = events.map( ({ event }) => event);
+    emittedEvents[0].should.equal('queue:start');
+    emittedEvents.slice(-2).should.deepEqual(['queue:idle', 'queue:stop']);
+
+    // Job events of different job names interleave, so only check job events per job.
+    events.filter( ({ jobId }) => jobId == failedJobId).map( ({ event }) => event).should.deepEqual([
+      'job:start', 'job:failure', 'job:start', 'job:failure', 'job:failed'
+    ]);
+    events.filter( ({ jobId }) => jobId == successJobId).map( ({ event }) => event).should.deepEqual([
+      'job:start', 'job:success'
+    ]);
+    events.filter( ({ event }) => event == 'job:success').length.should.equal(2);
+
+    events.find( ({ event, jobId }) => event == 'job:success' && jobId == successJobId).result.should.equal(1);
+
+    const failedEvent = events.find( ({ event }) => event == 'job:failed');
+    failedEvent.should.have.properties({ jobId: failedJobId, jobName: 'job-two', payload: { step: 2 } });
+    failedEvent.error.message.should.equal('Fake job failure!');
+
+  });
+
+  it('#on() returns a function that unsubscribes handler, and handler errors are logged.', async () => {
+
+    const queue = await QueueFactory();
+    const createdJobs = [];
+
+    const consoleError = console.error; // eslint-disable-line no-console
+    const loggedErrors = [];
+    console.error = (error) => { loggedErrors.push(error.message); }; // eslint-disable-line no-console
+
+    queue.on('job:created', () => {
+      throw new Error('Handler error!');
+    });
+
+    const unsubscribe = queue.on('job:created', ({ jobId }) => {
+      createdJobs.push(jobId);
+    });
+
+    const jobId = queue.createJob('job-name', {}, {}, false);
+    unsubscribe();
+    queue.createJob('job-name', {}, {}, false);
+
+    await new Promise((resolve) => {
+      setTimeout(resolve, 0);
+    });
+
+    console.error = consoleError; // eslint-disable-line no-console
+
+    createdJobs.should.deepEqual([jobId]);
+    loggedErrors.should.deepEqual(['Handler error!', 'Handler error!']);
+
+  });
+
+  //
+  // JOB QUERY TESTING
+  //
+
+  it('#getJobs(filter) returns plain jobs filtered, sorted and paginated.', async () => {
+
+    const queue = await QueueFactory();
+
+    queue.addWorker('job-name', async (id, payload) => payload.step);
+    queue.addWorker('another-job-name', async () => {
+      throw new Error('Fake job failure!');
+    });
+
+    const firstJobId = queue.createJob('job-name', { step: 1 }, { priority: 1 }, false);
+    await new Promise((resolve) => { setTimeout(resolve, 5); });
+    const secondJobId = queue.createJob('job-name', { step: 2 }, { priority: 3 }, false);
+    await new Promise((resolve) => { setTimeout(resolve, 5); });
+    const thirdJobId = queue.createJob('job-name', { step: 3 }, { priority: 5 }, false);
+    const failedJobId = queue.createJob('another-job-name', { step: 4 }, { priority: 5 }, false);
+
+    // Plain deserialized jobs, oldest first.
+    const jobs = await queue.getJobs({ name: 'job-name' });
+    jobs.map( job => job.id).should.deepEqual([firstJobId, secondJobId, thirdJobId]);
+    jobs[0].should.have.properties({ name: 'job-name', payload: { step: 1 }, status: 'pending', errors: [], dependsOn: [] });
+
+    (await queue.getJobs({ name: 'job-name', priorityMin: 2, sort: '-priority' })).map( job => job.id).should.deepEqual([thirdJobId, secondJobId]);
+    (await queue.getJobs({ name: 'job-name', limit: 1, offset: 1 })).map( job => job.id).should.deepEqual([secondJobId]);
+    (await queue.getJobs({ createdBefore: (await queue.getJob(secondJobId)).created })).map( job => job.id).should.deepEqual([firstJobId]);
+
+    await queue.start();
+
+    const failedJobs = await queue.getJobs({ status: 'failed' });
+    failedJobs.map( job => job.id).should.deepEqual([failedJobId]);
+    failedJobs[0].errors.should.deepEqual(['Fake job failure!']);
+
+    // Legacy signature still resolves to storage objects.
+    (await queue.getJobs(true)).length.should.equal(1);
+
+    try {
+      await queue.getJobs({ status: 'unknown' });
+      throw new Error('getJobs() should throw if filter is invalid.');
+    } catch (error) {
+      error.should.deepEqual(new Error('Invalid job filter.'));
+    }
+
+  });
+
+  it('#getJob() and #countJobs() return plain job and job counts.', async () => {
+
+    const queue = await QueueFactory();
+
+    const jobId = queue.createJob('job-name', { step: 1 }, { dependsOn: ['missing-job'] }, false);
+    queue.createJob('job-name', { step: 2 }, {}, false);
+    queue.createJob('another-job-name', {}, {}, false);
+    queue.pauseJob(jobId);
+
+    const job = await queue.getJob(jobId);
+    job.should.have.properties({ id: jobId, payload: { step: 1 }, status: 'paused', dependsOn: ['missing-job'] });
+
+    should.not.exist(await queue.getJob('no-job-has-this-id'));
+
+    (await queue.countJobs()).should.equal(3);
+    (await queue.countJobs({ name: 'job-name' })).should.equal(2);
+    (await queue.countJobs({ status: ['pending', 'paused'], limit: 1 })).should.equal(3);
+    (await queue.countJobs({ name: 'job-name', status: 'pending' })).should.equal(1);
+
+  });
+
+  //
+  // FAILED JOB RETRY TESTING
+  //
+
+  it('#retryJob() resets a failed job to pending and keeps its error history.', async () => {
+
+    const queue = await QueueFactory();
+    const jobName = 'job-name';
+    let failing = true;
+
+    queue.addWorker(jobName, async () => {
+      if (failing) {
+        throw new Error('Fake job failure!');
+      }
+      return 'done';
+    }, { keepCompleted: true });
+
+    const jobId = queue.createJob(jobName, {}, { attempts: 2 }, false);
+    await queue.start();
+
+    queue.getJobResult(jobId).status.should.equal('failed');
+
+    // Only failed jobs can be retried.
+    const pendingJobId = queue.createJob(jobName, {}, {}, false);
+    queue.retryJob(pendingJobId, {}, false).should.be.False();
+    queue.retryJob('no-job-has-this-id', {}, false).should.be.False();
+    queue.storage.write(() => {
+      queue.storage.delete(queue.storage.objectForPrimaryKey('Job', pendingJobId));
+    });
+
+    queue.retryJob(jobId, {}, false).should.be.True();
+
+    const retriedJob = await queue.getJob(jobId);
+    retriedJob.should.have.properties({
+      status: 'pending',
+      failed: null,
+      attempts: 2,
+      failedAttempts: 0,
+      errors: ['Fake job failure!', 'Fake job failure!']
+    });
+
+    failing = false;
+    const result = queue.waitForJob(jobId);
+    await queue.start();
+    (await result).should.equal('done');
+
+    try {
+      queue.retryJob(jobId, { attempts: 0 }, false);
+      throw new Error('retryJob() should throw if attempts option is invalid.');
+    } catch (error) {
+      error.should.deepEqual(new Error('Invalid job option.'));
+    }
+
+  });
+
+  it('#retryJob(jobId, { attempts }) sets attempts of retried job.', async () => {
+
+    const queue = await QueueFactory();
+    const jobName = 'job-name';
+    let executions = 0;
+
+    queue.addWorker(jobName, async () => {
+      executions++;
+      throw new Error('Fake job failure!');
+    });
+
+    const jobId = queue.createJob(jobName, {}, {}, false);
+    await queue.start();
+    executions.should.equal(1);
+
+    queue.retryJob(jobId, { attempts: 3 }, false).should.be.True();
+    await queue.start();
+    executions.should.equal(4);
+
+    const job = await queue.getJob(jobId);
+    job.status.should.equal('failed');
+    job.errors.length.should.equal(4);
+
+  });
+
+  it('#retryAllFailed() retries failed jobs of all names or of one name.', async () => {
+
+    const queue = await QueueFactory();
+
+    queue.addWorker('job-name', async () => {
+      throw new Error('Fake job failure!');
+    });
+    queue.addWorker('another-job-name', async () => {
+      throw new Error('Fake job failure!');
+    });
+
+    const firstJobId = queue.createJob('job-name', {}, {}, false);
+    const dependentJobId = queue.createJob('job-name', {}, { dependsOn: [firstJobId] }, false);
+    queue.createJob('another-job-name', {}, {}, false);
+    await queue.start();
+
+    (await queue.countJobs({ status: 'failed' })).should.equal(3);
+
+    queue.retryAllFailed('another-job-name', {}, false).should.equal(1);
+    (await queue.countJobs({ status: 'failed' })).should.equal(2);
+    (await queue.countJobs({ name: 'another-job-name', status: 'pending' })).should.equal(1);
+
+    queue.retryAllFailed(null, {}, false).should.equal(2);
+    (await queue.countJobs({ status: 'pending' })).should.equal(3);
+
+    // Dependent job waits for its retried dependency again.
+    (await queue.getJob(dependentJobId)).status.should.equal('pending');
+    queue.retryAllFailed(null, {}, false).should.equal(0);
+
+  });
+
+  it('#retryJob() and #retryAllFailed() do not retry jobs whose dependency is still failed.', async () => {
+
+    const queue = await QueueFactory();
+    const jobName = 'retry-failed-dependency-job';
+
+    queue.addWorker(jobName, async () => {
+      throw new Error('Fake job failure!');
+    });
+    queue.addWorker('another-' + jobName, async () => {
+      throw new Error('Fake job failure!');
+    });
+
+    const parentJobId = queue.createJob('another-' + jobName, {}, {}, false);
+    const dependentJobId = queue.createJob(jobName, {}, { dependsOn: [parentJobId] }, false);
+    const runDependentJobId = queue.createJob(jobName, {}, { dependsOn: [parentJobId], onDependencyFailed: 'run' }, false);
+    await queue.start();
+
+    (await queue.countJobs({ status: 'failed' })).should.equal(3);
+
+    // Dependent would run without its dependency having completed.
+    queue.retryJob(dependentJobId, {}, false).should.be.False();
+    (await queue.getJob(dependentJobId)).status.should.equal('failed');
+
+    // Dependent with the "run" policy doesn't need its dependency to complete.
+    queue.retryJob(runDependentJobId, {}, false).should.be.True();
+
+    // Dependency isn't retried along with dependent, so dependent is skipped.
+    queue.retryAllFailed(jobName, {}, false).should.equal(0);
+    (await queue.getJob(dependentJobId)).status.should.equal('failed');
+
+    // Once dependency is retried, dependent can be retried too.
+    queue.retryJob(parentJobId, {}, false).should.be.True();
+    queue.retryJob(dependentJobId, {}, false).should.be.True();
+    (await queue.getJob(dependentJobId)).status.should.equal('pending');
+
+  });
+
+  it('#retryJob() and #retryAllFailed() do not retry dead-lettered jobs whose dependency is still dead-lettered.', async () => {
+
+    const queue = await QueueFactory({ deadLetter: true });
+    const jobName = 'retry-dead-letter-dependency-job';
+
+    queue.addWorker(jobName, async () => {
+      throw new Error('Fake job failure!');
+    });
+    queue.addWorker('another-' + jobName, async () => {
+      throw new Error('Fake job failure!');
+    });
+
+    const parentJobId = queue.createJob('another-' + jobName, {}, {}, false);
+    const dependentJobId = queue.createJob(jobName, {}, { dependsOn: [parentJobId] }, false);
+    await queue.start();
+
+    should.exist(queue.storage.objectForPrimaryKey('DeadLetterJob', dependentJobId));
+
+    queue.retryJob(dependentJobId, {}, false).should.be.False();
+    queue.retryAllFailed(jobName, {}, false).should.equal(0);
+    should.exist(queue.storage.objectForPrimaryKey('DeadLetterJob', dependentJobId));
+
+    // Retrying both in one pass is fine.
+    queue.retryAllFailed(null, {}, false).should.equal(2);
+    (await queue.getJob(dependentJobId)).status.should.equal('pending');
+
+  });
+
+  it('#retryJob() does not schedule an extra occurrence of recurring jobs.', async () => {
+
+    const queue = await QueueFactory();
+    const jobName = 'job-name';
+    const key = 'retried-recurring-job';
+
+    queue.addWorker(jobName, async () => {
+      throw new Error('Fake job failure!');
+    });
+
+    queue.createRecurringJob(jobName, {}, { every: 60000, key }, false);
+    const firstJobId = queue.storage.objectForPrimaryKey('RecurringJob', key).nextJobId;
+
+    // Queue would sleep until next occurrence is due, so process first occurrence directly.
+    await queue.processJob((await queue.getConcurrentJobs())[0]);
+
+    const nextJobId = queue.storage.objectForPrimaryKey('RecurringJob', key).nextJobId;
+    nextJobId.should.not.equal(firstJobId);
+
+    queue.retryJob(firstJobId, {}, false).should.be.True();
+    const jobs = await queue.getConcurrentJobs();
+    jobs.map( job => job.id).should.deepEqual([firstJobId]);
+    await queue.processJob(jobs[0]);
+
+    queue.storage.objectForPrimaryKey('RecurringJob', key).nextJobId.should.equal(nextJobId);
+    (await queue.countJobs()).should.equal(2);
+
+    queue.removeRecurringJob(key);
+
+  });
+
+  //
+  // DEAD-LETTER QUEUE TESTING
+  //
+
+  it('#constructor() validates deadLetter option.', async () => {
+
+    [false, {}, { maxAge: -1 }, { maxCount: '5' }].forEach( deadLetter => {
+      try {
+        new Queue({ deadLetter });
+        throw new Error('Queue should throw if deadLetter option is invalid.');
+      } catch (error) {
+        error.should.deepEqual(new Error('Invalid queue option.'));
+      }
+    });
+
+    new Queue().should.have.properties({ deadLetter: null });
+    new Queue({ deadLetter: { maxCount: 10 } }).deadLetter.should.deepEqual({ maxCount: 10 });
+
+  });
+
+  it('Jobs that fail all attempts are moved to the dead-letter store.', async () => {
+
+    const queue = await QueueFactory({ deadLetter: true });
+    const jobName = 'job-name';
+    const deadLetteredJobs = [];
+
+    queue.addWorker(jobName, async () => {
+      throw new Error('Fake job failure!');
+    }, {
+      onDeadLetter: async (id, payload) => {
+        deadLetteredJobs.push({ id, payload });
+      }
+    });
+
+    const jobId = queue.createJob(jobName, { step: 1 }, { attempts: 2 }, false);
+    const dependentJobId = queue.createJob('another-job-name', {}, { dependsOn: [jobId] }, false);
+    const result = queue.waitForJob(jobId);
+
+    await queue.start();
+
+    try {
+      await result;
+      throw new Error('waitForJob() should reject when job fails.');
+    } catch (error) {
+      error.message.should.equal('Fake job failure!');
+    }
+
+    // Failed job and its failed dependent are out of the Job table.
+    (await queue.countJobs()).should.equal(0);
+
+    const deadLetterJobs = await queue.getDeadLetterJobs();
+    deadLetterJobs.map( job => job.id).sort().should.deepEqual([jobId, dependentJobId].sort());
+
+    const deadLetterJob = deadLetterJobs.find( job => job.id == jobId);
+    deadLetterJob.should.have.properties({ name: jobName, payload: { step: 1 }, status: 'failed', failedAttempts: 2 });
+    deadLetterJob.errors.should.deepEqual(['Fake job failure!', 'Fake job failure!']);
+    deadLetterJob.deadLettered.should.be.a.Date();
+
+    (await queue.getDeadLetterJobs({ name: jobName, sort: '-deadLettered' })).length.should.equal(1);
+
+    // Dead-lettered jobs can still be looked up and waited on.
+    queue.getJobResult(jobId).should.have.properties({ status: 'failed', error: 'Fake job failure!' });
+    try {
+      await queue.waitForJob(jobId);
+      throw new Error('waitForJob() should reject for dead-lettered job.');
+    } catch (error) {
+      error.message.should.equal('Fake job failure!');
+    }
+
+    // New jobs that depend on a dead-lettered job fail right away.
+    const lateDependentJobId = queue.createJob('another-job-name', {}, { dependsOn: [jobId] }, false);
+    queue.getJobResult(lateDependentJobId).status.should.equal('failed');
+
+    // onDeadLetter callback is called once write transaction is done, only for jobs with a worker.
+    await new Promise((resolve) => { setTimeout(resolve, 0); });
+    deadLetteredJobs.should.deepEqual([{ id: jobId, payload: { step: 1 } }]);
+
+    JSON.parse(await queue.exportDeadLetterJobs({ name: jobName })).map( job => job.id).should.deepEqual([jobId]);
+
+    queue.purgeDeadLetterJobs('another-job-name').should.equal(2);
+    queue.purgeDeadLetterJobs().should.equal(1);
+    (await queue.getDeadLetterJobs()).length.should.equal(0);
+
+  });
+
+  it('Dead-lettered jobs are requeued with retryJob() and retryAllFailed().', async () => {
+
+    const queue = await QueueFactory({ deadLetter: true });
+    const jobName = 'job-name';
+    let failing = true;
+
+    queue.addWorker(jobName, async () => {
+      if (failing) {
+        throw new Error('Fake job failure!');
+      }
+    });
+
+    const jobId = queue.createJob(jobName, {}, {}, false);
+    const secondJobId = queue.createJob(jobName, {}, {}, false);
+    await queue.start();
+
+    (await queue.getDeadLetterJobs()).length.should.equal(2);
+
+    queue.retryJob(jobId, { attempts: 2 }, false).should.be.True();
+
+    const retriedJob = await queue.getJob(jobId);
+    retriedJob.should.have.properties({ status: 'pending', attempts: 2, failedAttempts: 0, errors: ['Fake job failure!'] });
+    (await queue.getDeadLetterJobs()).map( job => job.id).should.deepEqual([secondJobId]);
+
+    queue.retryAllFailed(jobName, {}, false).should.equal(1);
+    (await queue.getDeadLetterJobs()).length.should.equal(0);
+
+    failing = false;
+    await queue.start();
+    (await queue.countJobs()).should.equal(0);
+
+  });
+
+  it('Dead-lettered jobs are pruned past deadLetter maxAge and maxCount.', async () => {
+
+    const queue = await QueueFactory({ deadLetter: { maxCount: 2, maxAge: 60000 } });
+    const jobName = 'job-name';
+
+    queue.addWorker(jobName, async () => {
+      throw new Error('Fake job failure!');
+    });
+
+    queue.createJob(jobName, { step: 1 }, {}, false);
+    await queue.start();
+
+    // Age first dead-lettered job past maxAge.
+    queue.storage.write(() => {
+      queue.storage.find('DeadLetterJob')[0].deadLettered = new Date(Date.now() - 120000);
+    });
+
+    queue.createJob(jobName, { step: 2 }, {}, false);
+    await queue.start();
+
+    (await queue.getDeadLetterJobs()).map( job => job.payload.step).should.deepEqual([2]);
+
+    // Space jobs out so each is dead-lettered after the previous one.
+    for (let step = 3; step <= 5; step++) {
+      await new Promise((resolve) => { setTimeout(resolve, 5); });
+      queue.createJob(jobName, { step }, {}, false);
+      await queue.start();
+    }
+
+    (await queue.getDeadLetterJobs()).map( job => job.payload.step).should.deepEqual([4, 5]);
+
+    // Jobs expiring while no other job fails are pruned before dead-lettered jobs are read.
+    const ageDeadLetterJob = (step) => {
+      queue.storage.write(() => {
+        queue.storage.find('DeadLetterJob').find( job => JSON.parse(job.payload).step == step).deadLettered = new Date(Date.now() - 120000);
+      });
+    };
+
+    ageDeadLetterJob(4);
+    JSON.parse(await queue.exportDeadLetterJobs()).map( job => job.payload.step).should.deepEqual([5]);
+
+    // And when queue is initialized.
+    ageDeadLetterJob(5);
+    await QueueFactory({ deadLetter: { maxCount: 2, maxAge: 60000 } });
+    queue.storage.find('DeadLetterJob').length.should.equal(0);
+
+    queue.purgeDeadLetterJobs();
+
+  });
+
+  //
+  // NETWORK AWARE JOB TESTING
+  //
+
+  it('#constructor() validates connectivity option and #createJob() validates requiresNetwork option.', async () => {
+
+    [false, {}, { getState: () => ({ connected: true }) }].forEach( connectivity => {
+      try {
+        new Queue({ connectivity });
+        throw new Error('Queue should throw if connectivity option is invalid.');
+      } catch (error) {
+        error.should.deepEqual(new Error('Invalid queue option.'));
+      }
+    });
+
+    const queue = await QueueFactory({ connectivity: new ManualConnectivity() });
+
+    ['wifi', null, true].forEach( requiresNetwork => {
+      try {
+        queue.createJob('job-name', {}, { requiresNetwork }, false);
+        throw new Error('createJob() should validate job requiresNetwork option.');
+      } catch (error) {
+        error.should.deepEqual(new Error('Invalid job option.'));
+      }
+    });
+
+  });
+
+  it('#getConcurrentJobs() skips jobs that require network while offline, queue restarts when connectivity returns.', async () => {
+
+    const connectivity = new ManualConnectivity({ connected: false });
+    const queue = await QueueFactory({ connectivity });
+    const jobName = 'network-job-name';
+    const processedSteps = [];
+
+    queue.addWorker(jobName, async (id, payload) => {
+      processedSteps.push(payload.step);
+    });
+
+    const jobId = queue.createJob(jobName, { step: 1 }, { requiresNetwork: 'any' }, false);
+    queue.createJob(jobName, { step: 2 }, {}, false);
+
+    // Job that requires network is left pending, queue stops once nothing else can run.
+    await queue.start();
+    processedSteps.should.deepEqual([2]);
+    queue.status.should.equal('inactive');
+    (await queue.getJob(jobId)).should.have.properties({ status: 'pending', requiresNetwork: 'any' });
+
+    const stopped = new Promise( resolve => {
+      const unsubscribe = queue.on('queue:stop', () => {
+        unsubscribe();
+        resolve();
+      });
+    });
+
+    connectivity.listeners.length.should.equal(1);
+    connectivity.setState({ connected: true });
+    queue.status.should.equal('active');
+
+    // Connectivity is no longer listened to once the queue has restarted.
+    connectivity.listeners.length.should.equal(0);
+
+    await stopped;
+    processedSteps.should.deepEqual([2, 1]);
+
+  });
+
+  it('#start() waits for the connectivity provider to load its initial state before selecting network jobs.', async () => {
+
+    const connectivity = new ManualConnectivity({ connected: false });
+    const queue = await QueueFactory({ connectivity });
+    const jobName = 'network-job-name';
+    const processedSteps = [];
+    let readyCalls = 0;
+
+    // Like NetInfoConnectivity, device is offline until the provider has loaded the connectivity state.
+    connectivity.ready = () => {
+      readyCalls++;
+      return new Promise( resolve => setTimeout(resolve, 10)).then(() => connectivity.setState({ connected: true }));
+    };
+
+    queue.addWorker(jobName, async (id, payload) => {
+      processedSteps.push(payload.step);
+    });
+
+    // Providers no job has conditions on aren't waited for.
+    queue.createJob(jobName, { step: 1 }, { timeout: 500 }, false);
+    await queue.start(2000);
+    readyCalls.should.equal(0);
+
+    queue.createJob(jobName, { step: 2 }, { timeout: 500, requiresNetwork: 'any' }, false);
+    await queue.start(2000);
+    readyCalls.should.equal(1);
+    processedSteps.should.deepEqual([1, 2]);
+
+  });
+
+  it('#getConcurrentJobs() only runs jobs that require unmetered network on unmetered connections, job requiresNetwork overrides worker.', async () => {
+
+    const connectivity = new ManualConnectivity({ connected: true, unmetered: false });
+    const queue = await QueueFactory({ connectivity, maxConcurrency: 2 });
+    const jobName = 'unmetered-network-job-name';
+    const processedSteps = [];
+
+    queue.addWorker(jobName, async (id, payload) => {
+      processedSteps.push(payload.step);
+    }, { requiresNetwork: 'unmetered' });
+
+    queue.createJob(jobName, { step: 1 }, {}, false);
+    queue.createJob(jobName, { step: 2 }, { requiresNetwork: 'any' }, false);
+
+    await queue.start();
+    processedSteps.should.deepEqual([2]);
+
+    const stopped = new Promise( resolve => {
+      const unsubscribe = queue.on('queue:stop', () => {
+        unsubscribe();
+        resolve();
+      });
+    });
+
+    connectivity.setState({ unmetered: true });
+
+    await stopped;
+    processedSteps.should.deepEqual([2, 1]);
+
+  });
+
+  it('#getConcurrentJobs() listens to providers of skipped jobs outside the storage write transaction.', async () => {
+
+    const storage = new MemoryAdapter();
+    const connectivity = new ManualConnectivity({ connected: false });
+    const queue = await QueueFactory({ storage, connectivity });
+    const jobName = 'network-job-name';
+    const listenedInWrite = [];
+
+    const addListener = connectivity.addListener.bind(connectivity);
+    connectivity.addListener = listener => {
+      listenedInWrite.push(storage.inWriteTransaction);
+      return addListener(listener);
+    };
+
+    queue.addWorker(jobName, async () => {});
+    queue.createJob(jobName, {}, { requiresNetwork: 'any' }, false);
+
+    (await queue.getConcurrentJobs()).length.should.equal(0);
+    listenedInWrite.should.deepEqual([false]);
+
+    queue.stop();
+
+  });
+
+  it('#stop() cancels the restart of a queue waiting on network.', async () => {
+
+    const connectivity = new ManualConnectivity({ connected: false });
+    const queue = await QueueFactory({ connectivity });
+    const jobName = 'network-job-name';
+
+    queue.addWorker(jobName, async () => {});
+
+    queue.createJob(jobName, {}, { requiresNetwork: 'any' }, false);
+
+    await queue.start();
+    connectivity.listeners.length.should.equal(1);
+    queue.stop();
+    connectivity.listeners.length.should.equal(0);
+
+    connectivity.setState({ connected: true });
+    queue.status.should.equal('inactive');
+    (await queue.countJobs({ name: jobName })).should.equal(1);
+
+    // Jobs skipped while running with a lifespan don't restart the queue either.
+    connectivity.setState({ connected: false });
+    queue.createJob(jobName, {}, { requiresNetwork: 'any', timeout: 100 }, false);
+    await queue.start(2000);
+
+    connectivity.setState({ connected: true });
+    queue.status.should.equal('inactive');
+
+    queue.flushQueue(jobName);
+
+  });
+
+  //
+  // DEVICE CONSTRAINT TESTING
+  //
+
+  it('#constructor() validates deviceState option and #createJob() validates device constraint options.', async () => {
+
+    [false, {}, { addListener: () => () => {} }].forEach( deviceState => {
+      try {
+        new Queue({ deviceState });
+        throw new Error('Queue should throw if deviceState option is invalid.');
+      } catch (error) {
+        error.should.deepEqual(new Error('Invalid queue option.'));
+      }
+    });
+
+    const queue = await QueueFactory({ deviceState: new ManualDeviceState() });
+
+    [{ requiresCharging: null }, { minBatteryLevel: 2 }, { requiresDeviceIdle: 'true' }, { minFreeStorage: '1GB' }].forEach( options => {
+      try {
+        queue.createJob('job-name', {}, options, false);
+        throw new Error('createJob() should validate job device constraint options.');
+      } catch (error) {
+        error.should.deepEqual(new Error('Invalid job option.'));
+      }
+    });
+
+  });
+
+  it('#getConcurrentJobs() skips jobs whose device constraints are not met, queue restarts when device state changes.', async () => {
+
+    const deviceState = new ManualDeviceState({ charging: false, batteryLevel: 0.3, idle: false, freeStorage: 1000 });
+    const queue = await QueueFactory({ deviceState, maxConcurrency: 5 });
+    const jobName = 'device-job-name';
+    const processedSteps = [];
+
+    queue.addWorker(jobName, async (id, payload) => {
+      processedSteps.push(payload.step);
+    }, { requiresCharging: true });
+
+    const jobId = queue.createJob(jobName, { step: 1 }, {}, false);
+    queue.createJob(jobName, { step: 2 }, { requiresCharging: false, minBatteryLevel: 0.2 }, false);
+    queue.createJob(jobName, { step: 3 }, { requiresCharging: false, minBatteryLevel: 0.5 }, false);
+    queue.createJob(jobName, { step: 4 }, { requiresCharging: false, minFreeStorage: 2000 }, false);
+    queue.createJob(jobName, { step: 5 }, { requiresCharging: false, requiresDeviceIdle: true }, false);
+
+    // Job constraints take precedence over worker constraints, skipped jobs stay pending.
+    await queue.start();
+    processedSteps.should.deepEqual([2]);
+    (await queue.getJob(jobId)).should.have.properties({ status: 'pending', requiresCharging: null });
+
+    const stopped = new Promise( resolve => {
+      const unsubscribe = queue.on('queue:stop', () => {
+        unsubscribe();
+        resolve();
+      });
+    });
+
+    // Charging meets minBatteryLevel whatever the battery level.
+    deviceState.setState({ charging: true });
+
+    await stopped;
+    processedSteps.should.deepEqual([2, 1, 3]);
+
+    const stoppedAgain = new Promise( resolve => {
+      const unsubscribe = queue.on('queue:stop', () => {
+        unsubscribe();
+        resolve();
+      });
+    });
+
+    deviceState.setState({ idle: true, freeStorage: 5000 });
+
+    await stoppedAgain;
+    processedSteps.should.deepEqual([2, 1, 3, 4, 5]);
+
+  });
+
+  it('#start() waits for the device state provider to load its initial state before selecting jobs with device constraints.', async () => {
+
+    const deviceState = new ManualDeviceState({ charging: false, batteryLevel: null, freeStorage: null });
+    const queue = await QueueFactory({ deviceState });
+    const jobName = 'device-job-name';
+    const processedSteps = [];
+
+    // Like DeviceInfoDeviceState, battery level is unknown until the provider has loaded the device state.
+    deviceState.ready = () => {
+      return new Promise( resolve => setTimeout(resolve, 10)).then(() => deviceState.setState({ batteryLevel: 0.8 }));
+    };
+
+    queue.addWorker(jobName, async (id, payload) => {
+      processedSteps.push(payload.step);
+    }, { minBatteryLevel: 0.5 });
+
+    queue.createJob(jobName, { step: 1 }, { timeout: 500 }, false);
+    await queue.start(2000);
+    processedSteps.should.deepEqual([1]);
+
+  });
+
+  it('#getConcurrentJobs() treats unknown battery level and free storage as not meeting device constraints.', async () => {
+
+    const deviceState = new ManualDeviceState({ charging: false, batteryLevel: null, freeStorage: null });
+    const queue = await QueueFactory({ deviceState });
+    const jobName = 'device-job-name';
+
+    queue.addWorker(jobName, async () => {});
+
+    queue.createJob(jobName, {}, { minBatteryLevel: 0 }, false);
+    queue.createJob(jobName, {}, { minFreeStorage: 0 }, false);
+
+    await queue.start();
+    (await queue.countJobs({ name: jobName })).should.equal(2);
+
+    queue.stop();
+    queue.flushQueue(jobName);
+
+  });
+
+  //
+  // RATE LIMIT TESTING
+  //
+
+  it('#start() starts no more jobs than the worker rateLimit allows per window, and jobs over the limit wait.', async () => {
+
+    const queue = await QueueFactory();
+    const jobName = 'rate-limited-job-name';
+    const startTimes = [];
+
+    queue.addWorker(jobName, async () => {
+      startTimes.push(Date.now());
+    }, { concurrency: 5, rateLimit: { max: 2, duration: 300 } });
+
+    for (let step = 1; step <= 5; step++) {
+      queue.createJob(jobName, { step }, {}, false);
+    }
+
+    await queue.start();
+
+    startTimes.length.should.equal(5);
+    (startTimes[2] - startTimes[0]).should.be.aboveOrEqual(250);
+    (startTimes[4] - startTimes[2]).should.be.aboveOrEqual(250);
+    (await queue.countJobs({ name: jobName })).should.equal(0);
+
+  });
+
+  it('#start() processes other job names while a job name is rate limited.', async () => {
+
+    const queue = await QueueFactory();
+    const processedSteps = [];
+
+    queue.addWorker('rate-limited-job-name', async (id, payload) => {
+      processedSteps.push(payload.step);
+    }, { rateLimit: { max: 1, duration: 300 } });
+
+    queue.addWorker('job-name', async (id, payload) => {
+      processedSteps.push(payload.step);
+    });
+
+    queue.createJob('rate-limited-job-name', { step: 1 }, {}, false);
+    queue.createJob('rate-limited-job-name', { step: 2 }, {}, false);
+    queue.createJob('job-name', { step: 3 }, {}, false);
+
+    await queue.start();
+
+    processedSteps.should.deepEqual([1, 3, 2]);
+
+  });
+
+  it('#start() keeps rate limits across queue stop and start.', async () => {
+
+    const queue = await QueueFactory();
+    const jobName = 'rate-limited-job-name';
+    const startTimes = [];
+
+    queue.addWorker(jobName, async () => {
+      startTimes.push(Date.now());
+    }, { rateLimit: { max: 1, duration: 500 } });
+
+    queue.createJob(jobName, {}, {}, false);
+    await queue.start();
+    queue.stop();
+
+    queue.createJob(jobName, {}, {}, false);
+    await queue.start();
+
+    startTimes.length.should.equal(2);
+    (startTimes[1] - startTimes[0]).should.be.aboveOrEqual(450);
+
+  });
+
+  //
+  // BATCH WORKER TESTING
+  //
+
+  it('#start() processes jobs of batch workers in batches, and retries failed jobs of a batch on their own.', async () => {
+
+    const queue = await QueueFactory();
+    const jobName = 'batch-job-name';
+    const batches = [];
+    const failures = [];
+    let failStepTwo = true;
+
+    queue.addWorker(jobName, async (batch) => {
+
+      batches.push(batch.map( ({ payload }) => payload.step));
+
+      return batch.map( ({ payload }) => {
+
+        if (payload.step == 2 && failStepTwo) {
+          failStepTwo = false;
+          return new Error('Step 2 failed!');
+        }
+
+        return payload.step * 10;
+
+      });
+
+    }, { batchSize: 3 });
+
+    queue.on('job:failure', ({ payload, error }) => failures.push([payload.step, error.message]));
+
+    for (let step = 1; step <= 5; step++) {
+      queue.createJob(jobName, { step }, { attempts: 2 }, false);
+    }
+
+    await queue.start();
+
+    // Failed job goes back in line by its creation time.
+    batches.should.deepEqual([[1, 2, 3], [2, 4, 5]]);
+    (await queue.countJobs({ name: jobName })).should.equal(0);
+
+    await new Promise((resolve) => { setTimeout(resolve, 0); });
+    failures.should.deepEqual([[2, 'Step 2 failed!']]);
+
+  });
+
+  it('#start() fails every job of a batch if batch worker throws.', async () => {
+
+    const queue = await QueueFactory();
+    const jobName = 'batch-job-name';
+
+    queue.addWorker(jobName, async () => {
+      throw new Error('Bulk request failed!');
+    }, { batchSize: 5 });
+
+    queue.createJob(jobName, { step: 1 }, {}, false);
+    queue.createJob(jobName, { step: 2 }, {}, false);
+
+    await queue.start();
+
+    const jobs = await queue.getJobs({ name: jobName });
+    jobs.map( job => job.status).should.deepEqual(['failed', 'failed']);
+    jobs.map( job => job.errors).should.deepEqual([['Bulk request failed!'], ['Bulk request failed!']]);
+
+    queue.flushQueue(jobName);
+
+  });
+
+  it('#getConcurrentJobs() counts a batch as one slot of maxConcurrency and worker concurrency.', async () => {
+
+    const queue = await QueueFactory({ maxConcurrency: 2 });
+    const jobName = 'batch-job-name';
+
+    queue.addWorker(jobName, async () => {}, { batchSize: 3, concurrency: 2 });
+    queue.addWorker('job-name', async () => {});
+
+    for (let step = 1; step <= 7; step++) {
+      queue.createJob(jobName, { step }, {}, false);
+    }
+    queue.createJob('job-name', {}, {}, false);
+
+    const concurrentJobs = await queue.getConcurrentJobs();
+
+    concurrentJobs.map( job => JSON.parse(job.payload).step).should.deepEqual([1, 2, 3, 4, 5, 6]);
+    queue.groupJobBatches(concurrentJobs).map( batch => batch.length).should.deepEqual([3, 3]);
+
+    queue.flushQueue();
+
+  });
+
+  it('#start() waits up to batchWindow for partial batches to fill.', async () => {
+
+    const queue = await QueueFactory();
+    const jobName = 'batch-job-name';
+    const batches = [];
+
+    queue.addWorker(jobName, async (batch) => {
+      batches.push({ steps: batch.map( ({ payload }) => payload.step), time: Date.now() });
+    }, { batchSize: 3, batchWindow: 300 });
+
+    const created = Date.now();
+    queue.createJob(jobName, { step: 1 }, {}, false);
+    queue.createJob(jobName, { step: 2 }, {}, false);
+
+    // Partial batch is processed once batch window has passed.
+    await queue.start();
+
+    batches.length.should.equal(1);
+    batches[0].steps.should.deepEqual([1, 2]);
+    (batches[0].time - created).should.be.aboveOrEqual(250);
+
+    // Batch is processed as soon as it is full.
+    queue.createJob(jobName, { step: 3 }, {}, false);
+    const processing = queue.start();
+    await new Promise((resolve) => { setTimeout(resolve, 50); });
+    const fillTime = Date.now();
+    queue.createJob(jobName, { step: 4 }, {}, false);
+    queue.createJob(jobName, { step: 5 }, {});
+    await processing;
+
+    batches.length.should.equal(2);
+    batches[1].steps.should.deepEqual([3, 4, 5]);
+    (batches[1].time - fillTime).should.be.below(200);
+
+  });
+
+  //
+  // JOB PROGRESS TESTING
+  //
+
+  it('#processJob() stores progress reported by worker, fires onProgress callback and emits job:progress.', async () => {
+
+    const queue = await QueueFactory();
+    const jobName = 'progress-job-name';
+    const callbackProgress = [];
+    const storedProgress = [];
+
+    queue.addWorker(jobName, async (id, payload, { reportProgress }) => {
+
+      // Each attempt starts without progress.
+      const job = queue.storage.objectForPrimaryKey('Job', id);
+      storedProgress.push([job.progress, job.progressMeta]);
+
+      reportProgress(50, { chunk: 1 });
+      storedProgress.push([job.progress, job.progressMeta]);
+
+      if (job.failedAttempts == 0) {
+        throw new Error('Upload interrupted!');
+      }
+
+      reportProgress(100);
+      storedProgress.push([job.progress, job.progressMeta]);
+
+    }, {
+      onProgress: (id, payload, percent, meta) => {
+        callbackProgress.push({ id, payload, percent, meta });
+      }
+    });
+
+    const eventProgress = [];
+    queue.on('job:progress', (event) => eventProgress.push(event));
+
+    const jobId = queue.createJob(jobName, { file: 'video.mp4' }, { attempts: 2 }, false);
+
+    await queue.start();
+
+    storedProgress.should.deepEqual([
+      [null, null],
+      [50, JSON.stringify({ chunk: 1 })],
+      [null, null],
+      [50, JSON.stringify({ chunk: 1 })],
+      [100, null]
+    ]);
+
+    callbackProgress.map( ({ percent }) => percent).should.deepEqual([50, 50, 100]);
+    callbackProgress[0].should.deepEqual({ id: jobId, payload: { file: 'video.mp4' }, percent: 50, meta: { chunk: 1 } });
+
+    eventProgress.should.deepEqual([
+      { jobId, jobName, payload: { file: 'video.mp4' }, percent: 50, meta: { chunk: 1 } },
+      { jobId, jobName, payload: { file: 'video.mp4' }, percent: 50, meta: { chunk: 1 } },
+      { jobId, jobName, payload: { file: 'video.mp4' }, percent: 100, meta: null }
+    ]);
+
+  });
+
+  it('#processJob() ignores progress reported after job run is over.', async () => {
+
+    const queue = await QueueFactory();
+    const jobName = 'progress-job-name';
+    let lateReportProgress = null;
+
+    queue.addWorker(jobName, async (id, payload, { reportProgress }) => {
+
+      reportProgress(10);
+      lateReportProgress = reportProgress;
+
+      // Worker keeps running after job timed out.
+      return new Promise(() => {});
+
+    });
+
+    const eventProgress = [];
+    queue.on('job:progress', ({ percent }) => eventProgress.push(percent));
+
+    const jobId = queue.createJob(jobName, {}, { timeout: 100, attempts: 2 }, false);
+
+    const jobs = await queue.getConcurrentJobs();
+    await queue.processJob(jobs[0]);
+
+    lateReportProgress(80);
+
+    const job = queue.storage.objectForPrimaryKey('Job', jobId);
+    job.progress.should.equal(10);
+    eventProgress.should.deepEqual([10]);
+
+    queue.flushQueue();
+
+  });
+
+  //
+  // JOB CHECKPOINT TESTING
+  //
+
+  it('#processJob() keeps worker checkpoints across failed and timed out attempts and queue restarts.', async () => {
+
+    const queue = await QueueFactory();
+    const jobName = 'checkpoint-job-name';
+    const resumedFrom = [];
+    let lateCheckpoint = null;
+
+    queue.addWorker(jobName, async (id, payload, { checkpoint, getCheckpoint }) => {
+
+      resumedFrom.push(getCheckpoint());
+
+      if (resumedFrom.length == 1) {
+        checkpoint({ chunk: 1 });
+        throw new Error('Upload interrupted!');
+      }
+
+      if (resumedFrom.length == 2) {
+
+        checkpoint({ chunk: 2 });
+        lateCheckpoint = checkpoint;
+
+        // Worker keeps running after job timed out.
+        return new Promise(() => {});
+
+      }
+
+    });
+
+    const jobId = queue.createJob(jobName, {}, { attempts: 3, timeout: 100 }, false);
+
+    // First attempt fails.
+    await queue.processJob((await queue.getConcurrentJobs())[0]);
+    queue.storage.objectForPrimaryKey('Job', jobId).checkpoint.should.equal(JSON.stringify({ chunk: 1 }));
+
+    // Second attempt times out, checkpoints saved after that are ignored.
+    await queue.processJob((await queue.getConcurrentJobs())[0]);
+    lateCheckpoint({ chunk: 3 });
+    queue.storage.objectForPrimaryKey('Job', jobId).checkpoint.should.equal(JSON.stringify({ chunk: 2 }));
+
+    // Checkpoint is stored with the job, so it is picked up by a new queue instance (ie after app restart).
+    const restartedQueue = await QueueFactory();
+    await restartedQueue.processJob((await restartedQueue.getConcurrentJobs())[0]);
+
+    resumedFrom.should.deepEqual([null, { chunk: 1 }, { chunk: 2 }]);
+    should.not.exist(queue.storage.objectForPrimaryKey('Job', jobId));
+
+  });
+
+});
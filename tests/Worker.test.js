@@ -5,6 +5,7 @@
 // Load dependencies
 import should from 'should'; // eslint-disable-line no-unused-vars
 import Worker from '../Models/Worker';
+import { JobAbortController } from '../utils/abort';
 
 describe('Models/Worker', function() {
 
@@ -44,22 +45,46 @@ describe('Models/Worker', function() {
     Worker.workers['test-job-one'].should.be.a.Function();
     Worker.workers['test-job-one'].options.should.deepEqual({
       concurrency: 1,
+      backoff: null,
+      keepCompleted: null,
+      rateLimit: null,
+      batchSize: null,
+      batchWindow: 0,
+      requiresNetwork: null,
+      requiresCharging: null,
+      minBatteryLevel: null,
+      requiresDeviceIdle: null,
+      minFreeStorage: null,
       onStart: null,
+      onProgress: null,
       onSuccess: null,
       onFailure: null,
       onFailed: null,
-      onComplete: null
+      onComplete: null,
+      onDeadLetter: null
     });
 
     // second worker is added with new concurrency option.
     Worker.workers['test-job-two'].should.be.a.Function();
     Worker.workers['test-job-two'].options.should.deepEqual({
       concurrency: workerOptions.concurrency,
+      backoff: null,
+      keepCompleted: null,
+      rateLimit: null,
+      batchSize: null,
+      batchWindow: 0,
+      requiresNetwork: null,
+      requiresCharging: null,
+      minBatteryLevel: null,
+      requiresDeviceIdle: null,
+      minFreeStorage: null,
       onStart: workerOptions.onStart,
+      onProgress: null,
       onSuccess: null,
       onFailure: null,
       onFailed: null,
-      onComplete: null
+      onComplete: null,
+      onDeadLetter: null
     });
 
   });
@@ -86,6 +111,25 @@ describe('Models/Worker', function() {
 
   });
 
+  it('#constructor() should keep workers of named queues separate', async () => {
+
+    const worker = new Worker();
+    const namedWorker = new Worker('named-queue');
+    const sameNamedWorker = new Worker('named-queue');
+
+    worker.workers.should.equal(Worker.workers);
+
+    namedWorker.addWorker('test-named-job', async () => {});
+
+    should.not.exist(Worker.workers['test-named-job']);
+    sameNamedWorker.getConcurrency('test-named-job').should.equal(1);
+    Worker.namedWorkers['named-queue']['test-named-job'].should.be.a.Function();
+
+    namedWorker.removeWorker('test-named-job');
+    should.not.exist(sameNamedWorker.workers['test-named-job']);
+
+  });
+
   it('#getConcurrency() should throw error if no worker assigned to passed in job name.', async () => {
 
     const worker = new Worker();
@@ -357,4 +401,474 @@ describe('Models/Worker', function() {
 
   });
 
-});
\ No newline at end of file
+  it('#addWorker() should validate backoff option', async () => {
+
+    const worker = new Worker();
+
+    try {
+      worker.addWorker('test-job-one', async () => {}, {
+        backoff: { type: 'not-a-strategy', delay: 1000 }
+      });
+      throw new Error('worker.addWorker() should throw error if backoff option is invalid.');
+    } catch (error) {
+      error.should.deepEqual(new Error('Invalid worker option.'));
+    }
+
+  });
+
+  it('#getBackoff() should return worker backoff', async () => {
+
+    const worker = new Worker();
+    const backoff = { type: 'exponential', delay: 1000 };
+    const customBackoff = (failedAttempts) => failedAttempts * 100;
+
+    worker.addWorker('test-job-one', async () => {});
+    worker.addWorker('test-job-two', async () => {}, { backoff });
+    worker.addWorker('test-job-three', async () => {}, { backoff: customBackoff });
+
+    should.not.exist(worker.getBackoff('test-job-one'));
+    worker.getBackoff('test-job-two').should.equal(backoff);
+    worker.getBackoff('test-job-three').should.equal(customBackoff);
+    should.not.exist(worker.getBackoff('no-worker-exists'));
+
+  });
+
+  it('#executeJob() should resolve to the value returned by the worker function.', async () => {
+
+    const job = {
+      id: 'd21dca87-435c-4533-b0af-ed9844e6b827',
+      name: 'test-job-one',
+      payload: JSON.stringify({
+        key: 'value'
+      }),
+      data: JSON.stringify({
+        attempts: 1
+      }),
+      priority: 0,
+      active: false,
+      timeout: 1000,
+      created: new Date(),
+      failed: null
+    };
+
+    const worker = new Worker();
+
+    worker.addWorker('test-job-one', async (id, payload) => {
+      return { id, key: payload.key };
+    });
+
+    const result = await worker.executeJob(job);
+    result.should.deepEqual({ id: job.id, key: 'value' });
+
+    // Jobs without a timeout work the same.
+    job.timeout = 0;
+    const noTimeoutResult = await worker.executeJob(job);
+    noTimeoutResult.should.deepEqual({ id: job.id, key: 'value' });
+
+  });
+
+  it('#addWorker() should validate keepCompleted option', async () => {
+
+    const worker = new Worker();
+
+    const invalidOptions = [
+      { keepCompleted: {} },
+      { keepCompleted: { maxAge: -1 } },
+      { keepCompleted: { maxCount: '10' } },
+      { keepCompleted: 'forever' }
+    ];
+
+    invalidOptions.forEach( options => {
+      try {
+        worker.addWorker('test-job-one', async () => {}, options);
+        throw new Error('worker.addWorker() should throw error if keepCompleted option is invalid.');
+      } catch (error) {
+        error.should.deepEqual(new Error('Invalid worker option.'));
+      }
+    });
+
+  });
+
+  it('#getKeepCompleted() should return worker keepCompleted', async () => {
+
+    const worker = new Worker();
+    const keepCompleted = { maxAge: 60000, maxCount: 10 };
+
+    worker.addWorker('test-job-one', async () => {});
+    worker.addWorker('test-job-two', async () => {}, { keepCompleted });
+    worker.addWorker('test-job-three', async () => {}, { keepCompleted: true });
+
+    should.not.exist(worker.getKeepCompleted('test-job-one'));
+    worker.getKeepCompleted('test-job-two').should.equal(keepCompleted);
+    worker.getKeepCompleted('test-job-three').should.be.True();
+    should.not.exist(worker.getKeepCompleted('no-worker-exists'));
+
+  });
+
+  it('#getRateLimit() should return worker rateLimit and validate it', async () => {
+
+    const worker = new Worker();
+    const rateLimit = { max: 10, duration: 1000 };
+
+    worker.addWorker('test-job-one', async () => {});
+    worker.addWorker('test-job-two', async () => {}, { rateLimit });
+
+    should.not.exist(worker.getRateLimit('test-job-one'));
+    worker.getRateLimit('test-job-two').should.equal(rateLimit);
+    should.not.exist(worker.getRateLimit('no-worker-exists'));
+
+    try {
+      worker.addWorker('test-job-three', async () => {}, { rateLimit: { max: 0, duration: 1000 } });
+      throw new Error('worker.addWorker() should throw error if rateLimit option is invalid.');
+    } catch (error) {
+      error.should.deepEqual(new Error('Invalid worker option.'));
+    }
+
+  });
+
+  it('#getRequiresNetwork() should return worker requiresNetwork and validate it', async () => {
+
+    const worker = new Worker();
+
+    worker.addWorker('test-job-one', async () => {});
+    worker.addWorker('test-job-two', async () => {}, { requiresNetwork: 'unmetered' });
+
+    should.not.exist(worker.getRequiresNetwork('test-job-one'));
+    worker.getRequiresNetwork('test-job-two').should.equal('unmetered');
+    should.not.exist(worker.getRequiresNetwork('no-worker-exists'));
+
+    try {
+      worker.addWorker('test-job-three', async () => {}, { requiresNetwork: 'wifi' });
+      throw new Error('worker.addWorker() should throw error if requiresNetwork option is invalid.');
+    } catch (error) {
+      error.should.deepEqual(new Error('Invalid worker option.'));
+    }
+
+  });
+
+  it('#getDeviceConstraints() should return worker device constraints and validate them', async () => {
+
+    const worker = new Worker();
+
+    worker.addWorker('test-job-one', async () => {});
+    worker.addWorker('test-job-two', async () => {}, { requiresCharging: true, minBatteryLevel: 0.5, minFreeStorage: 1024 });
+
+    worker.getDeviceConstraints('test-job-one').should.deepEqual({ requiresCharging: null, minBatteryLevel: null, requiresDeviceIdle: null, minFreeStorage: null });
+    worker.getDeviceConstraints('test-job-two').should.deepEqual({ requiresCharging: true, minBatteryLevel: 0.5, requiresDeviceIdle: null, minFreeStorage: 1024 });
+    worker.getDeviceConstraints('no-worker-exists').should.deepEqual({ requiresCharging: null, minBatteryLevel: null, requiresDeviceIdle: null, minFreeStorage: null });
+
+    const invalidOptions = [
+      { requiresCharging: 'yes' },
+      { minBatteryLevel: 50 },
+      { minBatteryLevel: -0.1 },
+      { requiresDeviceIdle: 1 },
+      { minFreeStorage: 1.5 },
+      { minFreeStorage: -1 }
+    ];
+
+    invalidOptions.forEach( options => {
+      try {
+        worker.addWorker('test-job-three', async () => {}, options);
+        throw new Error('worker.addWorker() should throw error if device constraint options are invalid.');
+      } catch (error) {
+        error.should.deepEqual(new Error('Invalid worker option.'));
+      }
+    });
+
+  });
+
+  it('#executeJob() should pass signal to worker function and fail as soon as signal is aborted.', async () => {
+
+    const job = {
+      id: 'd21dca87-435c-4533-b0af-ed9844e6b827',
+      name: 'test-job-one',
+      payload: JSON.stringify({
+        key: 'value'
+      }),
+      data: JSON.stringify({
+        attempts: 1
+      }),
+      priority: 0,
+      active: false,
+      timeout: 0,
+      created: new Date(),
+      failed: null
+    };
+
+    const worker = new Worker();
+    const controller = new JobAbortController();
+    const reason = new Error('CANCELLED: Job id: ' + job.id + ' was cancelled.');
+    let workerSignal = null;
+
+    // Worker never settles on its own.
+    worker.addWorker('test-job-one', async (id, payload, context) => {
+      workerSignal = context.signal;
+      return new Promise(() => {});
+    });
+
+    const execution = worker.executeJob(job, controller.signal);
+    controller.abort(reason);
+
+    try {
+      await execution;
+      throw new Error('worker.executeJob() should fail if signal is aborted.');
+    } catch (error) {
+      error.should.equal(reason);
+    }
+
+    workerSignal.should.equal(controller.signal);
+    workerSignal.aborted.should.be.True();
+
+    // Already aborted signals fail without calling worker function.
+    workerSignal = null;
+
+    try {
+      await worker.executeJob(job, controller.signal);
+      throw new Error('worker.executeJob() should fail if signal is already aborted.');
+    } catch (error) {
+      error.should.equal(reason);
+    }
+
+    should.not.exist(workerSignal);
+
+    // Signal defaults to one that is never aborted.
+    worker.addWorker('test-job-one', async (id, payload, context) => context.signal.aborted);
+    const aborted = await worker.executeJob(job);
+    aborted.should.be.False();
+
+  });
+
+  it('#executeJob() should pass progress reported by worker function on to onProgress handler.', async () => {
+
+    const job = {
+      id: 'd21dca87-435c-4533-b0af-ed9844e6b827',
+      name: 'test-job-one',
+      payload: JSON.stringify({}),
+      timeout: 0
+    };
+
+    const worker = new Worker();
+    const reports = [];
+
+    worker.addWorker('test-job-one', async (id, payload, { reportProgress }) => {
+
+      reportProgress(25);
+      reportProgress(100, { bytesSent: 2048 });
+
+      // Invalid progress throws in worker function.
+      [-1, 101, '50', NaN].forEach( percent => {
+        (() => reportProgress(percent)).should.throw('Invalid job progress.');
+      });
+
+      const circularMeta = {};
+      circularMeta.self = circularMeta;
+      (() => reportProgress(50, circularMeta)).should.throw('Invalid job progress.');
+
+      return 'done';
+
+    });
+
+    const result = await worker.executeJob(job, null, { onProgress: (percent, meta) => reports.push({ percent, meta }) });
+
+    result.should.equal('done');
+    reports.should.deepEqual([{ percent: 25, meta: null }, { percent: 100, meta: { bytesSent: 2048 } }]);
+
+    // Progress is dropped if there is no handler.
+    (await worker.executeJob(job)).should.equal('done');
+
+    // Batch items report progress of their own job.
+    const batchReports = [];
+    const jobs = [1, 2].map( step => ({ id: 'job-' + step, name: 'test-batch-job', payload: JSON.stringify({ step }), timeout: 0 }));
+
+    worker.addWorker('test-batch-job', async (batch) => {
+      batch.forEach( ({ payload, reportProgress }) => reportProgress(payload.step * 10));
+    }, { batchSize: 2 });
+
+    await worker.executeJob(jobs, null, jobs.map( job => ({ onProgress: (percent) => batchReports.push({ id: job.id, percent }) })));
+
+    batchReports.should.deepEqual([{ id: 'job-1', percent: 10 }, { id: 'job-2', percent: 20 }]);
+
+  });
+
+  it('#executeJob() should resume from stored checkpoint and pass new checkpoints on to onCheckpoint handler.', async () => {
+
+    const job = {
+      id: 'd21dca87-435c-4533-b0af-ed9844e6b827',
+      name: 'test-job-one',
+      payload: JSON.stringify({}),
+      timeout: 0,
+      checkpoint: JSON.stringify({ chunk: 2 })
+    };
+
+    const worker = new Worker();
+    const checkpoints = [];
+
+    worker.addWorker('test-job-one', async (id, payload, { checkpoint, getCheckpoint }) => {
+
+      const resumedFrom = getCheckpoint();
+
+      const state = { chunk: 3 };
+      checkpoint(state);
+
+      // Later changes to state are only saved by the next checkpoint.
+      state.chunk = 4;
+
+      // Checkpoint state must be JSON serializable.
+      [undefined, () => {}].forEach( invalidState => {
+        (() => checkpoint(invalidState)).should.throw('Invalid job checkpoint.');
+      });
+
+      return { resumedFrom, latest: getCheckpoint() };
+
+    });
+
+    const result = await worker.executeJob(job, null, { onCheckpoint: (state) => checkpoints.push(state) });
+
+    result.should.deepEqual({ resumedFrom: { chunk: 2 }, latest: { chunk: 3 } });
+    checkpoints.should.deepEqual([{ chunk: 3 }]);
+
+    // Jobs without a checkpoint start from null.
+    worker.addWorker('test-job-one', async (id, payload, { getCheckpoint }) => getCheckpoint());
+    should.not.exist(await worker.executeJob({ ...job, checkpoint: null }));
+
+    // Batch items checkpoint their own job.
+    const batchCheckpoints = [];
+    const jobs = [1, 2].map( step => ({ id: 'job-' + step, name: 'test-batch-job', payload: JSON.stringify({ step }), timeout: 0, checkpoint: null }));
+
+    worker.addWorker('test-batch-job', async (batch) => {
+      batch.forEach( ({ payload, checkpoint }) => checkpoint({ step: payload.step }));
+    }, { batchSize: 2 });
+
+    await worker.executeJob(jobs, null, jobs.map( job => ({ onCheckpoint: (state) => batchCheckpoints.push({ id: job.id, state }) })));
+
+    batchCheckpoints.should.deepEqual([{ id: 'job-1', state: { step: 1 } }, { id: 'job-2', state: { step: 2 } }]);
+
+  });
+
+  it('#getBatchSize() and #getBatchWindow() should return worker batch options and validate them', async () => {
+
+    const worker = new Worker();
+
+    worker.addWorker('test-job-one', async () => {});
+    worker.addWorker('test-job-two', async () => {}, { batchSize: 50, batchWindow: 1000 });
+
+    should.not.exist(worker.getBatchSize('test-job-one'));
+    worker.getBatchWindow('test-job-one').should.equal(0);
+    worker.getBatchSize('test-job-two').should.equal(50);
+    worker.getBatchWindow('test-job-two').should.equal(1000);
+    should.not.exist(worker.getBatchSize('no-worker-exists'));
+
+    const invalidOptions = [
+      { batchSize: 0 },
+      { batchSize: 2.5 },
+      { batchSize: 10, batchWindow: -1 },
+      { batchWindow: 1000 }
+    ];
+
+    invalidOptions.forEach( options => {
+      try {
+        worker.addWorker('test-job-three', async () => {}, options);
+        throw new Error('worker.addWorker() should throw error if batch options are invalid.');
+      } catch (error) {
+        error.should.deepEqual(new Error('Invalid worker option.'));
+      }
+    });
+
+  });
+
+  it('#executeJob() should call batch workers with every job of the batch and report outcomes per job.', async () => {
+
+    const jobs = [1, 2, 3].map( step => ({
+      id: 'job-' + step,
+      name: 'test-batch-job',
+      payload: JSON.stringify({ step }),
+      timeout: 0
+    }));
+
+    const worker = new Worker();
+    let receivedBatch = null;
+
+    worker.addWorker('test-batch-job', async (batch) => {
+      receivedBatch = batch;
+      return batch.map( ({ payload }) => (payload.step == 2) ? new Error('Step 2 failed!') : payload.step * 10);
+    }, { batchSize: 3 });
+
+    const outcomes = await worker.executeJob(jobs);
+
+    receivedBatch.map( ({ id, payload }) => ({ id, payload })).should.deepEqual([
+      { id: 'job-1', payload: { step: 1 } },
+      { id: 'job-2', payload: { step: 2 } },
+      { id: 'job-3', payload: { step: 3 } }
+    ]);
+    outcomes.should.deepEqual([{ result: 10 }, { error: new Error('Step 2 failed!') }, { result: 30 }]);
+
+    // Returning nothing means every job succeeded, throwing fails every job.
+    worker.addWorker('test-batch-job', async () => {}, { batchSize: 3 });
+    (await worker.executeJob(jobs)).should.deepEqual([{ result: undefined }, { result: undefined }, { result: undefined }]);
+
+    worker.addWorker('test-batch-job', async () => {
+      throw new Error('Bulk request failed!');
+    }, { batchSize: 3 });
+    (await worker.executeJob(jobs)).map( outcome => outcome.error.message).should.deepEqual(['Bulk request failed!', 'Bulk request failed!', 'Bulk request failed!']);
+
+  });
+
+  it('#executeJob() should fail every batch job if the batch worker returns results that can\'t be matched to jobs.', async () => {
+
+    const jobs = [1, 2, 3].map( step => ({
+      id: 'job-' + step,
+      name: 'test-batch-job',
+      payload: JSON.stringify({ step }),
+      timeout: 0
+    }));
+
+    const worker = new Worker();
+    const error = new Error('Batch worker for job name test-batch-job must return nothing or an array of 3 results.');
+
+    for (const results of [{ sent: 3 }, true, null, [10, 20], [10, 20, 30, 40]]) {
+      worker.addWorker('test-batch-job', async () => results, { batchSize: 3 });
+      (await worker.executeJob(jobs)).should.deepEqual([{ error }, { error }, { error }]);
+    }
+
+  });
+
+  it('#executeJob() should fail batch jobs on their own when they are cancelled or time out.', async () => {
+
+    const jobs = [1, 2].map( step => ({
+      id: 'job-' + step,
+      name: 'test-batch-job',
+      payload: JSON.stringify({ step }),
+      timeout: 100
+    }));
+
+    const worker = new Worker();
+    const controllers = [new JobAbortController(), new JobAbortController()];
+    const reason = new Error('CANCELLED: Job id: job-1 was cancelled.');
+    let batchSignal = null;
+
+    // Worker never settles on its own.
+    worker.addWorker('test-batch-job', async (batch, context) => {
+      batchSignal = context.signal;
+      return new Promise(() => {});
+    }, { batchSize: 2 });
+
+    const execution = worker.executeJob(jobs, controllers.map( controller => controller.signal));
+
+    // Batch signal is only aborted once every job of the batch is cancelled.
+    controllers[0].abort(reason);
+    batchSignal.aborted.should.be.False();
+
+    controllers[1].abort(reason);
+    batchSignal.aborted.should.be.True();
+
+    (await execution).should.deepEqual([{ error: reason }, { error: reason }]);
+
+    // Jobs that aren't cancelled time out.
+    const timeoutOutcomes = await worker.executeJob(jobs, [controllers[0].signal, new JobAbortController().signal]);
+
+    timeoutOutcomes[0].error.should.equal(reason);
+    timeoutOutcomes[1].error.should.deepEqual(new Error('TIMEOUT: Job id: job-2 timed out in 100ms.'));
+
+  });
+
+});
@@ -0,0 +1,74 @@
+
+// Define globals for eslint.
+/* global describe it */
+
+// Load dependencies
+import should from 'should'; // eslint-disable-line no-unused-vars
+import { JobAbortController } from '../utils/abort';
+
+describe('utils/abort', function() {
+
+  it('#abort() should abort signal and notify listeners once', async () => {
+
+    const controller = new JobAbortController();
+    const signal = controller.signal;
+    const reason = new Error('Cancelled!');
+    const events = [];
+
+    signal.aborted.should.be.False();
+    should.not.exist(signal.reason);
+
+    signal.onabort = (event) => { events.push('onabort:' + event.type); };
+    signal.addEventListener('abort', (event) => { events.push('listener:' + event.type); });
+
+    const removedListener = () => { events.push('removed'); };
+    signal.addEventListener('abort', removedListener);
+    signal.removeEventListener('abort', removedListener);
+
+    controller.abort(reason);
+    controller.abort(new Error('Ignored.'));
+
+    signal.aborted.should.be.True();
+    signal.reason.should.equal(reason);
+    events.should.deepEqual(['onabort:abort', 'listener:abort']);
+
+  });
+
+  it('#abort() should keep notifying listeners if one throws', async () => {
+
+    const controller = new JobAbortController();
+    let notified = false;
+
+    const consoleError = console.error; // eslint-disable-line no-console
+    console.error = () => {}; // eslint-disable-line no-console
+
+    controller.signal.addEventListener('abort', () => { throw new Error('Listener error!'); });
+    controller.signal.addEventListener('abort', () => { notified = true; });
+    controller.abort();
+
+    console.error = consoleError; // eslint-disable-line no-console
+
+    notified.should.be.True();
+    controller.signal.reason.should.deepEqual(new Error('Aborted.'));
+
+  });
+
+  it('#throwIfAborted() should throw abort reason once signal is aborted', async () => {
+
+    const controller = new JobAbortController();
+    const reason = new Error('Cancelled!');
+
+    controller.signal.throwIfAborted();
+
+    controller.abort(reason);
+
+    try {
+      controller.signal.throwIfAborted();
+      throw new Error('throwIfAborted() should throw once signal is aborted.');
+    } catch (error) {
+      error.should.equal(reason);
+    }
+
+  });
+
+});
@@ -0,0 +1,103 @@
+
+// Define globals for eslint.
+/* global describe it */
+
+// Load dependencies
+import should from 'should'; // eslint-disable-line no-unused-vars
+import { isValidBackoff, getBackoffDelay } from '../utils/backoff';
+
+describe('utils/backoff', function() {
+
+  it('#isValidBackoff() should validate backoff options', async () => {
+
+    isValidBackoff(() => 1000).should.be.True();
+    isValidBackoff({ type: 'fixed', delay: 1000 }).should.be.True();
+    isValidBackoff({ type: 'linear', delay: 0 }).should.be.True();
+    isValidBackoff({ type: 'exponential', delay: 1000, maxDelay: 60000, jitter: 0.5 }).should.be.True();
+    isValidBackoff({ type: 'exponential', delay: 1000, jitter: true }).should.be.True();
+
+    isValidBackoff(null).should.be.False();
+    isValidBackoff(1000).should.be.False();
+    isValidBackoff({ delay: 1000 }).should.be.False();
+    isValidBackoff({ type: 'random', delay: 1000 }).should.be.False();
+    isValidBackoff({ type: 'fixed' }).should.be.False();
+    isValidBackoff({ type: 'fixed', delay: -1 }).should.be.False();
+    isValidBackoff({ type: 'fixed', delay: 1000, maxDelay: -1 }).should.be.False();
+    isValidBackoff({ type: 'fixed', delay: 1000, jitter: 2 }).should.be.False();
+
+  });
+
+  it('#getBackoffDelay() should default to no delay', async () => {
+
+    getBackoffDelay(null, 1, new Error('Failure')).should.equal(0);
+
+  });
+
+  it('#getBackoffDelay() should compute fixed, linear and exponential delays', async () => {
+
+    const fixed = { type: 'fixed', delay: 1000 };
+    getBackoffDelay(fixed, 1).should.equal(1000);
+    getBackoffDelay(fixed, 4).should.equal(1000);
+
+    const linear = { type: 'linear', delay: 1000 };
+    getBackoffDelay(linear, 1).should.equal(1000);
+    getBackoffDelay(linear, 4).should.equal(4000);
+
+    const exponential = { type: 'exponential', delay: 1000 };
+    getBackoffDelay(exponential, 1).should.equal(1000);
+    getBackoffDelay(exponential, 2).should.equal(2000);
+    getBackoffDelay(exponential, 4).should.equal(8000);
+
+  });
+
+  it('#getBackoffDelay() should cap delay at maxDelay', async () => {
+
+    getBackoffDelay({ type: 'exponential', delay: 1000, maxDelay: 5000 }, 10).should.equal(5000);
+
+  });
+
+  it('#getBackoffDelay() should apply jitter', async () => {
+
+    for (let i = 0; i < 20; i++) {
+      getBackoffDelay({ type: 'fixed', delay: 1000, jitter: 0.25 }, 1).should.be.within(750, 1000);
+      getBackoffDelay({ type: 'fixed', delay: 1000, jitter: true }, 1).should.be.within(0, 1000);
+    }
+
+  });
+
+  it('#getBackoffDelay() should call custom backoff functions', async () => {
+
+    const error = new Error('Failure');
+
+    const delay = getBackoffDelay((failedAttempts, failureError) => {
+      failureError.should.equal(error);
+      return failedAttempts * 300;
+    }, 3, error);
+
+    delay.should.equal(900);
+
+  });
+
+  it('#getBackoffDelay() custom backoff functions that error out should gracefully degrade to no delay.', async () => {
+
+    // Cache console error.
+    const consoleErrorCache = console.error; // eslint-disable-line no-console
+
+    let consoleErrorCalled = false;
+    console.error = () => { // eslint-disable-line no-console
+      consoleErrorCalled = true;
+    };
+
+    const delay = getBackoffDelay(() => {
+      throw new Error('Backoff failed catastrophically!');
+    }, 1, new Error('Failure'));
+
+    delay.should.equal(0);
+    consoleErrorCalled.should.be.True();
+
+    // Re-apply console.error.
+    console.error = consoleErrorCache; // eslint-disable-line no-console
+
+  });
+
+});
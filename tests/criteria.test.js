@@ -0,0 +1,105 @@
+
+// Define globals for eslint.
+/* global describe it */
+
+// Load dependencies
+import should from 'should'; // eslint-disable-line no-unused-vars
+import { isOperatorObject, toRealmQuery, matchesCriteria, sortComparator } from '../utils/criteria';
+
+describe('utils/criteria', function() {
+
+  it('#isOperatorObject() should only match objects of criteria operators', async () => {
+
+    isOperatorObject({ $gt: 0 }).should.be.True();
+    isOperatorObject({ $ne: null, $lt: 5 }).should.be.True();
+
+    isOperatorObject(null).should.be.False();
+    isOperatorObject('value').should.be.False();
+    isOperatorObject(new Date()).should.be.False();
+    isOperatorObject([]).should.be.False();
+    isOperatorObject({}).should.be.False();
+    isOperatorObject({ $gt: 0, other: 1 }).should.be.False();
+
+  });
+
+  it('#toRealmQuery() should build a query string with arguments', async () => {
+
+    const now = new Date();
+    const args = [];
+
+    const query = toRealmQuery({
+      name: 'job-name',
+      active: false,
+      failed: null,
+      completed: { $ne: null },
+      timeout: { $gt: 0, $lt: 500 },
+      dependsOn: { $contains: 'job-id' },
+      $or: [{ runAt: null }, { runAt: { $lte: now } }]
+    }, args);
+
+    query.should.equal('name == $0 AND active == $1 AND failed == null AND completed != null AND timeout > $2 AND timeout < $3 AND dependsOn CONTAINS $4 AND ((runAt == null) OR (runAt <= $5))');
+    args.should.deepEqual(['job-name', false, 0, 500, 'job-id', now]);
+
+    const ninArgs = [];
+    toRealmQuery({ name: { $nin: ['job-one', 'job-two'] } }, ninArgs).should.equal('name != $0 AND name != $1');
+    ninArgs.should.deepEqual(['job-one', 'job-two']);
+
+    toRealmQuery({}).should.equal('TRUEPREDICATE');
+    toRealmQuery({ $or: [] }).should.equal('FALSEPREDICATE');
+
+  });
+
+  it('#matchesCriteria() should match objects like Realm queries do', async () => {
+
+    const job = {
+      name: 'job-name',
+      active: false,
+      failed: null,
+      runAt: new Date(1000),
+      timeout: 300,
+      dependsOn: '["job-one","job-two"]'
+    };
+
+    matchesCriteria(job, {}).should.be.True();
+    matchesCriteria(job, { name: 'job-name', active: false, failed: null }).should.be.True();
+    matchesCriteria(job, { runAt: new Date(1000) }).should.be.True();
+    matchesCriteria(job, { timeout: { $gt: 0, $lt: 500 } }).should.be.True();
+    matchesCriteria(job, { dependsOn: { $contains: 'job-two' } }).should.be.True();
+    matchesCriteria(job, { missing: null }).should.be.True();
+    matchesCriteria(job, { $or: [{ runAt: null }, { runAt: { $lte: new Date(2000) } }] }).should.be.True();
+    matchesCriteria(job, { name: { $nin: ['job-one', 'job-two'] } }).should.be.True();
+    matchesCriteria(job, { runAt: { $nin: [new Date(2000)] } }).should.be.True();
+
+    matchesCriteria(job, { name: 'another-job-name' }).should.be.False();
+    matchesCriteria(job, { failed: { $ne: null } }).should.be.False();
+    matchesCriteria(job, { timeout: { $gt: 0, $lt: 300 } }).should.be.False();
+    matchesCriteria(job, { dependsOn: { $contains: 'job-three' } }).should.be.False();
+    matchesCriteria(job, { $or: [{ runAt: null }, { runAt: { $gt: new Date(2000) } }] }).should.be.False();
+    matchesCriteria(job, { name: { $nin: ['job-one', 'job-name'] } }).should.be.False();
+    matchesCriteria(job, { runAt: { $nin: [new Date(1000)] } }).should.be.False();
+
+    // Ordering comparisons never match null.
+    matchesCriteria(job, { failed: { $lt: new Date() } }).should.be.False();
+
+  });
+
+  it('#sortComparator() should sort by multiple properties with nulls first', async () => {
+
+    const jobs = [
+      { id: 'a', priority: 0, created: new Date(3000) },
+      { id: 'b', priority: 5, created: new Date(2000) },
+      { id: 'c', priority: 0, created: new Date(1000) },
+      { id: 'd', priority: 5, created: new Date(4000) }
+    ];
+
+    jobs.sort(sortComparator([['priority', true], ['created', false]]))
+      .map( job => job.id).should.deepEqual(['b', 'd', 'c', 'a']);
+
+    const runAts = [{ runAt: new Date(2000) }, { runAt: null }, { runAt: new Date(1000) }];
+
+    runAts.sort(sortComparator([['runAt', false]]))
+      .map( job => job.runAt && job.runAt.getTime()).should.deepEqual([null, 1000, 2000]);
+
+  });
+
+});
@@ -0,0 +1,76 @@
+
+// Define globals for eslint.
+/* global describe it */
+
+// Load dependencies
+import should from 'should'; // eslint-disable-line no-unused-vars
+import { parseCron, isValidCron, getNextCronDate } from '../utils/cron';
+
+describe('utils/cron', function() {
+
+  it('#parseCron() should parse cron fields', async () => {
+
+    const schedule = parseCron('*/15 9-11 1,15 * 1-5/2');
+
+    schedule.minutes.should.deepEqual([0, 15, 30, 45]);
+    schedule.hours.should.deepEqual([9, 10, 11]);
+    schedule.daysOfMonth.should.deepEqual([1, 15]);
+    schedule.months.length.should.equal(12);
+    schedule.daysOfWeek.should.deepEqual([1, 3, 5]);
+    schedule.anyDayOfMonth.should.be.False();
+    schedule.anyDayOfWeek.should.be.False();
+
+    // 7 is also Sunday.
+    parseCron('0 0 * * 7').daysOfWeek.should.deepEqual([0]);
+
+  });
+
+  it('#isValidCron() should validate cron expressions', async () => {
+
+    isValidCron('* * * * *').should.be.True();
+    isValidCron('0 */6 * * *').should.be.True();
+    isValidCron('30 8 1-7 1,6 0').should.be.True();
+
+    isValidCron(null).should.be.False();
+    isValidCron('* * * *').should.be.False();
+    isValidCron('* * * * * *').should.be.False();
+    isValidCron('60 * * * *').should.be.False();
+    isValidCron('* 24 * * *').should.be.False();
+    isValidCron('* * 0 * *').should.be.False();
+    isValidCron('* * * 13 *').should.be.False();
+    isValidCron('*/0 * * * *').should.be.False();
+    isValidCron('5-1 * * * *').should.be.False();
+    isValidCron('a * * * *').should.be.False();
+
+  });
+
+  it('#getNextCronDate() should return the next matching date', async () => {
+
+    const after = new Date(2018, 0, 1, 10, 20, 30); // Monday Jan 1st 2018, 10:20:30.
+
+    getNextCronDate('* * * * *', after).should.deepEqual(new Date(2018, 0, 1, 10, 21));
+    getNextCronDate('*/15 * * * *', after).should.deepEqual(new Date(2018, 0, 1, 10, 30));
+    getNextCronDate('0 */6 * * *', after).should.deepEqual(new Date(2018, 0, 1, 12, 0));
+    getNextCronDate('0 9 * * *', after).should.deepEqual(new Date(2018, 0, 2, 9, 0));
+    getNextCronDate('0 9 * * 5', after).should.deepEqual(new Date(2018, 0, 5, 9, 0));
+    getNextCronDate('0 0 1 * *', after).should.deepEqual(new Date(2018, 1, 1, 0, 0));
+    getNextCronDate('0 0 29 2 *', after).should.deepEqual(new Date(2020, 1, 29, 0, 0));
+
+  });
+
+  it('#getNextCronDate() should match either day field if both are restricted', async () => {
+
+    const after = new Date(2018, 0, 1, 10, 20, 30); // Monday Jan 1st 2018, 10:20:30.
+
+    // Friday Jan 5th comes before the 15th.
+    getNextCronDate('0 0 15 * 5', after).should.deepEqual(new Date(2018, 0, 5, 0, 0));
+
+  });
+
+  it('#getNextCronDate() should return null if nothing matches', async () => {
+
+    should.not.exist(getNextCronDate('0 0 30 2 *', new Date(2018, 0, 1)));
+
+  });
+
+});
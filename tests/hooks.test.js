@@ -0,0 +1,200 @@
+// Define globals for eslint.
+/* global describe it */
+
+// Load dependencies
+import should from 'should'; // eslint-disable-line no-unused-vars
+import React from 'react';
+import TestRenderer, { act } from 'react-test-renderer';
+import QueueFactory from '../Models/Queue';
+import MemoryAdapter from '../adapters/MemoryAdapter';
+import { QueueProvider, useQueue, useJobs, useJob, useQueueStatus } from '../hooks';
+
+/**
+ *
+ * Render a component that calls a hook inside a QueueProvider.
+ *
+ * @param queue {Queue|null} - Queue provided to the hook (null renders without a QueueProvider).
+ * @param hook {function} - Function that calls the hook.
+ * @return {object} - result.current is the latest value returned by the hook, result.renders the number of renders, and renderer the test renderer.
+ */
+function renderHook(queue, hook) {
+
+  const result = { current: undefined, renders: 0 };
+
+  const HookComponent = () => {
+    result.current = hook();
+    result.renders++;
+    return null;
+  };
+
+  const element = React.createElement(HookComponent);
+  let renderer = null;
+
+  act(() => {
+    renderer = TestRenderer.create((queue) ? React.createElement(QueueProvider, { queue }, element) : element);
+  });
+
+  return { result, renderer };
+
+}
+
+describe('hooks', function() {
+
+  it('#useQueue() returns the provided queue, and throws outside of a QueueProvider', async () => {
+
+    const queue = await QueueFactory({ storage: new MemoryAdapter() });
+
+    renderHook(queue, () => useQueue()).result.current.should.equal(queue);
+
+    // React logs render errors.
+    const consoleError = console.error; // eslint-disable-line no-console
+    console.error = () => {}; // eslint-disable-line no-console
+
+    try {
+      renderHook(null, () => useQueue());
+      throw new Error('useQueue() should throw outside of a QueueProvider.');
+    } catch (error) {
+      error.message.should.equal('useQueue() must be used inside a QueueProvider.');
+    } finally {
+      console.error = consoleError; // eslint-disable-line no-console
+    }
+
+  });
+
+  it('#useJobs() updates as jobs change, and unsubscribes on unmount', async () => {
+
+    const queue = await QueueFactory({ storage: new MemoryAdapter() });
+
+    queue.addWorker('job-name', async () => {});
+
+    const firstJobId = queue.createJob('job-name', { step: 1 }, { priority: 1 }, false);
+
+    // Same filter format as queue.getJobs().
+    const { result, renderer } = renderHook(queue, () => useJobs({ name: 'job-name', status: ['pending', 'paused'], sort: '-priority', limit: 2 }));
+
+    result.current.map( job => job.id).should.deepEqual([firstJobId]);
+    result.current[0].payload.should.equal(JSON.stringify({ step: 1 }));
+
+    let secondJobId = null;
+    let thirdJobId = null;
+
+    act(() => {
+      secondJobId = queue.createJob('job-name', { step: 2 }, { priority: 5 }, false);
+      thirdJobId = queue.createJob('job-name', { step: 3 }, {}, false);
+      queue.createJob('another-job-name', {}, { priority: 10 }, false);
+    });
+
+    result.current.map( job => job.id).should.deepEqual([secondJobId, firstJobId]);
+
+    act(() => {
+      queue.cancelJob(secondJobId);
+    });
+
+    result.current.map( job => job.id).should.deepEqual([firstJobId, thirdJobId]);
+
+    act(() => {
+      renderer.unmount();
+    });
+
+    queue.storage.listeners.length.should.equal(0);
+
+    const renders = result.renders;
+    queue.createJob('job-name', {}, { priority: 5 }, false);
+    result.renders.should.equal(renders);
+
+  });
+
+  it('#useJobs() throws on invalid filter', async () => {
+
+    const queue = await QueueFactory({ storage: new MemoryAdapter() });
+
+    const consoleError = console.error; // eslint-disable-line no-console
+    console.error = () => {}; // eslint-disable-line no-console
+
+    try {
+      renderHook(queue, () => useJobs({ status: { $ne: 'completed' } }));
+      throw new Error('useJobs() should throw on invalid filter.');
+    } catch (error) {
+      error.message.should.equal('Invalid job filter.');
+    } finally {
+      console.error = consoleError; // eslint-disable-line no-console
+    }
+
+  });
+
+  it('#useJob() updates as job changes, returns null once it is deleted, and unsubscribes on unmount', async () => {
+
+    const queue = await QueueFactory({ storage: new MemoryAdapter() });
+    const jobId = queue.createJob('job-name', { step: 1 }, {}, false);
+
+    const { result, renderer } = renderHook(queue, () => useJob(jobId));
+
+    result.current.should.have.properties({ id: jobId, status: 'pending' });
+    const pendingSnapshot = result.current;
+
+    act(() => {
+      queue.pauseJob(jobId);
+    });
+
+    result.current.status.should.equal('paused');
+
+    // Snapshots don't change along with the job.
+    pendingSnapshot.status.should.equal('pending');
+
+    act(() => {
+      queue.cancelJob(jobId);
+    });
+
+    should(result.current).be.null();
+
+    act(() => {
+      renderer.unmount();
+    });
+
+    queue.storage.listeners.length.should.equal(0);
+
+  });
+
+  it('#useQueueStatus() updates as queue starts and stops, and unsubscribes on unmount', async () => {
+
+    const queue = await QueueFactory({ storage: new MemoryAdapter() });
+    let releaseWorker = null;
+    let workerStarted = null;
+    const started = new Promise((resolve) => { workerStarted = resolve; });
+
+    queue.addWorker('job-name', async () => {
+      workerStarted();
+      await new Promise((resolve) => { releaseWorker = resolve; });
+    });
+
+    queue.createJob('job-name', {}, {}, false);
+
+    const { result, renderer } = renderHook(queue, () => useQueueStatus());
+
+    result.current.should.equal('inactive');
+
+    let processing = null;
+    act(() => {
+      processing = queue.start();
+    });
+
+    result.current.should.equal('active');
+
+    await act(async () => {
+      await started;
+      releaseWorker();
+      await processing;
+    });
+
+    result.current.should.equal('inactive');
+
+    act(() => {
+      renderer.unmount();
+    });
+
+    should.not.exist(queue.eventHandlers['queue:start'][0]);
+    should.not.exist(queue.eventHandlers['queue:stop'][0]);
+
+  });
+
+});
@@ -0,0 +1,120 @@
+
+// Define globals for eslint.
+/* global describe it */
+
+// Load dependencies
+import should from 'should'; // eslint-disable-line no-unused-vars
+import { parseJobFilter, toPlainJob } from '../utils/jobQuery';
+import { DeadLetterJobSchema } from '../config/schema';
+
+describe('utils/jobQuery', function() {
+
+  it('#parseJobFilter() should build criteria, sort and pagination', async () => {
+
+    parseJobFilter().should.deepEqual({ criteria: {}, sort: [['created', false]], limit: null, offset: 0 });
+
+    const createdBefore = new Date(5000);
+
+    parseJobFilter({
+      name: 'job-name',
+      status: 'pending',
+      priorityMin: 1,
+      priorityMax: 4,
+      createdBefore,
+      createdAfter: 1000,
+      limit: 10,
+      offset: 20,
+      sort: ['-priority', 'runAt']
+    }).should.deepEqual({
+      criteria: {
+        name: 'job-name',
+        status: 'pending',
+        priority: { $gte: 1, $lte: 4 },
+        created: { $lt: createdBefore, $gt: new Date(1000) }
+      },
+      sort: [['priority', true], ['runAt', false], ['created', false]],
+      limit: 10,
+      offset: 20
+    });
+
+    parseJobFilter({ status: ['failed', 'completed'], sort: '-created' }).should.deepEqual({
+      criteria: { $or: [{ status: 'failed' }, { status: 'completed' }] },
+      sort: [['created', true]],
+      limit: null,
+      offset: 0
+    });
+
+    // Sort properties of other job schemas.
+    parseJobFilter({ sort: '-deadLettered' }, DeadLetterJobSchema).sort.should.deepEqual([['deadLettered', true], ['created', false]]);
+
+  });
+
+  it('#parseJobFilter() should validate filter', async () => {
+
+    [
+      null,
+      'pending',
+      { unknown: true },
+      { name: '' },
+      { status: 'unknown' },
+      { status: [] },
+      { priorityMin: '1' },
+      { createdBefore: 'not a date' },
+      { createdAfter: null },
+      { limit: -1 },
+      { offset: 1.5 },
+      { sort: 'unknown' },
+      { sort: ['-priority', 5] }
+    ].forEach( filter => {
+      try {
+        parseJobFilter(filter);
+        throw new Error('parseJobFilter() should throw if filter is invalid.');
+      } catch (error) {
+        error.should.deepEqual(new Error('Invalid job filter.'));
+      }
+    });
+
+  });
+
+  it('#toPlainJob() should deserialize JSON properties', async () => {
+
+    const created = new Date();
+
+    const job = toPlainJob({
+      id: 'job-id',
+      name: 'job-name',
+      payload: JSON.stringify({ step: 1 }),
+      attempts: 3,
+      failedAttempts: 1,
+      errors: JSON.stringify(['Fake job failure!']),
+      backoff: JSON.stringify({ type: 'fixed', delay: 1000 }),
+      priority: 0,
+      status: 'pending',
+      progress: 40,
+      progressMeta: JSON.stringify({ chunk: 2 }),
+      checkpoint: JSON.stringify({ uploadedChunks: 2 }),
+      created,
+      dependsOn: null,
+      result: null
+    });
+
+    job.should.have.properties({
+      id: 'job-id',
+      name: 'job-name',
+      payload: { step: 1 },
+      attempts: 3,
+      failedAttempts: 1,
+      errors: ['Fake job failure!'],
+      backoff: { type: 'fixed', delay: 1000 },
+      status: 'pending',
+      progress: 40,
+      progressMeta: { chunk: 2 },
+      checkpoint: { uploadedChunks: 2 },
+      created,
+      dependsOn: []
+    });
+    should.not.exist(job.result);
+
+  });
+
+});
@@ -0,0 +1,197 @@
+
+// Define globals for eslint.
+/* global describe it jest */
+
+// Load dependencies
+import should from 'should'; // eslint-disable-line no-unused-vars
+import ManualConnectivity from '../providers/ManualConnectivity';
+import ManualDeviceState from '../providers/ManualDeviceState';
+import NetInfoConnectivity, { toConnectivityState } from '../providers/NetInfoConnectivity';
+import DeviceInfoDeviceState, { toDeviceState } from '../providers/DeviceInfoDeviceState';
+
+describe('providers', function() {
+
+  it('ManualConnectivity and ManualDeviceState default to conditions being met', async () => {
+
+    new ManualConnectivity().getState().should.deepEqual({ connected: true, unmetered: true });
+    new ManualConnectivity({ unmetered: false }).getState().should.deepEqual({ connected: true, unmetered: false });
+
+    new ManualDeviceState().getState().should.deepEqual({ charging: true, batteryLevel: 1, idle: true, freeStorage: Infinity });
+    new ManualDeviceState({ charging: false, batteryLevel: 0.2 }).getState().should.deepEqual({ charging: false, batteryLevel: 0.2, idle: true, freeStorage: Infinity });
+
+  });
+
+  it('#setState() merges state and notifies listeners until they are removed', async () => {
+
+    const deviceState = new ManualDeviceState({ charging: false });
+    const states = [];
+
+    const removeListener = deviceState.addListener( state => states.push(state));
+
+    deviceState.setState({ charging: true });
+    deviceState.getState().should.deepEqual({ charging: true, batteryLevel: 1, idle: true, freeStorage: Infinity });
+
+    removeListener();
+    deviceState.setState({ idle: false });
+
+    states.should.deepEqual([{ charging: true, batteryLevel: 1, idle: true, freeStorage: Infinity }]);
+
+  });
+
+  it('#toConnectivityState() converts NetInfo state', async () => {
+
+    toConnectivityState({ type: 'wifi', isConnected: true, isInternetReachable: true, details: { isConnectionExpensive: false } })
+      .should.deepEqual({ connected: true, unmetered: true });
+
+    toConnectivityState({ type: 'cellular', isConnected: true, isInternetReachable: null, details: { isConnectionExpensive: true } })
+      .should.deepEqual({ connected: true, unmetered: false });
+
+    // Metered wifi hotspot.
+    toConnectivityState({ type: 'wifi', isConnected: true, isInternetReachable: true, details: { isConnectionExpensive: true } })
+      .should.deepEqual({ connected: true, unmetered: false });
+
+    toConnectivityState({ type: 'wifi', isConnected: true, isInternetReachable: false, details: {} })
+      .should.deepEqual({ connected: false, unmetered: false });
+
+    toConnectivityState({ type: 'none', isConnected: false, isInternetReachable: false, details: null })
+      .should.deepEqual({ connected: false, unmetered: false });
+
+  });
+
+  it('NetInfoConnectivity considers the device online if NetInfo is not installed', async () => {
+
+    // NetInfo isn't a dependency of this package, so it can't be required here.
+    const connectivity = new NetInfoConnectivity();
+    const states = [];
+
+    await connectivity.ready();
+
+    connectivity.addListener( state => states.push(state));
+    connectivity.getState().should.deepEqual({ connected: true, unmetered: true });
+
+    // State is still set by hand.
+    connectivity.setState({ unmetered: false });
+    states.should.deepEqual([{ connected: true, unmetered: false }]);
+
+  });
+
+  it('NetInfoConnectivity#ready() resolves once NetInfo has reported the connection', async () => {
+
+    const netInfoListeners = [];
+    jest.doMock('@react-native-community/netinfo', () => ({
+      default: {
+        addEventListener: listener => {
+          netInfoListeners.push(listener);
+          return () => {};
+        },
+        fetch: async () => ({ type: 'wifi', isConnected: true, isInternetReachable: true, details: { isConnectionExpensive: false } })
+      }
+    }), { virtual: true });
+
+    const connectivity = new NetInfoConnectivity();
+    const ready = connectivity.ready();
+
+    connectivity.state.should.deepEqual({ connected: false, unmetered: false });
+    netInfoListeners.length.should.equal(1);
+
+    await ready;
+    connectivity.getState().should.deepEqual({ connected: true, unmetered: true });
+
+    // Later changes are reported by the NetInfo listener.
+    netInfoListeners[0]({ type: 'cellular', isConnected: true, isInternetReachable: true, details: null });
+    connectivity.getState().should.deepEqual({ connected: true, unmetered: false });
+    netInfoListeners.length.should.equal(1);
+
+    jest.dontMock('@react-native-community/netinfo');
+
+  });
+
+  it('DeviceInfoDeviceState considers device constraints met if DeviceInfo is not installed', async () => {
+
+    // DeviceInfo isn't a dependency of this package, so it can't be required here.
+    const deviceState = new DeviceInfoDeviceState();
+    const removeListener = deviceState.addListener(() => {});
+
+    await deviceState.ready();
+
+    deviceState.getState().should.deepEqual({ charging: true, batteryLevel: 1, idle: false, freeStorage: Infinity });
+    should.not.exist(deviceState.pollTimer);
+
+    removeListener();
+
+  });
+
+  it('DeviceInfoDeviceState polls DeviceInfo while it has listeners', async () => {
+
+    let polls = 0;
+    jest.doMock('react-native-device-info', () => ({
+      default: {
+        getPowerState: async () => {
+          polls++;
+          return { batteryLevel: 0.5, batteryState: 'charging' };
+        },
+        getFreeDiskStorage: async () => 1024
+      }
+    }), { virtual: true });
+
+    const deviceState = new DeviceInfoDeviceState({ pollInterval: 10 });
+    const removeListeners = [deviceState.addListener(() => {}), deviceState.addListener(() => {})];
+    await new Promise( resolve => setTimeout(resolve, 50));
+
+    deviceState.getState().should.deepEqual({ charging: true, batteryLevel: 0.5, idle: false, freeStorage: 1024 });
+    polls.should.be.above(1);
+
+    // Polling goes on until the last listener is removed.
+    removeListeners[0]();
+    removeListeners[0]();
+    should.exist(deviceState.pollTimer);
+    removeListeners[1]();
+    should.not.exist(deviceState.pollTimer);
+
+    const pollsAfterRemove = polls;
+    await new Promise( resolve => setTimeout(resolve, 50));
+    polls.should.equal(pollsAfterRemove);
+
+    // Without listeners, reading state refreshes it at most once per poll interval.
+    deviceState.getState();
+    deviceState.getState();
+    polls.should.equal(pollsAfterRemove + 1);
+
+    jest.dontMock('react-native-device-info');
+
+  });
+
+  it('DeviceInfoDeviceState#ready() resolves once DeviceInfo has reported the device state', async () => {
+
+    jest.doMock('react-native-device-info', () => ({
+      default: {
+        getPowerState: async () => ({ batteryLevel: 0.5, batteryState: 'charging' }),
+        getFreeDiskStorage: async () => 1024
+      }
+    }), { virtual: true });
+
+    const deviceState = new DeviceInfoDeviceState();
+
+    await deviceState.ready();
+    deviceState.state.should.deepEqual({ charging: true, batteryLevel: 0.5, idle: false, freeStorage: 1024 });
+    should.not.exist(deviceState.pollTimer);
+
+    jest.dontMock('react-native-device-info');
+
+  });
+
+  it('#toDeviceState() converts DeviceInfo power state and free storage', async () => {
+
+    toDeviceState({ batteryLevel: 0.42, batteryState: 'charging', lowPowerMode: false }, 1024)
+      .should.deepEqual({ charging: true, batteryLevel: 0.42, freeStorage: 1024 });
+
+    toDeviceState({ batteryLevel: 1, batteryState: 'full', lowPowerMode: false }, 1024)
+      .should.deepEqual({ charging: true, batteryLevel: 1, freeStorage: 1024 });
+
+    // Simulators report unknown battery level and storage as -1.
+    toDeviceState({ batteryLevel: -1, batteryState: 'unknown', lowPowerMode: false }, -1)
+      .should.deepEqual({ charging: false, batteryLevel: null, freeStorage: null });
+
+  });
+
+});
@@ -0,0 +1,50 @@
+// Define globals for eslint.
+/* global describe it */
+
+// Load dependencies
+import should from 'should'; // eslint-disable-line no-unused-vars
+import { isValidRateLimit, RateLimiter } from '../utils/rateLimit';
+
+describe('utils/rateLimit', function() {
+
+  it('#isValidRateLimit() should validate rate limit options', async () => {
+
+    isValidRateLimit({ max: 10, duration: 1000 }).should.be.True();
+    isValidRateLimit({ max: 1, duration: 0.5 }).should.be.True();
+
+    isValidRateLimit(null).should.be.False();
+    isValidRateLimit(10).should.be.False();
+    isValidRateLimit({ max: 10 }).should.be.False();
+    isValidRateLimit({ duration: 1000 }).should.be.False();
+    isValidRateLimit({ max: 0, duration: 1000 }).should.be.False();
+    isValidRateLimit({ max: 1.5, duration: 1000 }).should.be.False();
+    isValidRateLimit({ max: 10, duration: 0 }).should.be.False();
+    isValidRateLimit({ max: 10, duration: '1s' }).should.be.False();
+
+  });
+
+  it('RateLimiter should allow max starts per sliding window', async () => {
+
+    const rateLimiter = new RateLimiter({ max: 2, duration: 1000 });
+
+    rateLimiter.getRemaining(0).should.equal(2);
+    rateLimiter.getNextAvailableAt(0).should.deepEqual(new Date(0));
+
+    rateLimiter.consume(0);
+    rateLimiter.consume(400);
+
+    rateLimiter.getRemaining(500).should.equal(0);
+    rateLimiter.getNextAvailableAt(500).should.deepEqual(new Date(1000));
+
+    // First start has left the window.
+    rateLimiter.getRemaining(1000).should.equal(1);
+    rateLimiter.consume(1000);
+
+    rateLimiter.getRemaining(1200).should.equal(0);
+    rateLimiter.getNextAvailableAt(1200).should.deepEqual(new Date(1400));
+
+    rateLimiter.getRemaining(2500).should.equal(2);
+
+  });
+
+});
@@ -0,0 +1,123 @@
+/**
+ *
+ * Job Cancellation Tokens
+ *
+ * Workers receive an AbortSignal-style signal as context.signal so long running jobs can stop
+ * early when they are cancelled with queue.cancelJob(). Implemented here rather than relying on
+ * a global AbortController so behaviour is the same on every React Native version.
+ *
+ * Example:
+ *
+ * queue.addWorker('upload', async (id, payload, { signal }) => {
+ *   for (const chunk of payload.chunks) {
+ *     signal.throwIfAborted();
+ *     await uploadChunk(chunk);
+ *   }
+ * });
+ *
+ */
+
+export class JobAbortSignal {
+
+  /**
+   *
+   * Set initial class properties.
+   *
+   * @constructor
+   */
+  constructor() {
+    this.aborted = false;
+    this.reason = undefined;
+    this.onabort = null;
+    this.listeners = [];
+  }
+
+  /**
+   *
+   * Register a listener that is called when signal is aborted.
+   *
+   * @param type {string} - Event type. Only "abort" is supported.
+   * @param listener {function} - Listener function.
+   */
+  addEventListener(type, listener) {
+
+    if (type == 'abort' && !this.listeners.includes(listener)) {
+      this.listeners.push(listener);
+    }
+
+  }
+
+  /**
+   *
+   * Remove a listener registered with addEventListener().
+   *
+   * @param type {string} - Event type. Only "abort" is supported.
+   * @param listener {function} - Listener function.
+   */
+  removeEventListener(type, listener) {
+
+    if (type == 'abort') {
+      this.listeners = this.listeners.filter( existingListener => existingListener !== listener);
+    }
+
+  }
+
+  /**
+   *
+   * Throw the abort reason if signal has been aborted.
+   *
+   * @throws Throws abort reason if signal has been aborted.
+   */
+  throwIfAborted() {
+
+    if (this.aborted) {
+      throw this.reason;
+    }
+
+  }
+
+}
+
+export class JobAbortController {
+
+  /**
+   *
+   * Set initial class properties.
+   *
+   * @constructor
+   */
+  constructor() {
+    this.signal = new JobAbortSignal();
+  }
+
+  /**
+   *
+   * Abort the signal and notify its listeners. Subsequent calls do nothing.
+   *
+   * @param reason {Error} - Reason the signal was aborted.
+   */
+  abort(reason = new Error('Aborted.')) {
+
+    const signal = this.signal;
+
+    if (signal.aborted) {
+      return;
+    }
+
+    signal.aborted = true;
+    signal.reason = reason;
+
+    const event = { type: 'abort', target: signal };
+    const listeners = (signal.onabort) ? [signal.onabort, ...signal.listeners] : signal.listeners;
+
+    listeners.forEach( listener => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error(error); // eslint-disable-line no-console
+      }
+    });
+
+  }
+
+}
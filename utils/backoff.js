@@ -0,0 +1,110 @@
+/**
+ *
+ * Retry Backoff Strategies
+ *
+ * A backoff option is either a function or a strategy object.
+ *
+ * Function backoff options receive the number of failed attempts and the error that caused
+ * the most recent failure, and must return the delay in ms before the next attempt.
+ *
+ * Strategy objects have the following shape:
+ *
+ * {
+ *   type: 'fixed' | 'linear' | 'exponential',
+ *   delay: 1000, // Base delay in ms.
+ *   maxDelay: 60000, // Optional upper bound on the computed delay in ms.
+ *   jitter: 0.5 // Optional. Randomly reduce delay by up to this fraction (0 to 1). true is the same as 1.
+ * }
+ *
+ */
+
+export const backoffTypes = ['fixed', 'linear', 'exponential'];
+
+/**
+ *
+ * Check that a backoff option is a function or a valid strategy object.
+ *
+ * @param backoff {object|function} - Backoff option.
+ * @return {boolean} - Whether or not backoff option is valid.
+ */
+export function isValidBackoff(backoff) {
+
+  if (typeof backoff === 'function') {
+    return true;
+  }
+
+  if (!backoff || typeof backoff !== 'object' || !backoffTypes.includes(backoff.type)) {
+    return false;
+  }
+
+  if (typeof backoff.delay !== 'number' || backoff.delay < 0) {
+    return false;
+  }
+
+  if (backoff.maxDelay !== undefined && (typeof backoff.maxDelay !== 'number' || backoff.maxDelay < 0)) {
+    return false;
+  }
+
+  if (backoff.jitter !== undefined && typeof backoff.jitter !== 'boolean' && (typeof backoff.jitter !== 'number' || backoff.jitter < 0 || backoff.jitter > 1)) {
+    return false;
+  }
+
+  return true;
+
+}
+
+/**
+ *
+ * Compute the delay before a failed job should be re-attempted.
+ *
+ * Errors thrown by function backoff options are logged and degrade to no delay.
+ *
+ * @param backoff {object|function|null} - Backoff option. No backoff means no delay.
+ * @param failedAttempts {number} - Number of times job has failed so far (including the most recent failure).
+ * @param error {Error} - Error that caused the most recent failure.
+ * @return {number} - Delay in ms before job should be re-attempted.
+ */
+export function getBackoffDelay(backoff, failedAttempts, error) {
+
+  if (!backoff) {
+    return 0;
+  }
+
+  if (typeof backoff === 'function') {
+
+    try {
+      const delay = backoff(failedAttempts, error);
+      return (delay > 0) ? delay : 0;
+    } catch (backoffError) {
+      console.error(backoffError); // eslint-disable-line no-console
+      return 0;
+    }
+
+  }
+
+  let delay = 0;
+
+  switch (backoff.type) {
+    case 'fixed':
+      delay = backoff.delay;
+      break;
+    case 'linear':
+      delay = backoff.delay * failedAttempts;
+      break;
+    case 'exponential':
+      delay = backoff.delay * Math.pow(2, failedAttempts - 1);
+      break;
+  }
+
+  if (backoff.maxDelay !== undefined) {
+    delay = Math.min(delay, backoff.maxDelay);
+  }
+
+  if (backoff.jitter) {
+    const jitter = (backoff.jitter === true) ? 1 : backoff.jitter;
+    delay = delay - Math.random() * jitter * delay;
+  }
+
+  return Math.round(delay);
+
+}
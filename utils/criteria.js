@@ -0,0 +1,254 @@
+/**
+ *
+ * Storage Query Criteria
+ *
+ * Storage adapters are queried with criteria objects instead of a storage specific query language.
+ *
+ * Each key of a criteria object is a property name, and every key must match. A value matches by equality
+ * (null matches missing values), or an operator object can be used to compare the property:
+ *
+ * {
+ *   name: 'job-name', // name == 'job-name'
+ *   failed: null, // failed == null
+ *   timeout: { $gt: 0, $lt: 5000 }, // timeout > 0 AND timeout < 5000
+ *   status: { $ne: 'paused' }, // status != 'paused'
+ *   name: { $nin: ['job-one', 'job-two'] }, // name != 'job-one' AND name != 'job-two'
+ *   dependsOn: { $contains: 'some-job-id' }, // dependsOn contains the substring 'some-job-id'
+ *   $or: [{ runAt: null }, { runAt: { $lte: new Date() } }] // At least one of the criteria must match.
+ * }
+ *
+ * Sort descriptors are arrays of [propertyName, reverse] pairs, ie [['priority', true], ['created', false]].
+ *
+ */
+
+const realmOperators = {
+  $eq: '==',
+  $ne: '!=',
+  $lt: '<',
+  $lte: '<=',
+  $gt: '>',
+  $gte: '>=',
+  $contains: 'CONTAINS',
+  $nin: '!=' // Realm has no NOT IN operator, so $nin is converted into != comparisons.
+};
+
+/**
+ *
+ * Check whether a criteria value is an operator object (ie { $gt: 0 }) rather than a value to compare for equality.
+ *
+ * @param value {*} - Criteria value.
+ * @return {boolean} - Whether or not value is an operator object.
+ */
+export function isOperatorObject(value) {
+
+  if (value === null || typeof value !== 'object' || value instanceof Date || Array.isArray(value)) {
+    return false;
+  }
+
+  const operators = Object.keys(value);
+
+  return operators.length > 0 && operators.every( operator => realmOperators[operator] !== undefined);
+
+}
+
+/**
+ *
+ * Convert criteria into a Realm query string.
+ *
+ * Values are passed as query arguments so they don't need to be escaped.
+ *
+ * @param criteria {object} - Criteria object.
+ * @param args {array} - Query arguments. Values referenced by the query are appended to it.
+ * @return {string} - Realm query string ("TRUEPREDICATE" if criteria is empty).
+ */
+export function toRealmQuery(criteria = {}, args = []) {
+
+  const conditions = [];
+
+  Object.keys(criteria).forEach( property => {
+
+    const value = criteria[property];
+
+    if (property == '$or') {
+      const alternatives = value.map( alternative => '(' + toRealmQuery(alternative, args) + ')');
+      conditions.push((alternatives.length) ? '(' + alternatives.join(' OR ') + ')' : 'FALSEPREDICATE');
+      return;
+    }
+
+    const comparisons = (isOperatorObject(value)) ? value : { $eq: value };
+
+    Object.keys(comparisons).forEach( operator => {
+
+      if (operator == '$nin') {
+        comparisons[operator].forEach( value => {
+          args.push(value);
+          conditions.push(property + ' != $' + (args.length - 1));
+        });
+        return;
+      }
+
+      // Null can't be passed as a query argument.
+      if (comparisons[operator] === null) {
+        conditions.push(property + ' ' + realmOperators[operator] + ' null');
+        return;
+      }
+
+      args.push(comparisons[operator]);
+      conditions.push(property + ' ' + realmOperators[operator] + ' $' + (args.length - 1));
+
+    });
+
+  });
+
+  return (conditions.length) ? conditions.join(' AND ') : 'TRUEPREDICATE';
+
+}
+
+/**
+ *
+ * Normalize a property value so it can be compared.
+ *
+ * @param value {*} - Property value.
+ * @return {*} - Dates as timestamps, missing values as null, and other values as is.
+ */
+function toComparable(value) {
+
+  // Checking the type first is much faster than instanceof for primitives, which most property values are.
+  if (typeof value === 'object' && value !== null && value instanceof Date) {
+    return value.getTime();
+  }
+
+  return (value === undefined) ? null : value;
+
+}
+
+/**
+ *
+ * Build a function that compares a property value using a criteria operator.
+ *
+ * Like Realm, ordering comparisons with null never match.
+ *
+ * @param operator {string} - Criteria operator.
+ * @param operand {*} - Value to compare against.
+ * @return {function} - Function called with a property value, returns whether or not comparison matches.
+ */
+function valueMatcher(operator, operand) {
+
+  const b = toComparable(operand);
+
+  switch (operator) {
+    case '$eq':
+      return value => toComparable(value) === b;
+    case '$ne':
+      return value => toComparable(value) !== b;
+    case '$contains':
+      return value => typeof value === 'string' && typeof b === 'string' && value.includes(b);
+    case '$nin': {
+      const excluded = operand.map(toComparable);
+      return value => !excluded.includes(toComparable(value));
+    }
+  }
+
+  if (b === null) {
+    return () => false;
+  }
+
+  switch (operator) {
+    case '$lt':
+      return value => toComparable(value) !== null && toComparable(value) < b;
+    case '$lte':
+      return value => toComparable(value) !== null && toComparable(value) <= b;
+    case '$gt':
+      return value => toComparable(value) !== null && toComparable(value) > b;
+    case '$gte':
+      return value => toComparable(value) !== null && toComparable(value) >= b;
+  }
+
+  return () => false;
+
+}
+
+/**
+ *
+ * Build a function that checks whether an object matches criteria.
+ *
+ * Criteria are parsed once, so matching many objects against the same criteria stays cheap.
+ *
+ * @param criteria {object} - Criteria object.
+ * @return {function} - Function called with a stored object, returns whether or not it matches criteria.
+ */
+export function criteriaMatcher(criteria = {}) {
+
+  const matchers = Object.keys(criteria).map( property => {
+
+    const value = criteria[property];
+
+    if (property == '$or') {
+      const alternatives = value.map( alternative => criteriaMatcher(alternative));
+      return object => alternatives.some( matches => matches(object));
+    }
+
+    const comparisons = (isOperatorObject(value)) ? value : { $eq: value };
+    const valueMatchers = Object.keys(comparisons).map( operator => valueMatcher(operator, comparisons[operator]));
+
+    return object => valueMatchers.every( matches => matches(object[property]));
+
+  });
+
+  return object => matchers.every( matches => matches(object));
+
+}
+
+/**
+ *
+ * Check whether an object matches criteria.
+ *
+ * @param object {object} - Stored object.
+ * @param criteria {object} - Criteria object.
+ * @return {boolean} - Whether or not object matches criteria.
+ */
+export function matchesCriteria(object, criteria = {}) {
+  return criteriaMatcher(criteria)(object);
+}
+
+/**
+ *
+ * Build a compare function for Array.prototype.sort() from sort descriptors.
+ *
+ * Like Realm, null values sort before other values in ascending order.
+ *
+ * @param sort {array} - Array of [propertyName, reverse] pairs.
+ * @return {function} - Compare function.
+ */
+export function sortComparator(sort = []) {
+
+  return (objectA, objectB) => {
+
+    for (let i = 0; i < sort.length; i++) {
+
+      const [ property, reverse ] = sort[i];
+      const a = toComparable(objectA[property]);
+      const b = toComparable(objectB[property]);
+
+      if (a === b) {
+        continue;
+      }
+
+      let order = 0;
+      if (a === null) {
+        order = -1;
+      } else if (b === null) {
+        order = 1;
+      } else {
+        order = (a < b) ? -1 : 1;
+      }
+
+      return (reverse) ? -order : order;
+
+    }
+
+    return 0;
+
+  };
+
+}
@@ -0,0 +1,193 @@
+/**
+ *
+ * Cron Expression Scheduling
+ *
+ * Supports standard 5 field cron expressions evaluated in local time:
+ *
+ * ┌───────────── minute (0 - 59)
+ * │ ┌─────────── hour (0 - 23)
+ * │ │ ┌───────── day of month (1 - 31)
+ * │ │ │ ┌─────── month (1 - 12)
+ * │ │ │ │ ┌───── day of week (0 - 7, 0 and 7 are Sunday)
+ * │ │ │ │ │
+ * * * * * *
+ *
+ * Each field accepts "*", single values, ranges (1-5), steps (0-59/15) and lists (1,15,30).
+ * As with standard cron, if both day of month and day of week are restricted, either one matching is enough.
+ *
+ */
+
+const fieldRanges = [
+  { min: 0, max: 59 },
+  { min: 0, max: 23 },
+  { min: 1, max: 31 },
+  { min: 1, max: 12 },
+  { min: 0, max: 7 }
+];
+
+// Bound the search for the next matching date so impossible expressions (like Feb 30th) don't loop forever.
+const maxSearchTime = 5 * 366 * 24 * 60 * 60 * 1000;
+
+/**
+ *
+ * Parse a single cron field into the list of values it matches.
+ *
+ * @param field {string} - Cron field.
+ * @param range {object} - Min and max values allowed in field.
+ * @throws Throws error if field is invalid.
+ * @return {array} - Values matched by field.
+ */
+function parseField(field, { min, max }) {
+
+  const values = [];
+
+  field.split(',').forEach( item => {
+
+    const [rangePart, stepPart, ...rest] = item.split('/');
+    const step = (stepPart === undefined) ? 1 : Number(stepPart);
+
+    if (rest.length || !Number.isInteger(step) || step < 1) {
+      throw new Error('Invalid cron expression.');
+    }
+
+    let start = min;
+    let end = max;
+
+    if (rangePart !== '*') {
+
+      const bounds = rangePart.split('-');
+
+      if (bounds.length > 2 || bounds.some( bound => !/^\d+$/.test(bound))) {
+        throw new Error('Invalid cron expression.');
+      }
+
+      start = Number(bounds[0]);
+      end = (bounds.length == 2) ? Number(bounds[1]) : (stepPart === undefined) ? start : max;
+
+    }
+
+    if (start < min || end > max || start > end) {
+      throw new Error('Invalid cron expression.');
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.push(value);
+    }
+
+  });
+
+  return values;
+
+}
+
+/**
+ *
+ * Parse a cron expression.
+ *
+ * @param expression {string} - Cron expression.
+ * @throws Throws error if cron expression is invalid.
+ * @return {object} - Values matched by each field of the cron expression.
+ */
+export function parseCron(expression) {
+
+  const fields = (typeof expression === 'string') ? expression.trim().split(/\s+/) : [];
+
+  if (fields.length !== 5) {
+    throw new Error('Invalid cron expression.');
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = fields.map( (field, index) => parseField(field, fieldRanges[index]));
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek: daysOfWeek.map( day => day % 7), // 7 is also Sunday.
+    anyDayOfMonth: fields[2][0] === '*',
+    anyDayOfWeek: fields[4][0] === '*'
+  };
+
+}
+
+/**
+ *
+ * Check that a cron expression can be parsed.
+ *
+ * @param expression {string} - Cron expression.
+ * @return {boolean} - Whether or not cron expression is valid.
+ */
+export function isValidCron(expression) {
+
+  try {
+    parseCron(expression);
+    return true;
+  } catch (error) {
+    return false;
+  }
+
+}
+
+/**
+ *
+ * Get the next date matching a cron expression.
+ *
+ * @param expression {string} - Cron expression.
+ * @param after {Date} - Date to search after (defaults to now). The returned date is always later than this.
+ * @throws Throws error if cron expression is invalid.
+ * @return {Date|null} - Next matching date, or null if no date matches within the next 5 years.
+ */
+export function getNextCronDate(expression, after = new Date()) {
+
+  const schedule = parseCron(expression);
+  const limit = after.getTime() + maxSearchTime;
+
+  // Cron has minute resolution, so start at the beginning of the next minute.
+  const date = new Date(after.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const dayMatches = (date) => {
+
+    const dayOfMonthMatches = schedule.daysOfMonth.includes(date.getDate());
+    const dayOfWeekMatches = schedule.daysOfWeek.includes(date.getDay());
+
+    if (!schedule.anyDayOfMonth && !schedule.anyDayOfWeek) {
+      return dayOfMonthMatches || dayOfWeekMatches;
+    }
+
+    return dayOfMonthMatches && dayOfWeekMatches;
+
+  };
+
+  while (date.getTime() <= limit) {
+
+    if (!schedule.months.includes(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+
+    if (!dayMatches(date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+
+    if (!schedule.hours.includes(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+
+    if (!schedule.minutes.includes(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+      continue;
+    }
+
+    return date;
+
+  }
+
+  return null;
+
+}
@@ -0,0 +1,162 @@
+/**
+ *
+ * Job query helpers
+ *
+ * Translate job filters (see Queue.getJobs()) into storage criteria, and storage
+ * job objects into plain job objects with their JSON properties deserialized.
+ *
+ */
+
+import { JobSchema } from '../config/schema';
+
+export const jobStatuses = ['pending', 'active', 'paused', 'cancelled', 'completed', 'failed'];
+
+const filterKeys = ['name', 'status', 'priorityMin', 'priorityMax', 'createdBefore', 'createdAfter', 'limit', 'offset', 'sort'];
+
+/**
+ *
+ * Convert a date filter value to a date.
+ *
+ * @param value {Date|number|string} - Date, timestamp or date string.
+ * @throws Throws error if value is not a valid date.
+ * @return {Date} - Date.
+ */
+function toFilterDate(value) {
+
+  const date = new Date(value);
+
+  if (value === null || typeof value === 'boolean' || isNaN(date.getTime())) {
+    throw new Error('Invalid job filter.');
+  }
+
+  return date;
+
+}
+
+/**
+ *
+ * Parse a job filter into storage criteria, sort descriptors and pagination.
+ *
+ * @param filter {object} - Job filter. See Queue.getJobs() for filter options.
+ * @param objectSchema {object} - Schema of the jobs being queried, sort properties must be in it.
+ * @throws Throws error if filter is invalid.
+ * @return {object} - Storage criteria, sort descriptors, limit (null means no limit) and offset.
+ */
+export function parseJobFilter(filter = {}, objectSchema = JobSchema) {
+
+  if (!filter || typeof filter !== 'object' || Object.keys(filter).some( key => !filterKeys.includes(key))) {
+    throw new Error('Invalid job filter.');
+  }
+
+  const { name, status, priorityMin, priorityMax, createdBefore, createdAfter, limit = null, offset = 0, sort = 'created' } = filter;
+  const criteria = {};
+
+  if (name !== undefined) {
+
+    if (typeof name !== 'string' || !name) {
+      throw new Error('Invalid job filter.');
+    }
+
+    criteria.name = name;
+
+  }
+
+  if (status !== undefined) {
+
+    const statuses = (Array.isArray(status)) ? status : [status];
+
+    if (!statuses.length || statuses.some( jobStatus => !jobStatuses.includes(jobStatus))) {
+      throw new Error('Invalid job filter.');
+    }
+
+    if (statuses.length == 1) {
+      criteria.status = statuses[0];
+    } else {
+      criteria.$or = statuses.map( jobStatus => ({ status: jobStatus }));
+    }
+
+  }
+
+  [[priorityMin, '$gte'], [priorityMax, '$lte']].forEach( ([priority, operator]) => {
+
+    if (priority === undefined) {
+      return;
+    }
+
+    if (!Number.isInteger(priority)) {
+      throw new Error('Invalid job filter.');
+    }
+
+    criteria.priority = { ...criteria.priority, [operator]: priority };
+
+  });
+
+  [[createdBefore, '$lt'], [createdAfter, '$gt']].forEach( ([created, operator]) => {
+
+    if (created === undefined) {
+      return;
+    }
+
+    criteria.created = { ...criteria.created, [operator]: toFilterDate(created) };
+
+  });
+
+  if (limit !== null && !(Number.isInteger(limit) && limit >= 0)) {
+    throw new Error('Invalid job filter.');
+  }
+
+  if (!(Number.isInteger(offset) && offset >= 0)) {
+    throw new Error('Invalid job filter.');
+  }
+
+  // Sort by job properties, descending if prefixed with "-". Ties are broken by creation time.
+  const sortProperties = (Array.isArray(sort)) ? sort : [sort];
+
+  const sortDescriptors = sortProperties.map( sortProperty => {
+
+    const descending = typeof sortProperty === 'string' && sortProperty.startsWith('-');
+    const property = (descending) ? sortProperty.slice(1) : sortProperty;
+
+    if (typeof property !== 'string' || !objectSchema.properties[property]) {
+      throw new Error('Invalid job filter.');
+    }
+
+    return [property, descending];
+
+  });
+
+  if (!sortDescriptors.some( ([property]) => property == 'created')) {
+    sortDescriptors.push(['created', false]);
+  }
+
+  return { criteria, sort: sortDescriptors, limit, offset };
+
+}
+
+/**
+ *
+ * Copy a storage job object into a plain job object, deserializing its JSON properties.
+ *
+ * @param job {object} - Job storage model object.
+ * @return {object} - Plain job object. payload, errors (array), backoff, dependsOn (array), progressMeta, checkpoint and result are deserialized.
+ */
+export function toPlainJob(job) {
+
+  const plainJob = {};
+
+  Object.keys(JobSchema.properties).forEach( property => {
+    plainJob[property] = job[property];
+  });
+
+  return {
+    ...plainJob,
+    payload: JSON.parse(job.payload),
+    errors: JSON.parse(job.errors),
+    backoff: (job.backoff !== null) ? JSON.parse(job.backoff) : null,
+    dependsOn: (job.dependsOn !== null) ? JSON.parse(job.dependsOn) : [],
+    progressMeta: (job.progressMeta) ? JSON.parse(job.progressMeta) : null,
+    checkpoint: (job.checkpoint) ? JSON.parse(job.checkpoint) : null,
+    result: (job.result !== null) ? JSON.parse(job.result) : undefined
+  };
+
+}
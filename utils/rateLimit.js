@@ -0,0 +1,100 @@
+/**
+ *
+ * Worker Rate Limits
+ *
+ * A rateLimit worker option caps how many jobs of a name are started within a sliding window of time:
+ *
+ * {
+ *   max: 10, // Max number of jobs started per window.
+ *   duration: 1000 // Window length in ms.
+ * }
+ *
+ * Jobs over the limit are not failed, they wait until the window has room again.
+ *
+ */
+
+/**
+ *
+ * Check that a rateLimit option has a positive integer max and a positive duration.
+ *
+ * @param rateLimit {object} - Rate limit option.
+ * @return {boolean} - Whether or not rate limit option is valid.
+ */
+export function isValidRateLimit(rateLimit) {
+
+  if (!rateLimit || typeof rateLimit !== 'object') {
+    return false;
+  }
+
+  return Number.isInteger(rateLimit.max) && rateLimit.max > 0
+    && typeof rateLimit.duration === 'number' && rateLimit.duration > 0;
+
+}
+
+export class RateLimiter {
+
+  /**
+   *
+   * Set initial class properties.
+   *
+   * @constructor
+   * @param rateLimit {object} - Rate limit option.
+   */
+  constructor(rateLimit) {
+    this.rateLimit = rateLimit;
+    this.startTimes = [];
+  }
+
+  /**
+   *
+   * Forget start times that have left the window.
+   *
+   * @param now {number} - Current timestamp in ms.
+   */
+  prune(now) {
+    this.startTimes = this.startTimes.filter( startTime => now - startTime < this.rateLimit.duration);
+  }
+
+  /**
+   *
+   * Get the number of jobs that can be started right now.
+   *
+   * @param now {number} - Current timestamp in ms.
+   * @return {number} - Number of jobs that can be started.
+   */
+  getRemaining(now = Date.now()) {
+
+    this.prune(now);
+
+    return Math.max(this.rateLimit.max - this.startTimes.length, 0);
+
+  }
+
+  /**
+   *
+   * Record that a job was started.
+   *
+   * @param now {number} - Current timestamp in ms.
+   */
+  consume(now = Date.now()) {
+    this.startTimes.push(now);
+  }
+
+  /**
+   *
+   * Get the time the next job can be started.
+   *
+   * @param now {number} - Current timestamp in ms.
+   * @return {Date} - Time window has room for another job (now if it already has).
+   */
+  getNextAvailableAt(now = Date.now()) {
+
+    if (this.getRemaining(now) > 0) {
+      return new Date(now);
+    }
+
+    return new Date(this.startTimes[this.startTimes.length - this.rateLimit.max] + this.rateLimit.duration);
+
+  }
+
+}